@@ -0,0 +1,257 @@
+import { MODULE_ID } from "./settings.js";
+import { readSampleRate } from "./audio-formats.js";
+import { readAudioTags } from "./audio-tags.js";
+
+/**
+ * Hooks fired for every file in window runs, API calls and automatic optimization.
+ *
+ * preOptimizeItem(item, context) is called with Hooks.call: returning false skips the file.
+ * The context holds { type, dryRun, auto } plus the encoder settings the handler may change:
+ * quality, format and tileSize (0 keeps a background in one piece) for "image", bitrate, downmix, loudnessTarget
+ * (LUFS, 0 for off) and trimSilence for "audio", codec, bitrate and framerate for "video".
+ * optimizeItem(item, result) is called with Hooks.callAll once the file is done (see OptimizerAPI).
+ */
+export const HOOKS = {
+    preOptimizeItem: "sceneOptimizer.preOptimizeItem",
+    optimizeItem: "sceneOptimizer.optimizeItem"
+};
+
+/**
+ * Scripting interface, available as game.modules.get("geanos-scene-optimizer").api.
+ *
+ * Optimizing methods resolve to { runId, items, originalSize, newSize } where every item is
+ * { path, newPath, originalSize, newSize, references, skipped, error, warning, analysis }, where analysis holds the
+ * measured loudness of audio files (loudness, peak, gain, trimmedStart, trimmedEnd). Failed files carry an
+ * error message instead of rejecting the whole call, converted files with a caveat (e.g. a video's dropped
+ * audio track) a warning. Non-dry runs are saved to the run history.
+ */
+export class OptimizerAPI {
+    /**
+     * @param {function(): SceneOptimizer} createOptimizer Makes a fresh, never rendered optimizer per call
+     */
+    constructor(createOptimizer) {
+        this._createOptimizer = createOptimizer;
+        this.hooks = HOOKS;
+    }
+
+    /**
+     * Scans the world and the compendiums chosen in the window's source selector.
+     * @returns {Promise<{scenes: object[], images: object[], audio: object[]}>} One entry per source file
+     */
+    async analyze() {
+        const optimizer = this._createOptimizer();
+        await optimizer._analyzeAll();
+        const describe = file => ({
+            path: file.path,
+            format: file.format,
+            isOptimized: file.isOptimized,
+            references: file.refs.map(r => ({ uuid: r.uuid, field: r.field, name: r.name })),
+            qualityOverride: file.qualityOverride,
+            bitrateOverride: file.bitrateOverride,
+            resize: file.resizeLabel ?? null
+        });
+        return {
+            scenes: optimizer.scenesData.map(describe),
+            images: optimizer.imagesData.map(describe),
+            audio: optimizer.audioData.map(describe)
+        };
+    }
+
+    /**
+     * Converts the background, foreground, tiles, tokens, notes and ambient sounds of a scene.
+     * @param {Scene|string} scene Document, UUID or world scene ID
+     * @param {object} [options]
+     * @param {number} [options.quality] WebP / AVIF quality, defaults to the saved setting
+     * @param {string} [options.format] "webp", "webp-lossless", "avif" or "auto", defaults to the saved setting
+     * @param {number} [options.bitrate] Opus bitrate, defaults to the saved setting
+     * @param {boolean} [options.downmix] Mix surround audio down to stereo
+     * @param {number} [options.loudnessTarget] Normalize audio to this many LUFS, 0 for off; defaults to the saved setting
+     * @param {boolean} [options.trimSilence] Cut leading and trailing silence, defaults to the saved setting
+     * @param {object} [options.video] { codec: "vp9"|"av1", bitrate, framerate } for MP4/MOV backgrounds and tiles
+     * @param {boolean} [options.audio=true] Include ambient sounds
+     * @param {boolean} [options.unlockPacks=false] Update documents in locked compendiums, unlocking them for the
+     *   duration; otherwise references in locked compendiums are left out
+     * @param {boolean} [options.dryRun=false] Only measure the output sizes
+     */
+    async optimizeScene(scene, options = {}) {
+        scene = await this._resolve(scene, game.scenes);
+        if (!(scene instanceof Scene)) throw new Error("Scene Optimizer | optimizeScene expects a Scene");
+
+        const optimizer = this._createOptimizer();
+        const source = { pack: null, scenes: [scene], playlists: [], actors: [], items: [], journal: [] };
+        const imageRefs = [...optimizer._analyzeScenes(source), ...optimizer._analyzeImages(source)];
+        const audioRefs = options.audio === false ? [] : optimizer._analyzeAudio(source);
+        return this._optimize(optimizer, imageRefs, audioRefs, options);
+    }
+
+    /**
+     * Removes the map pieces of a scene split by "Split Oversized Backgrounds" and restores
+     * its single background: the original file, or the pieces stitched into a PNG if it is gone.
+     * @param {Scene|string} scene Document, UUID or world scene ID
+     * @param {object} [options]
+     * @param {boolean} [options.unlockPacks=false] Allow a scene in a locked compendium, unlocking it for the duration
+     * @returns {Promise<boolean>} false if the scene was not split
+     */
+    async remergeScene(scene, { unlockPacks = false } = {}) {
+        scene = await this._resolve(scene, game.scenes);
+        if (!(scene instanceof Scene)) throw new Error("Scene Optimizer | remergeScene expects a Scene");
+        if (scene.compendium?.locked && !unlockPacks) {
+            throw new Error(`Scene Optimizer | ${scene.compendium.title} is locked, pass unlockPacks: true to change it`);
+        }
+        const optimizer = this._createOptimizer();
+        optimizer.unlockPacks = unlockPacks;
+        return optimizer.splitter.remerge(scene);
+    }
+
+    /**
+     * Converts the file of a playlist or ambient sound.
+     * @param {PlaylistSound|AmbientSound|string} sound Document or UUID
+     * @param {object} [options] bitrate, downmix, loudnessTarget, trimSilence, unlockPacks and dryRun as for optimizeScene
+     */
+    async optimizeSound(sound, options = {}) {
+        sound = await this._resolve(sound);
+        if (!(sound instanceof PlaylistSound || sound instanceof AmbientSound)) {
+            throw new Error("Scene Optimizer | optimizeSound expects a PlaylistSound or AmbientSound");
+        }
+
+        const optimizer = this._createOptimizer();
+        const audioRefs = [];
+        const name = sound instanceof PlaylistSound ? sound.name : "Ambient Sound";
+        optimizer._processAudioItem(audioRefs, sound, name, sound.parent?.name);
+        return this._optimize(optimizer, [], audioRefs, options);
+    }
+
+    /**
+     * Converts an image to WebP or AVIF without uploading it. Resizing follows the module settings.
+     * @param {Blob} blob
+     * @param {object} [options]
+     * @param {number} [options.quality] WebP / AVIF quality, defaults to the saved setting
+     * @param {string} [options.format] Output format as for optimizeScene; the result's type tells which was written
+     * @returns {Promise<{blob: Blob|null, originalSize: number, newSize: number|null, error: string|null}>}
+     */
+    async convertImage(blob, { quality, format } = {}) {
+        quality ??= game.settings.get(MODULE_ID, "imageQuality");
+        format ??= game.settings.get(MODULE_ID, "imageFormat");
+        const optimizer = this._createOptimizer();
+        const objectUrl = URL.createObjectURL(blob);
+        optimizer._openJobQueue();
+        try {
+            const item = { name: blob.name ?? "image", src: objectUrl, path: objectUrl, format: blob.type.split("/")[1], refs: [] };
+            const result = await optimizer._encodeImageFile(item, { quality, format });
+            return { blob: result.blob, originalSize: blob.size, newSize: result.blob.size, error: null };
+        } catch (err) {
+            console.error("Scene Optimizer | API image conversion failed:", err);
+            return { blob: null, originalSize: blob.size, newSize: null, error: err.message };
+        } finally {
+            optimizer._closeJobQueue();
+            URL.revokeObjectURL(objectUrl);
+        }
+    }
+
+    /**
+     * Converts audio to Ogg Opus without uploading it.
+     * @param {AudioBuffer|ArrayBuffer|Blob} buffer Decoded audio, or an encoded file in any format the browser decodes
+     * @param {object} [options]
+     * @param {number} [options.bitrate] Opus bitrate, defaults to the saved setting
+     * @param {boolean} [options.downmix] Mix surround audio down to stereo
+     * @param {number} [options.loudnessTarget] Normalize to this many LUFS, 0 for off
+     * @param {boolean} [options.trimSilence] Cut leading and trailing silence
+     * @returns {Promise<{blob: Blob|null, originalSize: number|null, newSize: number|null, analysis: object|null, error: string|null}>}
+     */
+    async convertAudio(buffer, { bitrate, downmix, loudnessTarget, trimSilence } = {}) {
+        bitrate ??= parseInt(game.settings.get(MODULE_ID, "audioBitrate")) || 128000;
+        downmix ??= game.settings.get(MODULE_ID, "downmixStereo");
+        if (!window.AudioEncoder) return { blob: null, originalSize: null, newSize: null, analysis: null, error: "AudioEncoder is not supported" };
+
+        const optimizer = this._createOptimizer();
+        const processing = { ...optimizer._getAudioProcessing(), ...this._defined({ loudnessTarget, trimSilence }) };
+        const audioCtx = new AudioContext();
+        let originalSize = null;
+        optimizer._openJobQueue();
+        try {
+            let decoded = buffer;
+            let inputSampleRate;
+            let tags = {};
+            if (!(buffer instanceof AudioBuffer)) {
+                const arrayBuffer = buffer instanceof Blob ? await buffer.arrayBuffer() : buffer;
+                originalSize = arrayBuffer.byteLength;
+                inputSampleRate = readSampleRate(arrayBuffer);
+                tags = readAudioTags(arrayBuffer);
+                decoded = await audioCtx.decodeAudioData(arrayBuffer);
+            }
+            const { blob, analysis } = await optimizer._encodeAudioBuffer(decoded, bitrate, { inputSampleRate, tags, downmix, processing });
+            return { blob, originalSize, newSize: blob.size, analysis, error: null };
+        } catch (err) {
+            console.error("Scene Optimizer | API audio conversion failed:", err);
+            return { blob: null, originalSize, newSize: null, analysis: null, error: err.message };
+        } finally {
+            optimizer._closeJobQueue();
+            audioCtx.close();
+        }
+    }
+
+    /* -------------------------------------------- */
+    /*  Helpers                                     */
+    /* -------------------------------------------- */
+
+    async _resolve(doc, collection) {
+        if (typeof doc !== "string") return doc;
+        return collection?.get(doc) ?? fromUuid(doc);
+    }
+
+    /**
+     * @returns {boolean} Whether a reference points into a locked compendium
+     */
+    _isLocked(ref) {
+        const { collection } = foundry.utils.parseUuid(ref.uuid);
+        return !!(collection instanceof CompendiumCollection && collection.locked);
+    }
+
+    /**
+     * Drops undefined options, so they fall back to the saved settings when spread over them.
+     */
+    _defined(options) {
+        return Object.fromEntries(Object.entries(options).filter(([, value]) => value !== undefined));
+    }
+
+    /**
+     * Runs the window's pipeline on the unoptimized files among the given references.
+     */
+    async _optimize(optimizer, imageRefs, audioRefs, { quality, format, bitrate, downmix, loudnessTarget, trimSilence, video, unlockPacks = false, dryRun = false } = {}) {
+        optimizer.unlockPacks = unlockPacks;
+        if (!unlockPacks) {
+            imageRefs = imageRefs.filter(ref => !this._isLocked(ref));
+            audioRefs = audioRefs.filter(ref => !this._isLocked(ref));
+        }
+        quality ??= game.settings.get(MODULE_ID, "imageQuality");
+        bitrate ??= parseInt(game.settings.get(MODULE_ID, "audioBitrate")) || 128000;
+        downmix ??= game.settings.get(MODULE_ID, "downmixStereo");
+        video = { ...optimizer._getVideoSettings(), ...video };
+        const processing = { ...optimizer._getAudioProcessing(), ...this._defined({ loudnessTarget, trimSilence }) };
+
+        const images = optimizer._groupByPath(imageRefs);
+        images.forEach(file => optimizer._planResize(file));
+        const imageFiles = images.filter(f => f.statusClass === "unoptimized");
+        const audioFiles = optimizer._groupByPath(audioRefs).filter(f => f.statusClass === "unoptimized");
+        const run = dryRun ? null : { id: foundry.utils.randomID(), date: Date.now(), entries: [] };
+
+        optimizer.currentRun = run;
+        optimizer.progress = { value: 0, max: imageFiles.length + audioFiles.length, label: "" };
+        optimizer._openJobQueue();
+        try {
+            if (imageFiles.length) await optimizer._runImageOptimization(imageFiles, quality, { dryRun, format, video });
+            if (audioFiles.length) await optimizer._runAudioOptimization(audioFiles, bitrate, { dryRun, downmix, processing });
+            await optimizer._saveRunManifest();
+        } finally {
+            optimizer._closeJobQueue();
+        }
+
+        const items = [...imageFiles, ...audioFiles].map(file => optimizer._getItemResult(file, dryRun));
+        return {
+            runId: run?.entries.length ? run.id : null,
+            items: items,
+            originalSize: items.reduce((sum, i) => sum + (i.originalSize ?? 0), 0),
+            newSize: items.reduce((sum, i) => sum + (i.newSize ?? i.originalSize ?? 0), 0)
+        };
+    }
+}
@@ -0,0 +1,480 @@
+/**
+ * Incremental demuxers for streaming audio conversion. Bytes are pushed as they
+ * arrive and read() returns whatever became complete: compressed frames for
+ * WebCodecs AudioDecoder (MP3, FLAC) or planar Float32 PCM (WAV).
+ */
+
+/**
+ * Picks a demuxer from the first bytes of a file.
+ * @param {Uint8Array} head At least 12 bytes
+ * @returns {StreamDemuxer|null} null if the format is not streamable
+ */
+export function createDemuxer(head) {
+    const magic = ascii(head, 0, 4);
+    if (magic === "fLaC") return new FlacDemuxer();
+    if (magic === "RIFF" && ascii(head, 8, 4) === "WAVE") return new WavDemuxer();
+    if (magic.startsWith("ID3") || parseMp3Header(head, 0)) return new Mp3Demuxer();
+    return null;
+}
+
+/**
+ * Base class. `config` is set once the header is read:
+ * { codec, sampleRate, numberOfChannels, description?, trimStart?, totalSamples? }
+ * and `header` then holds the bytes before the audio data (tags, cover art).
+ */
+class StreamDemuxer {
+    constructor() {
+        this.bytes = new Uint8Array(0);
+        this.offset = 0; // Read position in this.bytes
+        this.config = null;
+        this.header = null;
+        this.ended = false;
+    }
+
+    /**
+     * @param {Uint8Array} chunk
+     */
+    push(chunk) {
+        // Drop what was read already; positions held by subclasses move by `shift`
+        const shift = this.offset;
+        const rest = this.bytes.subarray(shift);
+        const merged = new Uint8Array(rest.length + chunk.length);
+        merged.set(rest);
+        merged.set(chunk, rest.length);
+        this.bytes = merged;
+        this.offset = 0;
+        this._onShift(shift);
+    }
+
+    _onShift(shift) { }
+
+    /**
+     * Marks the end of the file, so the last frame can be returned.
+     */
+    end() {
+        this.ended = true;
+    }
+
+    /**
+     * @returns {object[]} Frames completed since the last call
+     */
+    read() {
+        const frames = [];
+        if (!this.config && !this._readHeader()) return frames;
+        let frame;
+        while ((frame = this._nextFrame())) frames.push(frame);
+        return frames;
+    }
+
+    _setHeader(config, dataOffset) {
+        this.config = config;
+        this.header = this.bytes.slice(0, dataOffset);
+        this.offset = dataOffset;
+    }
+}
+
+/* -------------------------------------------- */
+/*  MP3                                         */
+/* -------------------------------------------- */
+
+const MP3_BITRATES = {
+    "1-1": [0, 32, 64, 96, 128, 160, 192, 224, 256, 288, 320, 352, 384, 416, 448],
+    "1-2": [0, 32, 48, 56, 64, 80, 96, 112, 128, 160, 192, 224, 256, 320, 384],
+    "1-3": [0, 32, 40, 48, 56, 64, 80, 96, 112, 128, 160, 192, 224, 256, 320],
+    "2-1": [0, 32, 48, 56, 64, 80, 96, 112, 128, 144, 160, 176, 192, 224, 256],
+    "2-2": [0, 8, 16, 24, 32, 40, 48, 56, 64, 80, 96, 112, 128, 144, 160],
+    "2-3": [0, 8, 16, 24, 32, 40, 48, 56, 64, 80, 96, 112, 128, 144, 160]
+};
+const MP3_SAMPLE_RATES = { 1: [44100, 48000, 32000], 2: [22050, 24000, 16000], 2.5: [11025, 12000, 8000] };
+
+/**
+ * Parses an MPEG audio frame header.
+ * @returns {object|null} { version, layer, sampleRate, channels, frameLength, samples }
+ */
+function parseMp3Header(bytes, at) {
+    if (at + 4 > bytes.length || bytes[at] !== 0xFF || (bytes[at + 1] & 0xE0) !== 0xE0) return null;
+    const version = [2.5, null, 2, 1][(bytes[at + 1] >> 3) & 0x03];
+    const layer = [null, 3, 2, 1][(bytes[at + 1] >> 1) & 0x03];
+    const bitrateIndex = bytes[at + 2] >> 4;
+    const rateIndex = (bytes[at + 2] >> 2) & 0x03;
+    if (!version || !layer || bitrateIndex === 0 || bitrateIndex === 15 || rateIndex === 3) return null;
+
+    const bitrate = MP3_BITRATES[`${version === 1 ? 1 : 2}-${layer}`][bitrateIndex] * 1000;
+    const sampleRate = MP3_SAMPLE_RATES[version][rateIndex];
+    const padding = (bytes[at + 2] >> 1) & 0x01;
+    const channels = (bytes[at + 3] >> 6) === 3 ? 1 : 2;
+
+    let samples, frameLength;
+    if (layer === 1) {
+        samples = 384;
+        frameLength = (Math.floor(12 * bitrate / sampleRate) + padding) * 4;
+    } else {
+        samples = layer === 3 && version !== 1 ? 576 : 1152;
+        frameLength = Math.floor(samples / 8 * bitrate / sampleRate) + padding;
+    }
+    return { version, layer, sampleRate, channels, frameLength, samples };
+}
+
+class Mp3Demuxer extends StreamDemuxer {
+    constructor() {
+        super();
+        this.timestamp = 0;
+    }
+
+    _readHeader() {
+        const bytes = this.bytes;
+        if (bytes.length < 10) return false;
+
+        // Skip an ID3v2 tag (and its footer) in front of the first frame
+        let start = 0;
+        if (ascii(bytes, 0, 3) === "ID3") start = 10 + syncsafe(bytes, 6) + (bytes[5] & 0x10 ? 10 : 0);
+
+        const found = this._findFrame(start);
+        if (!found) return false;
+        const { at, header } = found;
+        const config = {
+            codec: "mp3",
+            sampleRate: header.sampleRate,
+            numberOfChannels: header.channels
+        };
+
+        // A Xing/Info frame holds no audio; its LAME tag gives the gapless trimming
+        let dataOffset = at;
+        const info = readXingFrame(bytes, at, header);
+        if (info) {
+            dataOffset = at + header.frameLength;
+            if (info.delay !== null) {
+                // Decoder delay of 529 samples, as applied by libavcodec and LAME's decoder
+                config.trimStart = info.delay + 529;
+                if (info.frames) config.totalSamples = info.frames * header.samples - info.delay - info.padding;
+            }
+        }
+        this.format = header;
+        this._setHeader(config, dataOffset);
+        return true;
+    }
+
+    _nextFrame() {
+        const found = this._findFrame(this.offset);
+        if (!found) return null;
+        const { at, header } = found;
+        const frame = {
+            data: this.bytes.subarray(at, at + header.frameLength),
+            timestamp: this.timestamp * 1000000 / header.sampleRate,
+            samples: header.samples
+        };
+        this.timestamp += header.samples;
+        this.offset = at + header.frameLength;
+        return frame;
+    }
+
+    /**
+     * Finds the next frame that is complete and followed by another valid header
+     * (or the end of the file), skipping junk between frames.
+     * @returns {{at: number, header: object}|null} null until more data arrives
+     */
+    _findFrame(from) {
+        const bytes = this.bytes;
+        for (let at = from; at + 4 <= bytes.length; at++) {
+            const header = parseMp3Header(bytes, at);
+            if (!header || (this.format && (header.sampleRate !== this.format.sampleRate || header.layer !== this.format.layer))) continue;
+
+            const next = at + header.frameLength;
+            if (next + 4 > bytes.length) {
+                if (!this.ended) return null; // Wait for the next header
+                if (next <= bytes.length) return { at, header };
+                continue;
+            }
+            // ID3v1 or APE tags may follow the last frame
+            const nextHeader = parseMp3Header(bytes, next);
+            if (nextHeader?.sampleRate === header.sampleRate || ["TAG", "APE"].includes(ascii(bytes, next, 3))) {
+                return { at, header };
+            }
+        }
+        return null;
+    }
+}
+
+/**
+ * Reads a Xing/Info header and its LAME extension.
+ * @returns {object|null} { frames, delay, padding } where delay is null without a LAME tag
+ */
+function readXingFrame(bytes, at, header) {
+    const mono = header.channels === 1;
+    const sideInfo = header.version === 1 ? (mono ? 17 : 32) : (mono ? 9 : 17);
+    let offset = at + 4 + sideInfo;
+    const id = ascii(bytes, offset, 4);
+    if (id !== "Xing" && id !== "Info") return null;
+
+    const flags = uint32BE(bytes, offset + 4);
+    offset += 8;
+    let frames = null;
+    if (flags & 0x01) {
+        frames = uint32BE(bytes, offset);
+        offset += 4;
+    }
+    if (flags & 0x02) offset += 4; // Byte count
+    if (flags & 0x04) offset += 100; // Seek table
+    if (flags & 0x08) offset += 4; // Quality
+
+    // LAME tag: 12 bit encoder delay and 12 bit padding at offset 21
+    let delay = null;
+    let padding = 0;
+    const encoder = ascii(bytes, offset, 4);
+    if (["LAME", "Lavf", "Lavc"].includes(encoder) && offset + 24 <= at + header.frameLength) {
+        delay = (bytes[offset + 21] << 4) | (bytes[offset + 22] >> 4);
+        padding = ((bytes[offset + 22] & 0x0F) << 8) | bytes[offset + 23];
+    }
+    return { frames, delay, padding };
+}
+
+/* -------------------------------------------- */
+/*  FLAC                                        */
+/* -------------------------------------------- */
+
+class FlacDemuxer extends StreamDemuxer {
+    constructor() {
+        super();
+        this.timestamp = 0;
+        this.searchFrom = 0; // Where the search for the next frame header resumes
+    }
+
+    _onShift(shift) {
+        this.searchFrom = Math.max(0, this.searchFrom - shift);
+    }
+
+    _readHeader() {
+        const bytes = this.bytes;
+        let offset = 4;
+        let isLast = false;
+        while (!isLast) {
+            if (offset + 4 > bytes.length) return false;
+            isLast = (bytes[offset] & 0x80) !== 0;
+            offset += 4 + ((bytes[offset + 1] << 16) | (bytes[offset + 2] << 8) | bytes[offset + 3]);
+        }
+        if (offset > bytes.length) return false;
+
+        // STREAMINFO is always the first block
+        const info = bytes.subarray(8, 42);
+        this.sampleRate = (info[10] << 12) | (info[11] << 4) | (info[12] >> 4);
+        const numberOfChannels = ((info[12] >> 1) & 0x07) + 1;
+
+        // AudioDecoder expects the stream marker followed by the STREAMINFO block
+        const description = new Uint8Array(42);
+        description.set([0x66, 0x4C, 0x61, 0x43, 0x80, 0x00, 0x00, 0x22]); // "fLaC", last block, 34 bytes
+        description.set(info, 8);
+
+        this._setHeader({ codec: "flac", sampleRate: this.sampleRate, numberOfChannels, description }, offset);
+        this.searchFrom = offset;
+        return true;
+    }
+
+    _nextFrame() {
+        const bytes = this.bytes;
+        const start = this.offset;
+        const header = parseFlacFrameHeader(bytes, start);
+        if (!header) {
+            // Lost sync: skip to the next frame header
+            const next = this._findHeader(start + 1);
+            if (next === null) return null;
+            this.offset = next;
+            return this._nextFrame();
+        }
+
+        // A frame ends where the next header starts, confirmed by the frame's CRC-16
+        let end = null;
+        let searchFrom = Math.max(this.searchFrom, start + header.headerLength);
+        while (end === null) {
+            const candidate = this._findHeader(searchFrom);
+            if (candidate === null) break;
+            if (crc16(bytes, start, candidate) === 0) end = candidate;
+            else searchFrom = candidate + 1;
+        }
+        if (end === null) {
+            if (!this.ended || start >= bytes.length) {
+                this.searchFrom = Math.max(start, bytes.length - 16);
+                return null;
+            }
+            end = bytes.length; // Last frame runs to the end of the file
+        }
+
+        const frame = {
+            data: bytes.subarray(start, end),
+            timestamp: this.timestamp * 1000000 / this.sampleRate,
+            samples: header.blockSize
+        };
+        this.timestamp += header.blockSize;
+        this.offset = end;
+        this.searchFrom = end;
+        return frame;
+    }
+
+    _findHeader(from) {
+        const bytes = this.bytes;
+        for (let at = from; at + 2 <= bytes.length; at++) {
+            if (bytes[at] === 0xFF && (bytes[at + 1] & 0xFE) === 0xF8 && parseFlacFrameHeader(bytes, at)) return at;
+        }
+        return null;
+    }
+}
+
+/**
+ * Parses and CRC-8 checks a FLAC frame header.
+ * @returns {{blockSize: number, headerLength: number}|null}
+ */
+function parseFlacFrameHeader(bytes, at) {
+    if (at + 6 > bytes.length || bytes[at] !== 0xFF || (bytes[at + 1] & 0xFE) !== 0xF8) return null;
+    const blockCode = bytes[at + 2] >> 4;
+    const rateCode = bytes[at + 2] & 0x0F;
+    if (blockCode === 0 || rateCode === 15 || (bytes[at + 3] >> 4) > 10 || (bytes[at + 3] & 0x01)) return null;
+
+    // UTF-8 style coded frame or sample number
+    let offset = at + 4;
+    const first = bytes[offset];
+    let extra;
+    if (first < 0x80) extra = 0;
+    else if ((first & 0xE0) === 0xC0) extra = 1;
+    else if ((first & 0xF0) === 0xE0) extra = 2;
+    else if ((first & 0xF8) === 0xF0) extra = 3;
+    else if ((first & 0xFC) === 0xF8) extra = 4;
+    else if ((first & 0xFE) === 0xFC) extra = 5;
+    else if (first === 0xFE) extra = 6;
+    else return null;
+    offset += 1 + extra;
+
+    let blockSize;
+    if (blockCode === 1) blockSize = 192;
+    else if (blockCode <= 5) blockSize = 576 << (blockCode - 2);
+    else if (blockCode === 6) blockSize = bytes[offset++] + 1;
+    else if (blockCode === 7) {
+        blockSize = ((bytes[offset] << 8) | bytes[offset + 1]) + 1;
+        offset += 2;
+    } else blockSize = 256 << (blockCode - 8);
+
+    if (rateCode === 12) offset += 1;
+    else if (rateCode === 13 || rateCode === 14) offset += 2;
+
+    if (offset >= bytes.length || crc8(bytes, at, offset) !== bytes[offset]) return null;
+    return { blockSize, headerLength: offset + 1 - at };
+}
+
+const CRC8_TABLE = makeCrcTable(0x07, 8);
+const CRC16_TABLE = makeCrcTable(0x8005, 16);
+
+function makeCrcTable(polynomial, bits) {
+    const table = new Uint16Array(256);
+    const top = 1 << (bits - 1);
+    const mask = (1 << bits) - 1;
+    for (let n = 0; n < 256; n++) {
+        let crc = n << (bits - 8);
+        for (let k = 0; k < 8; k++) crc = crc & top ? ((crc << 1) ^ polynomial) & mask : (crc << 1) & mask;
+        table[n] = crc;
+    }
+    return table;
+}
+
+function crc8(bytes, start, end) {
+    let crc = 0;
+    for (let i = start; i < end; i++) crc = CRC8_TABLE[crc ^ bytes[i]];
+    return crc;
+}
+
+/**
+ * CRC-16 over a whole frame including its stored CRC, which yields 0 for an intact frame.
+ */
+function crc16(bytes, start, end) {
+    let crc = 0;
+    for (let i = start; i < end; i++) crc = ((crc << 8) & 0xFFFF) ^ CRC16_TABLE[(crc >> 8) ^ bytes[i]];
+    return crc;
+}
+
+/* -------------------------------------------- */
+/*  WAV                                         */
+/* -------------------------------------------- */
+
+class WavDemuxer extends StreamDemuxer {
+    _readHeader() {
+        const bytes = this.bytes;
+        const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+        let offset = 12;
+        while (offset + 8 <= bytes.length) {
+            const id = ascii(bytes, offset, 4);
+            const size = view.getUint32(offset + 4, true);
+
+            if (id === "fmt ") {
+                if (offset + 8 + size > bytes.length) return false;
+                let formatTag = view.getUint16(offset + 8, true);
+                // WAVE_FORMAT_EXTENSIBLE keeps the real format in its sub-format GUID
+                if (formatTag === 0xFFFE && size >= 26) formatTag = view.getUint16(offset + 32, true);
+                this.format = {
+                    formatTag: formatTag,
+                    channels: view.getUint16(offset + 10, true),
+                    sampleRate: view.getUint32(offset + 12, true),
+                    blockAlign: view.getUint16(offset + 20, true),
+                    bitsPerSample: view.getUint16(offset + 22, true)
+                };
+                const { bitsPerSample } = this.format;
+                const isPcm = formatTag === 1 && [8, 16, 24, 32].includes(bitsPerSample);
+                const isFloat = formatTag === 3 && [32, 64].includes(bitsPerSample);
+                if (!isPcm && !isFloat) throw new DOMException(`WAV format ${formatTag}/${bitsPerSample} bit cannot be streamed`, "NotSupportedError");
+            } else if (id === "data") {
+                if (!this.format) throw new DOMException("WAV data before fmt chunk", "NotSupportedError");
+                // Streaming writers leave the size at 0 or 0xFFFFFFFF
+                this.remaining = size === 0 || size === 0xFFFFFFFF ? Infinity : size;
+                this._setHeader({
+                    codec: "pcm",
+                    sampleRate: this.format.sampleRate,
+                    numberOfChannels: this.format.channels
+                }, offset + 8);
+                return true;
+            }
+            offset += 8 + size + (size % 2);
+        }
+        return false;
+    }
+
+    _nextFrame() {
+        const { blockAlign, channels, bitsPerSample, formatTag } = this.format;
+        const available = Math.min(this.bytes.length - this.offset, this.remaining);
+        const frameCount = Math.floor(available / blockAlign);
+        if (frameCount === 0) return null;
+
+        const data = this.bytes.subarray(this.offset, this.offset + frameCount * blockAlign);
+        const view = new DataView(data.buffer, data.byteOffset, data.byteLength);
+        const bytesPerSample = bitsPerSample / 8;
+        const pcm = Array.from({ length: channels }, () => new Float32Array(frameCount));
+
+        for (let i = 0; i < frameCount; i++) {
+            for (let ch = 0; ch < channels; ch++) {
+                const at = i * blockAlign + ch * bytesPerSample;
+                let sample;
+                if (formatTag === 3) sample = bitsPerSample === 32 ? view.getFloat32(at, true) : view.getFloat64(at, true);
+                else if (bitsPerSample === 8) sample = (data[at] - 128) / 128;
+                else if (bitsPerSample === 16) sample = view.getInt16(at, true) / 32768;
+                else if (bitsPerSample === 24) sample = ((data[at + 2] << 24 | data[at + 1] << 16 | data[at] << 8) >> 8) / 8388608;
+                else sample = view.getInt32(at, true) / 2147483648;
+                pcm[ch][i] = sample;
+            }
+        }
+
+        this.offset += data.length;
+        this.remaining -= data.length;
+        return { pcm };
+    }
+}
+
+/* -------------------------------------------- */
+/*  Helpers                                     */
+/* -------------------------------------------- */
+
+function ascii(bytes, offset, length) {
+    return String.fromCharCode(...bytes.subarray(offset, offset + length));
+}
+
+function syncsafe(bytes, offset) {
+    return (bytes[offset] << 21) | (bytes[offset + 1] << 14) | (bytes[offset + 2] << 7) | bytes[offset + 3];
+}
+
+function uint32BE(bytes, offset) {
+    return ((bytes[offset] << 24) | (bytes[offset + 1] << 16) | (bytes[offset + 2] << 8) | bytes[offset + 3]) >>> 0;
+}
@@ -0,0 +1,339 @@
+/**
+ * Sample processing shared by the whole-file and the streaming audio paths.
+ * Channels are planar Float32Arrays in WAVE / Web Audio order (L R C LFE ...).
+ */
+
+const c = Math.SQRT1_2;
+
+// [left gain, right gain] per input channel, the Web Audio speaker coefficients; LFE is dropped
+const DOWNMIX_MATRICES = {
+    3: [[1, 0], [0, 1], [c, c]],
+    4: [[0.5, 0], [0, 0.5], [0.5, 0], [0, 0.5]],
+    5: [[1, 0], [0, 1], [c, c], [c, 0], [0, c]],
+    6: [[1, 0], [0, 1], [c, c], [0, 0], [c, 0], [0, c]],
+    7: [[1, 0], [0, 1], [c, c], [0, 0], [0.5, 0.5], [c, 0], [0, c]],
+    8: [[1, 0], [0, 1], [c, c], [0, 0], [c, 0], [0, c], [c, 0], [0, c]]
+};
+
+/**
+ * Mixes surround channels down to stereo, so the result sounds like Foundry
+ * playing the surround file on stereo speakers.
+ * @param {Float32Array[]} channels
+ * @returns {Float32Array[]} Left and right
+ */
+export function downmixToStereo(channels) {
+    // Unknown layouts keep the first two channels
+    const matrix = DOWNMIX_MATRICES[channels.length] ?? [[1, 0], [0, 1]];
+    const length = channels[0].length;
+    const left = new Float32Array(length);
+    const right = new Float32Array(length);
+    matrix.forEach(([l, r], ch) => {
+        if (!l && !r) return;
+        const data = channels[ch];
+        for (let i = 0; i < length; i++) {
+            left[i] += data[i] * l;
+            right[i] += data[i] * r;
+        }
+    });
+    return [left, right];
+}
+
+function sinc(x) {
+    return x === 0 ? 1 : Math.sin(Math.PI * x) / (Math.PI * x);
+}
+
+/**
+ * Windowed-sinc sample rate converter that works on consecutive chunks.
+ * Output positions are derived from integer sample counters, so hour-long
+ * streams do not drift, and flush() trims the output to the exact length.
+ */
+export class StreamingResampler {
+    /**
+     * @param {number} inputRate
+     * @param {number} outputRate
+     * @param {number} numberOfChannels
+     * @param {object} [options]
+     * @param {number} [options.halfTaps] Zero crossings on each side of the kernel
+     * @param {number} [options.phases] Kernel table resolution between two input samples
+     */
+    constructor(inputRate, outputRate, numberOfChannels, { halfTaps = 16, phases = 256 } = {}) {
+        this.inputRate = inputRate;
+        this.outputRate = outputRate;
+        this.phases = phases;
+
+        // Downsampling lowers the cutoff and widens the kernel to keep out aliasing
+        const bandwidth = Math.min(1, outputRate / inputRate);
+        const cutoff = bandwidth * 0.95;
+        this.radius = Math.ceil(halfTaps / bandwidth);
+        this.taps = 2 * this.radius;
+
+        // Blackman-windowed sinc for each phase; tap i weighs input sample floor(t) - radius + 1 + i
+        this.table = new Float32Array((phases + 1) * this.taps);
+        for (let p = 0; p <= phases; p++) {
+            for (let i = 0; i < this.taps; i++) {
+                const distance = p / phases - (i - this.radius + 1);
+                const x = distance / this.radius;
+                const window = Math.abs(x) < 1 ? 0.42 + 0.5 * Math.cos(Math.PI * x) + 0.08 * Math.cos(2 * Math.PI * x) : 0;
+                this.table[p * this.taps + i] = cutoff * sinc(cutoff * distance) * window;
+            }
+        }
+        this.weights = new Float32Array(this.taps);
+
+        // Input history starting at absolute sample index `base`, silence before the first sample
+        this.base = -this.radius;
+        this.buffers = Array.from({ length: numberOfChannels }, () => new Float32Array(this.radius));
+        this.inputCount = 0;
+        this.outputCount = 0;
+    }
+
+    /**
+     * @param {Float32Array[]} channels Next input chunk
+     * @returns {Float32Array[]} Every output sample that can be computed so far
+     */
+    process(channels) {
+        this._append(channels);
+        this.inputCount += channels[0].length;
+        return this._render(Infinity);
+    }
+
+    /**
+     * Renders the tail of the stream.
+     * @returns {Float32Array[]} The remaining output samples
+     */
+    flush() {
+        this._append(this.buffers.map(() => new Float32Array(this.radius)));
+        return this._render(Math.round(this.inputCount * this.outputRate / this.inputRate));
+    }
+
+    _append(channels) {
+        this.buffers = this.buffers.map((buffer, ch) => {
+            const merged = new Float32Array(buffer.length + channels[ch].length);
+            merged.set(buffer);
+            merged.set(channels[ch], buffer.length);
+            return merged;
+        });
+    }
+
+    _render(limit) {
+        const taps = this.taps;
+        const end = this.base + this.buffers[0].length;
+
+        // Output n sits at input position n * inputRate / outputRate and needs `radius` samples after it
+        let count = 0;
+        while (this.outputCount + count < limit) {
+            const index = Math.floor((this.outputCount + count) * this.inputRate / this.outputRate);
+            if (index + this.radius >= end) break;
+            count++;
+        }
+
+        const output = this.buffers.map(() => new Float32Array(count));
+        for (let o = 0; o < count; o++) {
+            const position = (this.outputCount + o) * this.inputRate;
+            const index = Math.floor(position / this.outputRate);
+            const phase = (position % this.outputRate) / this.outputRate * this.phases;
+            const row = Math.floor(phase) * taps;
+            const mix = phase - Math.floor(phase);
+            for (let i = 0; i < taps; i++) {
+                const a = this.table[row + i];
+                this.weights[i] = a + (this.table[row + taps + i] - a) * mix;
+            }
+
+            const first = index - this.radius + 1 - this.base;
+            for (let ch = 0; ch < output.length; ch++) {
+                const buffer = this.buffers[ch];
+                let sum = 0;
+                for (let i = 0; i < taps; i++) sum += buffer[first + i] * this.weights[i];
+                output[ch][o] = sum;
+            }
+        }
+        this.outputCount += count;
+
+        // Drop input the next output sample no longer reaches
+        const keepFrom = Math.floor(this.outputCount * this.inputRate / this.outputRate) - this.radius + 1;
+        const drop = keepFrom - this.base;
+        if (drop > 0) {
+            this.buffers = this.buffers.map(buffer => buffer.slice(drop));
+            this.base += drop;
+        }
+        return output;
+    }
+}
+
+/* -------------------------------------------- */
+/*  Loudness and silence                        */
+/* -------------------------------------------- */
+
+// ITU-R BS.1770 channel weights: surround channels count 1.41, LFE not at all
+const LOUDNESS_WEIGHTS = {
+    4: [1, 1, 1.41, 1.41],
+    5: [1, 1, 1, 1.41, 1.41],
+    6: [1, 1, 1, 0, 1.41, 1.41],
+    7: [1, 1, 1, 0, 1.41, 1.41, 1.41],
+    8: [1, 1, 1, 0, 1.41, 1.41, 1.41, 1.41]
+};
+
+// Normalization never pushes the sample peak above this (dBFS)
+const PEAK_CEILING = -1;
+
+/**
+ * Measures integrated loudness (EBU R128 / ITU-R BS.1770: K-weighting, 400 ms blocks
+ * with 75 % overlap, absolute and relative gating), the sample peak and where the sound
+ * starts and ends above a silence threshold. Works on consecutive chunks, so streams
+ * only keep one energy value per 100 ms.
+ */
+export class AudioAnalyzer {
+    /**
+     * @param {number} sampleRate
+     * @param {number} numberOfChannels
+     * @param {object} [options]
+     * @param {number} [options.silenceThreshold=-60] dBFS below which a sample counts as silence
+     */
+    constructor(sampleRate, numberOfChannels, { silenceThreshold = -60 } = {}) {
+        this.weights = LOUDNESS_WEIGHTS[numberOfChannels] ?? new Array(numberOfChannels).fill(1);
+        this.filters = this.weights.map(() => createKWeighting(sampleRate));
+        this.threshold = 10 ** (silenceThreshold / 20);
+        this.hop = Math.round(sampleRate * 0.1);
+
+        this.position = 0;
+        this.peak = 0;
+        this.soundStart = null;
+        this.soundEnd = null;
+        this.subBlocks = []; // Weighted mean square per 100 ms
+        this.sum = 0;
+        this.count = 0;
+    }
+
+    /**
+     * @param {Float32Array[]} channels
+     */
+    process(channels) {
+        const length = channels[0].length;
+        for (let i = 0; i < length; i++) {
+            let energy = 0;
+            let loud = false;
+            for (let ch = 0; ch < channels.length; ch++) {
+                const x = channels[ch][i];
+                const level = Math.abs(x);
+                if (level > this.peak) this.peak = level;
+                if (level >= this.threshold) loud = true;
+                if (!this.weights[ch]) continue;
+                const y = this.filters[ch](x);
+                energy += this.weights[ch] * y * y;
+            }
+            if (loud) {
+                this.soundStart ??= this.position;
+                this.soundEnd = this.position + 1;
+            }
+            this.position++;
+
+            this.sum += energy;
+            if (++this.count === this.hop) {
+                this.subBlocks.push(this.sum / this.hop);
+                this.sum = 0;
+                this.count = 0;
+            }
+        }
+    }
+
+    /**
+     * @returns {{loudness: number, peak: number, length: number, soundStart: number|null, soundEnd: number|null}}
+     *   Loudness in LUFS and peak in dBFS (-Infinity for silence), positions in samples
+     */
+    finish() {
+        // 400 ms blocks from four 100 ms steps; shorter files are measured as one block
+        let blocks = [];
+        for (let i = 0; i + 4 <= this.subBlocks.length; i++) {
+            blocks.push((this.subBlocks[i] + this.subBlocks[i + 1] + this.subBlocks[i + 2] + this.subBlocks[i + 3]) / 4);
+        }
+        if (!blocks.length) {
+            const total = this.subBlocks.reduce((sum, e) => sum + e * this.hop, this.sum);
+            if (this.position) blocks = [total / this.position];
+        }
+
+        const lufs = (energy) => -0.691 + 10 * Math.log10(energy);
+        const mean = (list) => list.reduce((sum, e) => sum + e, 0) / list.length;
+        let gated = blocks.filter(e => lufs(e) > -70);
+        if (gated.length) {
+            const relative = lufs(mean(gated)) - 10;
+            gated = gated.filter(e => lufs(e) > relative);
+        }
+
+        return {
+            loudness: gated.length ? lufs(mean(gated)) : -Infinity,
+            peak: 20 * Math.log10(this.peak),
+            length: this.position,
+            soundStart: this.soundStart,
+            soundEnd: this.soundEnd
+        };
+    }
+}
+
+/**
+ * Works out the gain and the part to keep from a measurement (see AudioAnalyzer).
+ * @param {object} analysis
+ * @param {object} [options]
+ * @param {number} [options.loudnessTarget] LUFS to normalize to, 0 for no normalization
+ * @param {boolean} [options.trimSilence] Drop leading and trailing silence
+ * @param {number} sampleRate
+ * @returns {{gain: number, trim: {start: number, end: number}|null, report: object}} Linear gain, the sample
+ *   range to keep, and the values shown in the Audio tab (LUFS, dBFS, dB and seconds)
+ */
+export function planProcessing(analysis, { loudnessTarget = 0, trimSilence = false } = {}, sampleRate) {
+    let gainDb = 0;
+    if (loudnessTarget && Number.isFinite(analysis.loudness)) {
+        gainDb = Math.min(loudnessTarget - analysis.loudness, PEAK_CEILING - analysis.peak);
+    }
+
+    let trim = null;
+    if (trimSilence && analysis.soundStart !== null && (analysis.soundStart > 0 || analysis.soundEnd < analysis.length)) {
+        trim = { start: analysis.soundStart, end: analysis.soundEnd };
+    }
+
+    return {
+        gain: 10 ** (gainDb / 20),
+        trim: trim,
+        report: {
+            loudness: Number.isFinite(analysis.loudness) ? analysis.loudness : null,
+            peak: Number.isFinite(analysis.peak) ? analysis.peak : null,
+            gain: gainDb,
+            trimmedStart: trim ? trim.start / sampleRate : 0,
+            trimmedEnd: trim ? (analysis.length - trim.end) / sampleRate : 0
+        }
+    };
+}
+
+/**
+ * K-weighting: the BS.1770 high shelf and high-pass, with coefficients derived for
+ * any sample rate (as in libebur128).
+ * @returns {function(number): number} Filters one sample
+ */
+function createKWeighting(sampleRate) {
+    let K = Math.tan(Math.PI * 1681.974450955533 / sampleRate);
+    let Q = 0.7071752369554196;
+    const Vh = 10 ** (3.999843853973347 / 20);
+    const Vb = Vh ** 0.4996667741545416;
+    let a0 = 1 + K / Q + K * K;
+    const shelf = biquad(
+        [(Vh + Vb * K / Q + K * K) / a0, 2 * (K * K - Vh) / a0, (Vh - Vb * K / Q + K * K) / a0],
+        [2 * (K * K - 1) / a0, (1 - K / Q + K * K) / a0]
+    );
+
+    K = Math.tan(Math.PI * 38.13547087602444 / sampleRate);
+    Q = 0.5003270373238773;
+    a0 = 1 + K / Q + K * K;
+    const highPass = biquad([1, -2, 1], [2 * (K * K - 1) / a0, (1 - K / Q + K * K) / a0]);
+
+    return (x) => highPass(shelf(x));
+}
+
+function biquad([b0, b1, b2], [a1, a2]) {
+    let x1 = 0, x2 = 0, y1 = 0, y2 = 0;
+    return (x) => {
+        const y = b0 * x + b1 * x1 + b2 * x2 - a1 * y1 - a2 * y2;
+        x2 = x1;
+        x1 = x;
+        y2 = y1;
+        y1 = y;
+        return y;
+    };
+}
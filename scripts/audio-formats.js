@@ -0,0 +1,79 @@
+/**
+ * Lightweight header parsing for the audio formats the optimizer reads.
+ * Only looks at the first bytes of a file, nothing is decoded here.
+ */
+
+const MPEG_SAMPLE_RATES = {
+    3: [44100, 48000, 32000], // MPEG 1
+    2: [22050, 24000, 16000], // MPEG 2
+    0: [11025, 12000, 8000]   // MPEG 2.5
+};
+
+/**
+ * Reads the native sample rate from a WAV, FLAC, MP3 or Ogg header.
+ * @param {ArrayBuffer} arrayBuffer
+ * @returns {number|null} Sample rate in Hz, or null if the format is not recognized
+ */
+export function readSampleRate(arrayBuffer) {
+    const bytes = new Uint8Array(arrayBuffer);
+    const view = new DataView(arrayBuffer);
+    const magic = String.fromCharCode(...bytes.subarray(0, 4));
+
+    try {
+        if (magic === "RIFF") return readWavSampleRate(bytes, view);
+        if (magic === "fLaC") return readFlacSampleRate(bytes);
+        if (magic === "OggS") return readOggSampleRate(bytes, view);
+        return readMp3SampleRate(bytes);
+    } catch (err) {
+        // Truncated or unusual headers: let the caller fall back
+        return null;
+    }
+}
+
+function readWavSampleRate(bytes, view) {
+    // Walk the RIFF chunks until "fmt "
+    let offset = 12;
+    while (offset + 8 <= bytes.length) {
+        const id = String.fromCharCode(...bytes.subarray(offset, offset + 4));
+        const size = view.getUint32(offset + 4, true);
+        if (id === "fmt ") return view.getUint32(offset + 12, true);
+        offset += 8 + size + (size % 2);
+    }
+    return null;
+}
+
+function readFlacSampleRate(bytes) {
+    // STREAMINFO is always the first metadata block: 20 bits of sample rate after 10 bytes of block sizes
+    const base = 8 + 10;
+    return (bytes[base] << 12) | (bytes[base + 1] << 4) | (bytes[base + 2] >> 4);
+}
+
+function readOggSampleRate(bytes, view) {
+    // First page holds the codec id header
+    const payload = 27 + bytes[26];
+    const codec = String.fromCharCode(...bytes.subarray(payload, payload + 8));
+    if (codec === "OpusHead") return view.getUint32(payload + 12, true);
+    if (codec.startsWith("\x01vorbis")) return view.getUint32(payload + 12, true);
+    return null;
+}
+
+function readMp3SampleRate(bytes) {
+    let offset = 0;
+
+    // Skip an ID3v2 tag (syncsafe size, optional 10-byte footer)
+    if (bytes[0] === 0x49 && bytes[1] === 0x44 && bytes[2] === 0x33) {
+        const size = (bytes[6] << 21) | (bytes[7] << 14) | (bytes[8] << 7) | bytes[9];
+        offset = 10 + size + ((bytes[5] & 0x10) ? 10 : 0);
+    }
+
+    // Find the first frame sync
+    for (let i = offset; i + 3 < bytes.length; i++) {
+        if (bytes[i] !== 0xFF || (bytes[i + 1] & 0xE0) !== 0xE0) continue;
+        const version = (bytes[i + 1] >> 3) & 0x03;
+        const rateIndex = (bytes[i + 2] >> 2) & 0x03;
+        const rates = MPEG_SAMPLE_RATES[version];
+        if (!rates || rateIndex === 3) continue;
+        return rates[rateIndex];
+    }
+    return null;
+}
@@ -0,0 +1,340 @@
+/**
+ * Reads metadata tags from MP3 (ID3v2 / ID3v1), FLAC (Vorbis comments) and
+ * WAV (LIST/INFO or embedded ID3) files and returns them as Vorbis comment
+ * fields, ready for an OpusTags header.
+ */
+
+// ID3v2.3/2.4 and ID3v2.2 frame ids mapped to Vorbis comment fields
+const ID3_FRAMES = {
+    TIT2: "TITLE", TT2: "TITLE",
+    TPE1: "ARTIST", TP1: "ARTIST",
+    TPE2: "ALBUMARTIST", TP2: "ALBUMARTIST",
+    TALB: "ALBUM", TAL: "ALBUM",
+    TCOM: "COMPOSER", TCM: "COMPOSER",
+    TCON: "GENRE", TCO: "GENRE",
+    TRCK: "TRACKNUMBER", TRK: "TRACKNUMBER",
+    TPOS: "DISCNUMBER", TPA: "DISCNUMBER",
+    TDRC: "DATE", TYER: "DATE", TYE: "DATE",
+    TCOP: "COPYRIGHT", TCR: "COPYRIGHT"
+};
+
+const WAV_INFO_FIELDS = {
+    INAM: "TITLE",
+    IART: "ARTIST",
+    IPRD: "ALBUM",
+    ICRD: "DATE",
+    IGNR: "GENRE",
+    ICMT: "COMMENT",
+    ICOP: "COPYRIGHT",
+    ITRK: "TRACKNUMBER"
+};
+
+/**
+ * @param {ArrayBuffer} arrayBuffer Complete source file
+ * @returns {Object<string, string[]>} Vorbis comment fields (upper case) with their values
+ */
+export function readAudioTags(arrayBuffer) {
+    const bytes = new Uint8Array(arrayBuffer);
+    const tags = {};
+    const magic = ascii(bytes, 0, 4);
+
+    try {
+        if (magic === "fLaC") readFlacTags(bytes, tags);
+        else if (magic === "RIFF") readWavTags(bytes, tags);
+        else {
+            readId3v2(bytes, tags);
+            readId3v1(bytes, tags);
+        }
+    } catch (err) {
+        // Broken tags should never stop a conversion
+        console.warn("Scene Optimizer | Could not read audio tags:", err);
+    }
+    return tags;
+}
+
+/**
+ * Where a streamed file can keep tags after its audio data: ID3v1 in the last 128 bytes
+ * of an MP3, or RIFF chunks (LIST/INFO, id3) after a WAV's data chunk. FLAC keeps all of
+ * its metadata in front of the audio.
+ * @param {Uint8Array} header Bytes before the audio data
+ * @returns {{start: number}|null} Offset to read from to the end of the file, negative
+ *   counting from the end (as in Array.prototype.slice); null if there is nothing to read
+ */
+export function getTrailingTagRange(header) {
+    const magic = ascii(header, 0, 4);
+    if (magic === "fLaC") return null;
+    if (magic !== "RIFF") return { start: -128 };
+
+    // The header ends with the data chunk's id and size
+    if (header.length < 20 || ascii(header, header.length - 8, 4) !== "data") return null;
+    const size = new DataView(header.buffer, header.byteOffset + header.length - 4, 4).getUint32(0, true);
+    // Streaming writers leave the size at 0 or 0xFFFFFFFF, so the end of the data is unknown
+    if (size === 0 || size === 0xFFFFFFFF) return null;
+    return { start: header.length + size + (size % 2) };
+}
+
+/**
+ * Adds the tags found after the audio data (see getTrailingTagRange) to those read from
+ * the header, with the same precedence as reading the whole file.
+ * @param {Uint8Array} header Bytes before the audio data
+ * @param {Uint8Array} tail Bytes of the range from getTrailingTagRange
+ * @param {Object<string, string[]>} tags Tags from readAudioTags(header), extended in place
+ */
+export function readTrailingTags(header, tail, tags) {
+    try {
+        if (ascii(header, 0, 4) === "RIFF") readWavChunks(tail, 0, tags);
+        else readId3v1(tail, tags);
+    } catch (err) {
+        console.warn("Scene Optimizer | Could not read audio tags:", err);
+    }
+    return tags;
+}
+
+/**
+ * Adds a value unless the field is already set (first source wins).
+ */
+export function addFallbackTag(tags, field, value) {
+    if (!value || tags[field]?.length) return;
+    tags[field] = [value];
+}
+
+function addTag(tags, field, value) {
+    value = value?.trim();
+    if (!value) return;
+    (tags[field] ??= []).push(value);
+}
+
+/* -------------------------------------------- */
+/*  ID3                                         */
+/* -------------------------------------------- */
+
+function readId3v2(bytes, tags, start = 0) {
+    if (ascii(bytes, start, 3) !== "ID3") return;
+    const major = bytes[start + 3];
+    const flags = bytes[start + 5];
+    const end = Math.min(start + 10 + syncsafe(bytes, start + 6), bytes.length);
+    let offset = start + 10;
+
+    // Skip the extended header
+    if (flags & 0x40) {
+        offset += major === 4 ? syncsafe(bytes, offset) : uint32BE(bytes, offset) + 4;
+    }
+
+    const idLength = major === 2 ? 3 : 4;
+    const headerLength = major === 2 ? 6 : 10;
+
+    while (offset + headerLength <= end) {
+        const id = ascii(bytes, offset, idLength);
+        if (!/^[A-Z0-9]+$/.test(id)) break; // Reached padding
+
+        let frameSize;
+        if (major === 2) frameSize = (bytes[offset + 3] << 16) | (bytes[offset + 4] << 8) | bytes[offset + 5];
+        else if (major === 4) frameSize = syncsafe(bytes, offset + 4);
+        else frameSize = uint32BE(bytes, offset + 4);
+
+        let frame = bytes.subarray(offset + headerLength, offset + headerLength + frameSize);
+        // ID3v2.4 data length indicator
+        if (major === 4 && (bytes[offset + 9] & 0x01)) frame = frame.subarray(4);
+        offset += headerLength + frameSize;
+
+        if (ID3_FRAMES[id]) readId3TextFrame(frame, ID3_FRAMES[id], tags);
+        else if (id === "COMM" || id === "COM") readId3Comment(frame, tags);
+        else if (id === "APIC" || id === "PIC") readId3Picture(frame, id === "PIC", tags);
+    }
+}
+
+function readId3TextFrame(frame, field, tags) {
+    const encoding = frame[0];
+    // ID3v2.4 separates multiple values with null characters
+    const values = decodeText(frame.subarray(1), encoding).split("\0");
+    for (let value of values) {
+        if (field === "GENRE") value = value.replace(/\(\d+\)/g, "");
+        if (field === "TRACKNUMBER" || field === "DISCNUMBER") {
+            const [number, total] = value.split("/");
+            addTag(tags, field, number);
+            if (total) addTag(tags, field === "TRACKNUMBER" ? "TRACKTOTAL" : "DISCTOTAL", total);
+            continue;
+        }
+        addTag(tags, field, value);
+    }
+}
+
+function readId3Comment(frame, tags) {
+    // Encoding + 3 byte language + description + text
+    const encoding = frame[0];
+    const [, textStart] = readTerminated(frame, 4, encoding);
+    addTag(tags, "COMMENT", decodeText(frame.subarray(textStart), encoding).replace(/\0+$/, ""));
+}
+
+function readId3Picture(frame, isV22, tags) {
+    const encoding = frame[0];
+    let offset = 1;
+    let mimeType;
+    if (isV22) {
+        // ID3v2.2 stores a 3 letter image format instead of a MIME type
+        mimeType = `image/${ascii(frame, 1, 3).toLowerCase().replace("jpg", "jpeg")}`;
+        offset = 4;
+    } else {
+        const mimeEnd = frame.indexOf(0, offset);
+        mimeType = ascii(frame, offset, mimeEnd - offset);
+        offset = mimeEnd + 1;
+    }
+    const pictureType = frame[offset];
+    const [description, dataStart] = readTerminated(frame, offset + 1, encoding);
+    addTag(tags, "METADATA_BLOCK_PICTURE", encodeFlacPicture(pictureType, mimeType, description, frame.subarray(dataStart)));
+}
+
+function readId3v1(bytes, tags) {
+    if (bytes.length < 128) return;
+    const base = bytes.length - 128;
+    if (ascii(bytes, base, 3) !== "TAG") return;
+
+    // ID3v1 is only a fallback for fields ID3v2 did not provide
+    const read = (offset, length) => decodeText(bytes.subarray(base + offset, base + offset + length), 0).replace(/\0.*$/, "").trim();
+    addFallbackTag(tags, "TITLE", read(3, 30));
+    addFallbackTag(tags, "ARTIST", read(33, 30));
+    addFallbackTag(tags, "ALBUM", read(63, 30));
+    addFallbackTag(tags, "DATE", read(93, 4));
+    // ID3v1.1 stores the track number in the last comment byte
+    if (bytes[base + 125] === 0 && bytes[base + 126]) addFallbackTag(tags, "TRACKNUMBER", String(bytes[base + 126]));
+}
+
+/* -------------------------------------------- */
+/*  FLAC                                        */
+/* -------------------------------------------- */
+
+function readFlacTags(bytes, tags) {
+    let offset = 4;
+    let isLast = false;
+    while (!isLast && offset + 4 <= bytes.length) {
+        isLast = (bytes[offset] & 0x80) !== 0;
+        const type = bytes[offset] & 0x7F;
+        const length = (bytes[offset + 1] << 16) | (bytes[offset + 2] << 8) | bytes[offset + 3];
+        const block = bytes.subarray(offset + 4, offset + 4 + length);
+        offset += 4 + length;
+
+        if (type === 4) readVorbisComments(block, tags);
+        // FLAC PICTURE blocks already use the METADATA_BLOCK_PICTURE layout
+        else if (type === 6) addTag(tags, "METADATA_BLOCK_PICTURE", toBase64(block));
+    }
+}
+
+function readVorbisComments(block, tags) {
+    const view = new DataView(block.buffer, block.byteOffset, block.byteLength);
+    let offset = 4 + view.getUint32(0, true); // Skip vendor string
+    const count = view.getUint32(offset, true);
+    offset += 4;
+
+    for (let i = 0; i < count && offset + 4 <= block.byteLength; i++) {
+        const length = view.getUint32(offset, true);
+        const comment = decodeText(block.subarray(offset + 4, offset + 4 + length), 3);
+        offset += 4 + length;
+
+        const separator = comment.indexOf("=");
+        if (separator > 0) addTag(tags, comment.slice(0, separator).toUpperCase(), comment.slice(separator + 1));
+    }
+}
+
+/* -------------------------------------------- */
+/*  WAV                                         */
+/* -------------------------------------------- */
+
+function readWavTags(bytes, tags) {
+    readWavChunks(bytes, 12, tags);
+}
+
+function readWavChunks(bytes, offset, tags) {
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    while (offset + 8 <= bytes.length) {
+        const id = ascii(bytes, offset, 4);
+        const size = view.getUint32(offset + 4, true);
+        const data = offset + 8;
+
+        if (id === "LIST" && ascii(bytes, data, 4) === "INFO") readWavInfo(bytes, view, data + 4, data + size, tags);
+        else if (id === "id3 " || id === "ID3 ") readId3v2(bytes, tags, data);
+
+        offset = data + size + (size % 2);
+    }
+}
+
+function readWavInfo(bytes, view, offset, end, tags) {
+    while (offset + 8 <= end) {
+        const id = ascii(bytes, offset, 4);
+        const size = view.getUint32(offset + 4, true);
+        const field = WAV_INFO_FIELDS[id];
+        if (field) addTag(tags, field, decodeText(bytes.subarray(offset + 8, offset + 8 + size), 3).replace(/\0+$/, ""));
+        offset += 8 + size + (size % 2);
+    }
+}
+
+/* -------------------------------------------- */
+/*  Helpers                                     */
+/* -------------------------------------------- */
+
+/**
+ * Decodes ID3-style text: 0 = Latin-1, 1 = UTF-16 with BOM, 2 = UTF-16BE, 3 = UTF-8.
+ */
+function decodeText(data, encoding) {
+    let label = "utf-8";
+    if (encoding === 0) label = "iso-8859-1";
+    else if (encoding === 2) label = "utf-16be";
+    else if (encoding === 1) label = (data[0] === 0xFE && data[1] === 0xFF) ? "utf-16be" : "utf-16le";
+    return new TextDecoder(label).decode(data);
+}
+
+/**
+ * Reads a null-terminated string (two null bytes for UTF-16).
+ * @returns {[string, number]} The string and the offset after its terminator
+ */
+function readTerminated(data, offset, encoding) {
+    const wide = encoding === 1 || encoding === 2;
+    let end = offset;
+    while (end < data.length) {
+        if (!wide && data[end] === 0) break;
+        if (wide && data[end] === 0 && data[end + 1] === 0 && (end - offset) % 2 === 0) break;
+        end += wide ? 2 : 1;
+    }
+    return [decodeText(data.subarray(offset, end), encoding), end + (wide ? 2 : 1)];
+}
+
+/**
+ * Builds a base64 FLAC picture block for the METADATA_BLOCK_PICTURE comment.
+ */
+function encodeFlacPicture(pictureType, mimeType, description, imageData) {
+    const mime = new TextEncoder().encode(mimeType);
+    const desc = new TextEncoder().encode(description);
+    const block = new Uint8Array(32 + mime.length + desc.length + imageData.length);
+    const view = new DataView(block.buffer);
+
+    let offset = 0;
+    view.setUint32(offset, pictureType); offset += 4;
+    view.setUint32(offset, mime.length); offset += 4;
+    block.set(mime, offset); offset += mime.length;
+    view.setUint32(offset, desc.length); offset += 4;
+    block.set(desc, offset); offset += desc.length;
+    offset += 16; // Width, height, depth and palette size unknown (0)
+    view.setUint32(offset, imageData.length); offset += 4;
+    block.set(imageData, offset);
+
+    return toBase64(block);
+}
+
+function toBase64(bytes) {
+    let binary = "";
+    for (let i = 0; i < bytes.length; i += 0x8000) {
+        binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+    }
+    return btoa(binary);
+}
+
+function ascii(bytes, offset, length) {
+    return String.fromCharCode(...bytes.subarray(offset, offset + length));
+}
+
+function syncsafe(bytes, offset) {
+    return (bytes[offset] << 21) | (bytes[offset + 1] << 14) | (bytes[offset + 2] << 7) | bytes[offset + 3];
+}
+
+function uint32BE(bytes, offset) {
+    return ((bytes[offset] << 24) | (bytes[offset + 1] << 16) | (bytes[offset + 2] << 8) | bytes[offset + 3]) >>> 0;
+}
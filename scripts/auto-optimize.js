@@ -0,0 +1,256 @@
+import { MODULE_ID } from "./settings.js";
+import { HOOKS } from "./api.js";
+import { IMAGE_FORMATS, AUDIO_FORMATS, decodePath } from "./classify.js";
+
+/**
+ * Opt-in automatic optimization ("Optimize New Assets Automatically" setting).
+ * Files uploaded through the FilePicker are converted before they reach the server,
+ * except the module's own uploads (FileStorage), which are optimized already.
+ * Scenes, playlist sounds and ambient sounds created or changed with an unoptimized
+ * file are converted afterwards and pointed at the new file.
+ * Failures only raise a notification: the upload or document goes through unchanged.
+ * Registered for GMs only, since every change is saved to the world's run history.
+ */
+export class AutoOptimizer {
+    /**
+     * @param {SceneOptimizer} optimizer Instance (never rendered) whose encoders and upload helpers are reused
+     */
+    constructor(optimizer) {
+        this.optimizer = optimizer;
+        this.pending = new Set(); // Documents being converted, so repeated hooks do not convert twice
+        this.queueUsers = 0; // Conversions in progress; the workers close when the last one ends
+    }
+
+    get enabled() {
+        return game.settings.get(MODULE_ID, "autoOptimize");
+    }
+
+    register() {
+        this._wrapUpload();
+        Hooks.on("preCreateScene", (scene, data, options) => this._markScene(data, options));
+        Hooks.on("preUpdateScene", (scene, changes, options) => this._markScene(changes, options));
+        Hooks.on("createScene", (scene, options, userId) => this._onSceneSaved(scene, options, userId));
+        Hooks.on("updateScene", (scene, changes, options, userId) => this._onSceneSaved(scene, options, userId));
+        Hooks.on("createPlaylistSound", (sound, options, userId) => this._onSoundCreated(sound, sound.name, sound.parent?.name, userId));
+        Hooks.on("createAmbientSound", (sound, options, userId) => this._onSoundCreated(sound, "Ambient Sound", sound.parent?.name, userId));
+    }
+
+    /* -------------------------------------------- */
+    /*  Uploads                                     */
+    /* -------------------------------------------- */
+
+    _wrapUpload() {
+        const auto = this;
+        const upload = FilePicker.upload;
+        FilePicker.upload = async function (source, path, file, body = {}, options = {}) {
+            if (auto.enabled && file instanceof File && !options.sceneOptimizerUpload) {
+                file = await auto._convertUpload(file, source, path);
+            }
+            return upload.call(this, source, path, file, body, options);
+        };
+    }
+
+    /**
+     * Fires the preOptimizeItem and optimizeItem hooks like other runs. The item has no
+     * references and its path is a temporary blob URL; `upload` says where the file goes.
+     * @param {File} file
+     * @param {string} source File source of the upload
+     * @param {string} folder Target folder of the upload
+     * @returns {Promise<File>} The optimized file, or the original if it cannot be converted or would grow
+     */
+    async _convertUpload(file, source, folder) {
+        const format = this._getFormat(file.name);
+        if (!this._isSupported(format)) return file;
+
+        const objectUrl = URL.createObjectURL(file);
+        const item = { name: file.name, src: objectUrl, path: objectUrl, format: format, upload: { source, folder }, refs: [] };
+        const context = this._createContext(item);
+        if (!this.optimizer._allowItem(item, context)) {
+            URL.revokeObjectURL(objectUrl);
+            return file;
+        }
+
+        item.originalSize = file.size;
+        this._acquireJobQueue();
+        try {
+            const { blob, extension, mimeType } = await this._encode(item, context);
+            if (!blob?.size || blob.size >= file.size) {
+                item.skipped = true;
+                return file;
+            }
+
+            item.actualSize = blob.size;
+            const stem = file.name.substring(0, file.name.lastIndexOf("."));
+            return new File([blob], `${stem}.${extension}`, { type: mimeType });
+        } catch (err) {
+            console.error(`Scene Optimizer | Automatic optimization of ${file.name} failed:`, err);
+            ui.notifications.warn(`Scene Optimizer | Could not optimize ${file.name}, the original was uploaded.`);
+            item.error = err.message;
+            return file;
+        } finally {
+            this._releaseJobQueue();
+            URL.revokeObjectURL(objectUrl);
+            Hooks.callAll(HOOKS.optimizeItem, item, this.optimizer._getItemResult(item, false));
+        }
+    }
+
+    /* -------------------------------------------- */
+    /*  Documents                                   */
+    /* -------------------------------------------- */
+
+    /**
+     * Pre-hooks are synchronous, so they only flag the new background.
+     * The options object reaches the matching create/update hook on this client.
+     */
+    _markScene(data, options) {
+        if (!this.enabled || options.sceneOptimizerRevert) return;
+        const src = foundry.utils.getProperty(data, "background.src");
+        if (this._isCandidate(src)) options.sceneOptimizerSource = src;
+    }
+
+    async _onSceneSaved(scene, options, userId) {
+        if (!options.sceneOptimizerSource || userId !== game.user.id) return;
+        await this._convertDocument(scene, "background.src", {
+            name: scene.name,
+            parentName: "Scene",
+            sceneWidth: scene.width,
+            sceneHeight: scene.height,
+            gridSize: scene.grid.size
+        });
+    }
+
+    async _onSoundCreated(sound, name, parentName, userId) {
+        if (!this.enabled || userId !== game.user.id || !this._isCandidate(sound.path)) return;
+        await this._convertDocument(sound, "path", { name, parentName });
+    }
+
+    /**
+     * Converts the file a document points at, uploads it and updates the document.
+     * The change is saved to the run history, so it can be reverted.
+     */
+    async _convertDocument(doc, field, refData) {
+        const src = foundry.utils.getProperty(doc, field);
+        if (!this._isCandidate(src) || this.pending.has(doc.uuid)) return;
+
+        const path = decodePath(src);
+        const ref = { uuid: doc.uuid, field: field, docType: doc.documentName, src: src, path: path, ...this.optimizer._getOverrides(doc), ...refData };
+        const item = {
+            name: refData.name,
+            src: src,
+            path: path,
+            format: this._getFormat(path),
+            qualityOverride: ref.qualityOverride,
+            bitrateOverride: ref.bitrateOverride,
+            refs: [ref]
+        };
+        const context = this._createContext(item);
+        if (!this.optimizer._allowItem(item, context)) return;
+
+        this.pending.add(doc.uuid);
+        this._acquireJobQueue();
+        let updatedRefs = null;
+        try {
+            const { originalSize, blob, extension, mimeType, expected } = await this._encode(item, context);
+            item.originalSize = originalSize;
+            if (!blob?.size || blob.size >= originalSize) {
+                item.skipped = true;
+                return;
+            }
+
+            const newPath = await this.optimizer._uploadOptimized(blob, path, extension, mimeType);
+            await this.optimizer._verifyUpload(newPath, context.type, expected);
+            item.actualSize = blob.size;
+            item.newPath = newPath;
+            updatedRefs = await this.optimizer._applyReferenceUpdates([ref], newPath);
+
+            const run = { id: foundry.utils.randomID(), date: Date.now(), entries: [], auto: true };
+            this.optimizer._recordRunEntries(updatedRefs, newPath, originalSize, blob.size, run);
+            await this.optimizer._appendHistory(run);
+
+            const optimizer = this.optimizer;
+            ui.notifications.info(`Scene Optimizer | Optimized ${refData.name}: ${optimizer._formatBytes(originalSize)} → ${optimizer._formatBytes(blob.size)}`);
+        } catch (err) {
+            console.error(`Scene Optimizer | Automatic optimization of ${path} failed:`, err);
+            // Once the document points at the new file, only the history entry is missing
+            if (updatedRefs) ui.notifications.warn(`Scene Optimizer | ${refData.name} was optimized, but the change is not in the run history and cannot be reverted there.`);
+            else ui.notifications.warn(`Scene Optimizer | Could not optimize ${refData.name}, it keeps its original file.`);
+            item.error = err.message;
+        } finally {
+            this._releaseJobQueue();
+            this.pending.delete(doc.uuid);
+            Hooks.callAll(HOOKS.optimizeItem, item, this.optimizer._getItemResult(item, false));
+        }
+    }
+
+    /* -------------------------------------------- */
+    /*  Helpers                                     */
+    /* -------------------------------------------- */
+
+    /**
+     * Encoder settings from the document's overrides, or the saved format, quality and bitrate settings.
+     * Passed to the preOptimizeItem hook, which may change them.
+     */
+    _createContext(item) {
+        if (IMAGE_FORMATS.includes(item.format)) {
+            const quality = item.qualityOverride ?? game.settings.get(MODULE_ID, "imageQuality");
+            const format = game.settings.get(MODULE_ID, "imageFormat");
+            return { type: "image", quality, format, dryRun: false, auto: true };
+        }
+        const bitrate = item.bitrateOverride ?? (parseInt(game.settings.get(MODULE_ID, "audioBitrate")) || 128000);
+        const downmix = game.settings.get(MODULE_ID, "downmixStereo");
+        return { type: "audio", bitrate, downmix, ...this.optimizer._getAudioProcessing(), dryRun: false, auto: true };
+    }
+
+    /**
+     * Opens the optimizer's workers and upload limit for a conversion. Uploads and document
+     * changes can convert at the same time, so they share one queue.
+     */
+    _acquireJobQueue() {
+        if (this.queueUsers++ === 0) this.optimizer._openJobQueue();
+    }
+
+    _releaseJobQueue() {
+        if (--this.queueUsers === 0) this.optimizer._closeJobQueue();
+    }
+
+    /**
+     * Needs the job queue (see _acquireJobQueue).
+     * @returns {Promise<{originalSize: number, blob: Blob, extension: string, mimeType: string, expected: object}>}
+     */
+    async _encode(item, context) {
+        const optimizer = this.optimizer;
+        if (context.type === "image") {
+            const { originalSize, blob, expected } = await optimizer._encodeImageFile(item, context);
+            return { originalSize, blob, extension: blob.type.split("/")[1], mimeType: blob.type, expected };
+        }
+
+        const audioCtx = new AudioContext();
+        try {
+            const { originalSize, blob, expected } = await optimizer._encodeAudioFile(item, context.bitrate, audioCtx, null, { downmix: context.downmix, processing: context });
+            return { originalSize, blob, extension: "ogg", mimeType: "audio/ogg", expected };
+        } finally {
+            audioCtx.close();
+        }
+    }
+
+    /**
+     * @param {string} path Decoded path or file name
+     */
+    _getFormat(path) {
+        return path.split("?")[0].split(".").pop().toLowerCase();
+    }
+
+    _isSupported(format) {
+        if (IMAGE_FORMATS.includes(format)) return true;
+        return AUDIO_FORMATS.includes(format) && !!window.AudioEncoder;
+    }
+
+    /**
+     * Only files in the server's own storage can be replaced next to the original.
+     */
+    _isCandidate(src) {
+        // Blob and data URLs are not files; S3 and external URLs are handled by FileStorage
+        if (!src || (/^[a-z]+:/i.test(src) && !/^https?:/i.test(src))) return false;
+        return this._isSupported(this._getFormat(decodePath(src)));
+    }
+}
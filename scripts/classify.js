@@ -0,0 +1,58 @@
+/**
+ * Which files the optimizer converts, decided by extension. Shared by the window's
+ * analysis and the offline world tool (tools/optimize-world.mjs), so nothing here
+ * may touch Foundry globals.
+ */
+
+// Still images converted by the image pipeline. GIFs lose their animation, TIFFs only decode in some browsers.
+export const IMAGE_FORMATS = ["png", "jpg", "jpeg", "bmp", "gif", "tif", "tiff"];
+
+// Already optimized, unless a WebP or AVIF is above the resolution limits (see _planResize)
+export const OPTIMIZED_IMAGE_FORMATS = ["webp", "avif", "webm"];
+
+// Video containers transcoded to WebM; they share the image list and pipeline entry point
+export const VIDEO_FORMATS = ["mp4", "m4v", "mov"];
+
+export const AUDIO_FORMATS = ["mp3", "wav", "flac"];
+
+// WebM and OGG are considered "Optimized" for Foundry
+export const OPTIMIZED_AUDIO_FORMATS = ["ogg", "webm"];
+
+/**
+ * Decodes a path as stored in a document or returned by an upload. Call it once per
+ * stored value: decoded paths may hold a literal "%" ("50%.png") and must not be decoded again.
+ * @param {string} path
+ * @returns {string} The decoded path, or the path itself if it is not valid URI encoding
+ */
+export function decodePath(path) {
+    try {
+        return decodeURIComponent(path);
+    } catch (err) {
+        return path; // A stray "%" that is not an escape, e.g. "50%.png"
+    }
+}
+
+/**
+ * @param {string} path As stored in a document, possibly URI-encoded
+ * @returns {{path: string, format: string, isOptimized: boolean}|null} null for files the image pipeline leaves alone
+ */
+export function classifyImage(path) {
+    return classify(path, [...IMAGE_FORMATS, ...VIDEO_FORMATS], OPTIMIZED_IMAGE_FORMATS);
+}
+
+/**
+ * @param {string} path As stored in a document, possibly URI-encoded
+ * @returns {{path: string, format: string, isOptimized: boolean}|null} null for files the audio pipeline leaves alone
+ */
+export function classifyAudio(path) {
+    return classify(path, AUDIO_FORMATS, OPTIMIZED_AUDIO_FORMATS);
+}
+
+function classify(path, formats, optimizedFormats) {
+    if (!path) return null;
+    const decodedPath = decodePath(path);
+    const format = decodedPath.split(".").pop().toLowerCase();
+    const isOptimized = optimizedFormats.includes(format);
+    if (!isOptimized && !formats.includes(format)) return null;
+    return { path: decodedPath, format, isOptimized };
+}
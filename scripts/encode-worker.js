@@ -0,0 +1,828 @@
+import { OggOpusMuxer, OPUS_SAMPLE_RATE, VORBIS_CHANNEL_ORDER } from "./ogg-muxer.js";
+import { createDemuxer } from "./audio-demux.js";
+import { StreamingResampler, downmixToStereo, AudioAnalyzer, planProcessing } from "./audio-dsp.js";
+import { readAudioTags, addFallbackTag, getTrailingTagRange, readTrailingTags } from "./audio-tags.js";
+import { RangeReader, readVideoTrack } from "./mp4-demux.js";
+import { WebMMuxer } from "./webm-muxer.js";
+import { getResizeScale } from "./resize.js";
+
+/**
+ * Encoding worker, driven by EncoderPool (job-queue.js).
+ * Converts images to WebP or AVIF (whole or cut into map tiles) on an OffscreenCanvas, encodes audio to Ogg Opus and
+ * transcodes MP4/MOV video to WebM with WebCodecs, so large files never block the Foundry UI.
+ *
+ * In:  { id, type: "image", bitmap, quality, scale, format, minPsnr }
+ *      { id, type: "tiles", bitmap, quality, scale, format, minPsnr, tileSize, baseSize }
+ *      { id, type: "merge", width, height, pieces }
+ *      { id, type: "audio", channels, sampleRate, bitrate, inputSampleRate, tags, processing }
+ *      { id, type: "audio-stream", url, bitrate, downmix, fallbackTags, processing }
+ *      { id, type: "video", url, codec, bitrate, maxFramerate, limits }
+ *      { id, type: "abort" }
+ * Out: { id, type: "progress", pct } | { id, type: "done", result } | { id, type: "error", name, message }
+ */
+
+const abortedJobs = new Set();
+
+self.onmessage = async (event) => {
+    const job = event.data;
+    if (job.type === "abort") {
+        abortedJobs.add(job.id);
+        return;
+    }
+
+    const onProgress = (pct) => self.postMessage({ id: job.id, type: "progress", pct: Math.min(100, pct) });
+    try {
+        let result;
+        if (job.type === "image") result = await encodeImage(job, onProgress);
+        else if (job.type === "tiles") result = await encodeTiles(job, onProgress);
+        else if (job.type === "merge") result = await mergeTiles(job, onProgress);
+        else if (job.type === "audio") result = await encodeAudio(job, onProgress);
+        else if (job.type === "audio-stream") result = await encodeAudioStream(job, onProgress);
+        else if (job.type === "video") result = await encodeVideo(job, onProgress);
+        else throw new Error(`Unknown job type: ${job.type}`);
+        self.postMessage({ id: job.id, type: "done", result });
+    } catch (err) {
+        self.postMessage({ id: job.id, type: "error", name: err.name, message: err.message });
+    } finally {
+        abortedJobs.delete(job.id);
+    }
+};
+
+function throwIfAborted(id) {
+    if (abortedJobs.has(id)) throw new DOMException("Job aborted", "AbortError");
+}
+
+/* -------------------------------------------- */
+/*  Images                                      */
+/* -------------------------------------------- */
+
+// Candidates tried by the "auto" format, lossless first since it always meets the threshold
+const AUTO_FORMATS = ["webp-lossless", "webp", "avif"];
+
+// Tile size for the PSNR comparison, so large maps are never read back in one piece
+const COMPARE_TILE = 1024;
+
+/**
+ * Downscales a decoded image and encodes it as "webp", "webp-lossless", "avif" or "auto".
+ * The Blob's type tells which format was written.
+ */
+async function encodeImage({ id, bitmap, quality, scale = 1, format = "webp", minPsnr = 40 }, onProgress) {
+    const targetWidth = Math.max(1, Math.round(bitmap.width * scale));
+    const targetHeight = Math.max(1, Math.round(bitmap.height * scale));
+    const canvas = scaleDown(id, bitmap, targetWidth, targetHeight, onProgress);
+    bitmap.close();
+
+    const blob = await encodeAs(id, canvas, format, quality, minPsnr);
+    onProgress(100);
+    return blob;
+}
+
+/**
+ * Downscales a decoded map and cuts it into pieces of at most tileSize pixels per side,
+ * plus a small base image for the scene background. Without a resize the pieces are
+ * cut straight from the bitmap, so no second full-size copy is made.
+ * @returns {Promise<{width: number, height: number, pieces: object[], base: object}>} Pieces are
+ *   { row, column, x, y, width, height, blob } in output pixels, the base is { width, height, blob }
+ */
+async function encodeTiles({ id, bitmap, quality, scale = 1, format = "webp", minPsnr = 40, tileSize, baseSize }, onProgress) {
+    const width = Math.max(1, Math.round(bitmap.width * scale));
+    const height = Math.max(1, Math.round(bitmap.height * scale));
+    const source = scale < 1 ? scaleDown(id, bitmap, width, height, pct => onProgress(pct * 0.3)) : bitmap;
+
+    const columns = Math.ceil(width / tileSize);
+    const rows = Math.ceil(height / tileSize);
+    const pieces = [];
+    for (let row = 0; row < rows; row++) {
+        for (let column = 0; column < columns; column++) {
+            throwIfAborted(id);
+            const x = column * tileSize;
+            const y = row * tileSize;
+            const piece = new OffscreenCanvas(Math.min(tileSize, width - x), Math.min(tileSize, height - y));
+            piece.getContext("2d").drawImage(source, x, y, piece.width, piece.height, 0, 0, piece.width, piece.height);
+            const blob = await encodeAs(id, piece, format, quality, minPsnr);
+            pieces.push({ row, column, x, y, width: piece.width, height: piece.height, blob });
+            onProgress(30 + pieces.length / (rows * columns) * 65);
+        }
+    }
+
+    const baseScale = Math.min(1, baseSize / Math.max(width, height));
+    const baseWidth = Math.max(1, Math.round(width * baseScale));
+    const baseHeight = Math.max(1, Math.round(height * baseScale));
+    const baseCanvas = scaleDown(id, source, baseWidth, baseHeight, () => { });
+    bitmap.close();
+    const base = { width: baseWidth, height: baseHeight, blob: await encodeAs(id, baseCanvas, "webp", quality, minPsnr) };
+
+    onProgress(100);
+    return { width, height, pieces, base };
+}
+
+/**
+ * Stitches split map pieces back into one PNG (WebP cannot hold maps this large).
+ * @returns {Promise<Blob>}
+ */
+async function mergeTiles({ id, width, height, pieces }, onProgress) {
+    const canvas = new OffscreenCanvas(width, height);
+    const ctx = canvas.getContext("2d");
+    for (const [index, piece] of pieces.entries()) {
+        throwIfAborted(id);
+        const response = await fetch(piece.url);
+        if (!response.ok) throw new Error(`Could not fetch ${piece.url} (${response.status})`);
+        const bitmap = await createImageBitmap(await response.blob());
+        ctx.drawImage(bitmap, piece.x, piece.y);
+        bitmap.close();
+        onProgress((index + 1) / pieces.length * 90);
+    }
+    const blob = await canvas.convertToBlob({ type: "image/png" });
+    onProgress(100);
+    return blob;
+}
+
+/**
+ * Large reductions are done in halving steps, which keeps fine detail far better
+ * than a single smoothed drawImage.
+ * @returns {OffscreenCanvas}
+ */
+function scaleDown(id, source, targetWidth, targetHeight, onProgress) {
+    const steps = Math.max(0, Math.floor(Math.log2(Math.min(source.width / targetWidth, source.height / targetHeight)))) + 1;
+    let width = source.width;
+    let height = source.height;
+    let step = 0;
+    while (width / 2 >= targetWidth && height / 2 >= targetHeight) {
+        throwIfAborted(id);
+        width = Math.round(width / 2);
+        height = Math.round(height / 2);
+        source = drawScaled(source, width, height);
+        onProgress(Math.round(++step / steps * 90));
+    }
+    const canvas = drawScaled(source, targetWidth, targetHeight);
+    onProgress(90);
+    return canvas;
+}
+
+/**
+ * Encodes a canvas in the chosen output format.
+ * @returns {Promise<Blob>}
+ */
+async function encodeAs(id, canvas, format, quality, minPsnr) {
+    throwIfAborted(id);
+    let blob;
+    if (format === "auto") {
+        blob = await encodeSmallest(id, canvas, quality, minPsnr);
+    } else {
+        // Without an AVIF encoder the browser hands back a PNG, so fall back to lossy WebP
+        blob = await encodeCanvas(canvas, format, quality) ?? await encodeCanvas(canvas, "webp", quality);
+    }
+    if (!blob) throw new DOMException("This browser cannot encode WebP", "NotSupportedError");
+    return blob;
+}
+
+/**
+ * @returns {Promise<Blob|null>} null if the browser cannot encode the format
+ */
+async function encodeCanvas(canvas, format, quality) {
+    // Chromium writes lossless WebP at quality 1
+    if (format === "webp-lossless") return canvas.convertToBlob({ type: "image/webp", quality: 1 });
+
+    const type = format === "avif" ? "image/avif" : "image/webp";
+    const blob = await canvas.convertToBlob({ type, quality });
+    return blob.type === type ? blob : null;
+}
+
+/**
+ * Encodes every candidate format and keeps the smallest one whose PSNR against the
+ * scaled source reaches minPsnr. Candidates larger than the best so far are not measured.
+ */
+async function encodeSmallest(id, canvas, quality, minPsnr) {
+    let best = null;
+    for (const format of AUTO_FORMATS) {
+        throwIfAborted(id);
+        const blob = await encodeCanvas(canvas, format, quality);
+        if (!blob || (best && blob.size >= best.size)) continue;
+        if (format !== "webp-lossless" && await measurePsnr(id, canvas, blob) < minPsnr) continue;
+        best = blob;
+    }
+    return best;
+}
+
+/**
+ * Peak signal-to-noise ratio of an encoded image against the canvas it was made from,
+ * in dB. Colour errors are weighted by alpha, so hidden pixels of transparent areas do not count.
+ */
+async function measurePsnr(id, canvas, blob) {
+    const decoded = await createImageBitmap(blob);
+    const sourceCtx = canvas.getContext("2d");
+    const tile = new OffscreenCanvas(COMPARE_TILE, COMPARE_TILE);
+    const tileCtx = tile.getContext("2d", { willReadFrequently: true });
+
+    let squaredError = 0;
+    try {
+        for (let y = 0; y < canvas.height; y += COMPARE_TILE) {
+            for (let x = 0; x < canvas.width; x += COMPARE_TILE) {
+                throwIfAborted(id);
+                const w = Math.min(COMPARE_TILE, canvas.width - x);
+                const h = Math.min(COMPARE_TILE, canvas.height - y);
+                const source = sourceCtx.getImageData(x, y, w, h).data;
+                tileCtx.clearRect(0, 0, w, h);
+                tileCtx.drawImage(decoded, x, y, w, h, 0, 0, w, h);
+                const encoded = tileCtx.getImageData(0, 0, w, h).data;
+
+                for (let i = 0; i < source.length; i += 4) {
+                    const alpha = source[i + 3] / 255;
+                    for (let c = 0; c < 3; c++) {
+                        const diff = (source[i + c] - encoded[i + c]) * alpha;
+                        squaredError += diff * diff;
+                    }
+                    const alphaDiff = source[i + 3] - encoded[i + 3];
+                    squaredError += alphaDiff * alphaDiff;
+                }
+            }
+        }
+    } finally {
+        decoded.close();
+    }
+
+    const mse = squaredError / (canvas.width * canvas.height * 4);
+    return mse === 0 ? Infinity : 10 * Math.log10(255 * 255 / mse);
+}
+
+function drawScaled(source, width, height) {
+    const canvas = new OffscreenCanvas(width, height);
+    const ctx = canvas.getContext("2d");
+    ctx.imageSmoothingEnabled = true;
+    ctx.imageSmoothingQuality = "high";
+    ctx.drawImage(source, 0, 0, width, height);
+    return canvas;
+}
+
+/* -------------------------------------------- */
+/*  Audio                                       */
+/* -------------------------------------------- */
+
+/**
+ * Whole-file path: planar PCM decoded on the main thread (already at 48 kHz),
+ * measured, then fed to the encoder in ~5 second chunks.
+ * @returns {Promise<{blob: Blob, duration: number, analysis: object}>} Duration in seconds after trimming,
+ *   analysis as reported by planProcessing()
+ */
+async function encodeAudio({ id, channels, sampleRate, bitrate = 128000, inputSampleRate, tags, processing = {} }, onProgress) {
+    const analyzer = new AudioAnalyzer(sampleRate, channels.length, processing);
+    analyzer.process(channels);
+    const plan = planProcessing(analyzer.finish(), processing, sampleRate);
+
+    const stream = new OpusStreamEncoder({ sampleRate, numberOfChannels: channels.length, bitrate, inputSampleRate, tags, gain: plan.gain, trim: plan.trim });
+    await stream.configure();
+    try {
+        const length = channels[0].length;
+        const chunkSize = sampleRate * 5;
+        for (let offset = 0; offset < length; offset += chunkSize) {
+            throwIfAborted(id);
+            await stream.waitForQueue();
+            stream.write(channels.map(c => c.subarray(offset, offset + chunkSize)));
+            onProgress(Math.round(Math.min(offset + chunkSize, length) / length * 100));
+        }
+        const blob = await stream.finish();
+        return { blob, duration: stream.inputSamples / sampleRate, analysis: plan.report };
+    } finally {
+        stream.close();
+    }
+}
+
+/**
+ * Streaming path for MP3, WAV and FLAC: the file is fetched in chunks and goes
+ * demuxer -> AudioDecoder -> resampler -> AudioEncoder -> Ogg pages, so neither
+ * the source nor its PCM is ever held in memory as a whole.
+ * Normalizing and trimming need the whole file measured first, so the file is then
+ * decoded twice; otherwise it is measured while it is encoded.
+ * Throws NotSupportedError before doing any work if the file cannot be streamed.
+ * `expected` holds the duration (seconds, after trimming) and channel count, to check the upload against.
+ * @returns {Promise<{blob: Blob, originalSize: number, expected: {duration: number, channels: number}, analysis: object}>}
+ */
+async function encodeAudioStream({ id, url, bitrate = 128000, downmix = false, fallbackTags = {}, processing = {} }, onProgress) {
+    let plan = null;
+    if (processing.loudnessTarget || processing.trimSilence) {
+        let analyzer = null;
+        const { config } = await decodeAudioStream(id, url, {
+            onConfig: (config) => {
+                analyzer = new AudioAnalyzer(config.sampleRate, config.numberOfChannels, processing);
+            },
+            onPlanes: (planes) => analyzer.process(planes)
+        }, (pct) => onProgress(pct / 2));
+        plan = planProcessing(analyzer.finish(), processing, config.sampleRate);
+    }
+
+    let stream = null;
+    let analyzer = null;
+    try {
+        const { bytesRead, config } = await decodeAudioStream(id, url, {
+            onConfig: async (config, header) => {
+                const tags = readAudioTags(header.buffer);
+                await fetchTrailingTags(url, header, tags);
+                for (const [field, value] of Object.entries(fallbackTags)) addFallbackTag(tags, field, value);
+                if (!plan) analyzer = new AudioAnalyzer(config.sampleRate, config.numberOfChannels, processing);
+                stream = new OpusStreamEncoder({
+                    sampleRate: config.sampleRate,
+                    numberOfChannels: config.numberOfChannels,
+                    bitrate, downmix, tags, analyzer,
+                    gain: plan?.gain,
+                    trim: plan?.trim
+                });
+                await stream.configure();
+            },
+            onPlanes: (planes) => stream.write(planes),
+            waitForQueue: () => stream.waitForQueue(),
+            getError: () => stream.error
+        }, (pct) => onProgress(plan ? 50 + pct / 2 : pct));
+
+        const blob = await stream.finish();
+        plan ??= planProcessing(analyzer.finish(), {}, config.sampleRate);
+        const expected = { duration: stream.inputSamples / config.sampleRate, channels: config.numberOfChannels };
+        return { blob, originalSize: bytesRead, expected, analysis: plan.report };
+    } finally {
+        stream?.close();
+    }
+}
+
+/**
+ * Reads the tags a streamed file keeps after its audio data (ID3v1, trailing WAV chunks)
+ * with a Range request. Servers that ignore the range are left alone rather than
+ * downloading the file a second time.
+ * @param {string} url
+ * @param {Uint8Array} header Bytes before the audio data
+ * @param {Object<string, string[]>} tags Extended in place
+ */
+async function fetchTrailingTags(url, header, tags) {
+    const range = getTrailingTagRange(header);
+    if (!range) return;
+    try {
+        const response = await fetch(url, { headers: { Range: range.start < 0 ? `bytes=${range.start}` : `bytes=${range.start}-` } });
+        if (response.status !== 206) {
+            response.body?.cancel();
+            return;
+        }
+        readTrailingTags(header, new Uint8Array(await response.arrayBuffer()), tags);
+    } catch (err) {
+        console.warn("Scene Optimizer | Could not read trailing audio tags:", err);
+    }
+}
+
+/**
+ * Fetches, demuxes and decodes an MP3, WAV or FLAC file chunk by chunk. MP3 encoder
+ * delay and padding are trimmed before the PCM is handed on.
+ * @param {number} id Job ID, for aborting
+ * @param {string} url
+ * @param {object} handlers
+ * @param {function(object, Uint8Array): Promise|void} handlers.onConfig Called with the demuxer config and the file header before any PCM
+ * @param {function(Float32Array[])} handlers.onPlanes Receives planar PCM at the source rate
+ * @param {function(): Promise} [handlers.waitForQueue] Backpressure from the consumer
+ * @param {function(): Error|null} [handlers.getError] Errors the consumer ran into
+ * @param {function(number)} onProgress
+ * @returns {Promise<{bytesRead: number, config: object}>}
+ */
+async function decodeAudioStream(id, url, { onConfig, onPlanes, waitForQueue, getError }, onProgress) {
+    const response = await fetch(url);
+    if (!response.ok || !response.body) throw new Error(`Could not fetch ${url} (${response.status})`);
+    const totalBytes = Number(response.headers.get("Content-Length")) || 0;
+    const reader = response.body.getReader();
+
+    let bytesRead = 0;
+    let done = false;
+    const readChunk = async () => {
+        const result = await reader.read();
+        done = result.done;
+        if (result.value) bytesRead += result.value.length;
+        return result.value;
+    };
+
+    let decoder = null;
+    let error = null;
+    try {
+        // 1. Sniff the format and read the header
+        let head = new Uint8Array(0);
+        while (head.length < 12 && !done) head = concatBytes(head, await readChunk() ?? new Uint8Array(0));
+        const demuxer = createDemuxer(head);
+        if (!demuxer) throw new DOMException("Not an MP3, WAV or FLAC file", "NotSupportedError");
+        demuxer.push(head);
+
+        let frames = demuxer.read();
+        while (!demuxer.config) {
+            const chunk = await readChunk();
+            if (chunk) demuxer.push(chunk);
+            if (done) demuxer.end();
+            frames = demuxer.read();
+            if (done && !demuxer.config) throw new DOMException("Incomplete audio header", "NotSupportedError");
+        }
+        const config = demuxer.config;
+
+        // 2. Gapless playback: drop the MP3 decoder delay and padding
+        let skip = config.trimStart ?? 0;
+        let remaining = config.totalSamples ?? null;
+        const deliver = (planes) => {
+            let start = 0;
+            let end = planes[0].length;
+            if (skip > 0) {
+                start = Math.min(skip, end);
+                skip -= start;
+            }
+            if (remaining !== null) {
+                end = Math.min(end, start + remaining);
+                remaining -= Math.max(0, end - start);
+            }
+            if (end > start) onPlanes(planes.map(p => p.subarray(start, end)));
+        };
+
+        // 3. Set up the decoder (WAV PCM needs none) and the consumer
+        if (config.codec !== "pcm") {
+            const decoderConfig = { codec: config.codec, sampleRate: config.sampleRate, numberOfChannels: config.numberOfChannels };
+            if (config.description) decoderConfig.description = config.description;
+            const { supported } = await AudioDecoder.isConfigSupported(decoderConfig).catch(() => ({ supported: false }));
+            if (!supported) throw new DOMException(`AudioDecoder does not support ${config.codec}`, "NotSupportedError");
+
+            decoder = new AudioDecoder({
+                output: (audioData) => {
+                    const planes = Array.from({ length: audioData.numberOfChannels }, (_, ch) => {
+                        const plane = new Float32Array(audioData.numberOfFrames);
+                        audioData.copyTo(plane, { planeIndex: ch, format: "f32-planar" });
+                        return plane;
+                    });
+                    audioData.close();
+                    try {
+                        deliver(planes);
+                    } catch (err) {
+                        error ??= err;
+                    }
+                },
+                error: (e) => {
+                    error ??= e;
+                }
+            });
+            decoder.configure(decoderConfig);
+        }
+        await onConfig(config, demuxer.header);
+
+        // 4. Pump frames until the file ends
+        const feed = (frames) => {
+            for (const frame of frames) {
+                if (frame.pcm) deliver(frame.pcm);
+                else decoder.decode(new EncodedAudioChunk({ type: "key", timestamp: frame.timestamp, data: frame.data }));
+            }
+        };
+        feed(frames);
+        while (!done) {
+            throwIfAborted(id);
+            error ??= getError?.() ?? null;
+            if (error) throw error;
+            // Backpressure: let the decoder and the consumer catch up before reading on
+            while ((decoder?.decodeQueueSize ?? 0) > 20) await new Promise(r => setTimeout(r, 5));
+            await waitForQueue?.();
+
+            const chunk = await readChunk();
+            if (chunk) demuxer.push(chunk);
+            if (done) demuxer.end();
+            feed(demuxer.read());
+            if (totalBytes) onProgress(Math.round(bytesRead / totalBytes * 100));
+        }
+
+        if (decoder) await decoder.flush();
+        if (error) throw error;
+        return { bytesRead, config };
+    } finally {
+        if (!done) reader.cancel().catch(() => { });
+        if (decoder && decoder.state !== "closed") decoder.close();
+    }
+}
+
+/**
+ * PCM in, Ogg Opus out: optional gapless trimming, stereo downmix and
+ * resampling to 48 kHz in front of a WebCodecs AudioEncoder, whose packets go
+ * straight into Ogg pages. Surround streams are encoded in Vorbis channel order.
+ */
+class OpusStreamEncoder {
+    /**
+     * @param {object} options
+     * @param {number} options.sampleRate Rate of the PCM passed to write()
+     * @param {number} options.numberOfChannels Channels of the PCM passed to write()
+     * @param {number} options.bitrate
+     * @param {boolean} [options.downmix] Mix surround down to stereo
+     * @param {number} [options.inputSampleRate] Original rate for the OpusHead (default: sampleRate)
+     * @param {object} [options.tags] Vorbis comments
+     * @param {number} [options.gain=1] Linear gain applied before encoding
+     * @param {{start: number, end: number}} [options.trim] Input samples to keep, silence around them is dropped
+     * @param {AudioAnalyzer} [options.analyzer] Measures the PCM as it passes, before trimming and gain
+     */
+    constructor({ sampleRate, numberOfChannels, bitrate, downmix = false, inputSampleRate, tags, gain = 1, trim = null, analyzer = null }) {
+        this.sampleRate = sampleRate;
+        this.inputChannels = numberOfChannels;
+        this.bitrate = bitrate;
+        this.downmix = downmix;
+        this.inputSampleRate = inputSampleRate ?? sampleRate;
+        this.tags = tags;
+        this.gain = gain;
+        this.trim = trim;
+        this.analyzer = analyzer;
+        this.position = 0; // Input samples written so far, before trimming
+        this.encodedSamples = 0;
+        this.inputSamples = 0; // After trimming, at the input rate
+        this.error = null;
+        this.sink = new PageSink("audio/ogg");
+    }
+
+    async configure() {
+        // Surround: downmix on request, or when this browser's Opus encoder cannot take the layout
+        if (this.inputChannels > 2 && !this.downmix) {
+            const supported = VORBIS_CHANNEL_ORDER[this.inputChannels] && (await AudioEncoder.isConfigSupported({
+                codec: 'opus',
+                numberOfChannels: this.inputChannels,
+                sampleRate: OPUS_SAMPLE_RATE,
+                bitrate: this.bitrate
+            }).catch(() => ({ supported: false }))).supported;
+            if (!supported) {
+                console.warn(`Scene Optimizer | ${this.inputChannels}-channel Opus not supported by this browser, downmixing to stereo.`);
+                this.downmix = true;
+            }
+        }
+        if (this.inputChannels <= 2) this.downmix = false;
+        this.channels = this.downmix ? 2 : this.inputChannels;
+        this.channelOrder = VORBIS_CHANNEL_ORDER[this.channels];
+
+        if (this.sampleRate !== OPUS_SAMPLE_RATE) {
+            this.resampler = new StreamingResampler(this.sampleRate, OPUS_SAMPLE_RATE, this.channels);
+        }
+
+        this.muxer = new OggOpusMuxer(this.inputSampleRate, this.channels, {
+            tags: this.tags,
+            onPage: page => this.sink.write(page)
+        });
+        this.encoder = new AudioEncoder({
+            output: (chunk, metadata) => {
+                // The first chunk carries the OpusHead with the encoder's pre-skip
+                if (metadata?.decoderConfig) this.muxer.setDecoderConfig(metadata.decoderConfig);
+                const buffer = new Uint8Array(chunk.byteLength);
+                chunk.copyTo(buffer);
+                // Sample count is read from the packet's TOC byte
+                this.muxer.addPacket(buffer);
+            },
+            error: (e) => {
+                this.error ??= e;
+            }
+        });
+        this.encoder.configure({
+            codec: 'opus',
+            numberOfChannels: this.channels,
+            sampleRate: OPUS_SAMPLE_RATE,
+            bitrate: this.bitrate
+        });
+    }
+
+    /**
+     * @param {Float32Array[]} channels Planar PCM at the input rate
+     */
+    write(channels) {
+        this.analyzer?.process(channels);
+        const offset = this.position;
+        this.position += channels[0].length;
+
+        let start = 0;
+        let end = channels[0].length;
+        if (this.trim) {
+            start = Math.max(0, this.trim.start - offset);
+            end = Math.min(end, this.trim.end - offset);
+        }
+        if (end <= start) return;
+        this.inputSamples += end - start;
+
+        let planes = channels.map(c => c.subarray(start, end));
+        if (this.gain !== 1) planes = planes.map(p => p.map(v => v * this.gain));
+        if (this.downmix) planes = downmixToStereo(planes);
+        if (this.resampler) planes = this.resampler.process(planes);
+        this._encode(planes);
+    }
+
+    async waitForQueue() {
+        while (this.encoder.encodeQueueSize > 5) await new Promise(r => setTimeout(r, 10));
+    }
+
+    /**
+     * @returns {Promise<Blob>}
+     */
+    async finish() {
+        if (this.resampler) this._encode(this.resampler.flush());
+        await this.encoder.flush();
+        if (this.error) throw this.error;
+        // Trim the padding of the last frame to the exact source length
+        this.muxer.finish(this.encodedSamples);
+        return this.sink.getBlob();
+    }
+
+    close() {
+        if (this.encoder && this.encoder.state !== "closed") this.encoder.close();
+    }
+
+    _encode(planes) {
+        const frames = planes[0].length;
+        if (!frames) return;
+        const buffer = new Float32Array(frames * this.channels);
+        for (let ch = 0; ch < this.channels; ch++) {
+            buffer.set(planes[this.channelOrder[ch]], ch * frames);
+        }
+        const audioData = new AudioData({
+            format: 'f32-planar',
+            sampleRate: OPUS_SAMPLE_RATE,
+            numberOfChannels: this.channels,
+            numberOfFrames: frames,
+            timestamp: this.encodedSamples * 1000000 / OPUS_SAMPLE_RATE,
+            data: buffer
+        });
+        this.encoder.encode(audioData);
+        audioData.close();
+        this.encodedSamples += frames;
+    }
+}
+
+/* -------------------------------------------- */
+/*  Video                                       */
+/* -------------------------------------------- */
+
+// Key frame interval in microseconds, so looping and seeking stay cheap
+const VIDEO_KEY_INTERVAL = 2000000;
+
+/**
+ * MP4/MOV (H.264, HEVC, VP9, AV1) to WebM (VP9 or AV1): samples are read through range
+ * requests, decoded with VideoDecoder, optionally downscaled and thinned out to a
+ * lower framerate, re-encoded with VideoEncoder and written to WebM clusters.
+ * Audio tracks are dropped. Throws NotSupportedError if the browser cannot decode
+ * the source or encode the target.
+ * @param {object} job
+ * @param {string} job.codec "vp9" or "av1"
+ * @param {number} job.bitrate Target bits per second
+ * @param {number} job.maxFramerate 0 keeps the source framerate
+ * @param {object} job.limits Resize limits, see resize.js
+ * `expected` holds the output size and the source duration (seconds), to check the upload against.
+ * @returns {Promise<{blob: Blob, originalSize: number, scale: number, sourceWidth: number, sourceHeight: number, expected: object}>}
+ */
+async function encodeVideo({ id, url, codec = "vp9", bitrate = 5000000, maxFramerate = 0, limits = {} }, onProgress) {
+    const reader = new RangeReader(url);
+    await reader.open();
+    const track = await readVideoTrack(reader);
+    if (!track?.samples.length) throw new DOMException("No video track found", "NotSupportedError");
+
+    const decoderConfig = { codec: track.codec, codedWidth: track.width, codedHeight: track.height };
+    if (track.description) decoderConfig.description = track.description;
+    const decoderSupport = await VideoDecoder.isConfigSupported(decoderConfig).catch(() => ({ supported: false }));
+    if (!decoderSupport.supported) throw new DOMException(`VideoDecoder does not support ${track.codec}`, "NotSupportedError");
+
+    // Encoders work on 4:2:0 frames, scaled sizes are kept even
+    const scale = getResizeScale(track.width, track.height, limits);
+    const even = (value) => Math.max(2, Math.round(value / 2) * 2);
+    const width = scale < 1 ? even(track.width * scale) : track.width;
+    const height = scale < 1 ? even(track.height * scale) : track.height;
+    const frameRate = maxFramerate > 0 ? Math.min(maxFramerate, track.frameRate) : track.frameRate;
+
+    const encoderConfig = {
+        codec: getVideoCodecString(codec, width, height),
+        width, height, bitrate,
+        framerate: frameRate,
+        bitrateMode: "variable",
+        latencyMode: "quality"
+    };
+    const encoderSupport = await VideoEncoder.isConfigSupported(encoderConfig).catch(() => ({ supported: false }));
+    if (!encoderSupport.supported) throw new DOMException(`VideoEncoder does not support ${encoderConfig.codec} at ${width}×${height}`, "NotSupportedError");
+
+    const sink = new PageSink("video/webm");
+    const muxer = new WebMMuxer({ codec: encoderConfig.codec, width, height, onCluster: bytes => sink.write(bytes) });
+    const canvas = scale < 1 ? new OffscreenCanvas(width, height) : null;
+    const ctx = canvas?.getContext("2d");
+    let error = null;
+    let lastSlot = -1;
+    let nextKey = 0;
+
+    const encoder = new VideoEncoder({
+        output: (chunk, metadata) => muxer.addChunk(chunk, metadata),
+        error: (e) => {
+            error ??= e;
+        }
+    });
+    const decoder = new VideoDecoder({
+        output: (frame) => {
+            try {
+                // Framerate cap: keep the first frame that falls into each output frame slot
+                const slot = Math.floor(frame.timestamp * frameRate / 1e6 + 1e-3);
+                if (maxFramerate > 0 && slot <= lastSlot) return;
+                lastSlot = slot;
+
+                const keyFrame = frame.timestamp >= nextKey;
+                if (keyFrame) nextKey = frame.timestamp + VIDEO_KEY_INTERVAL;
+                const duration = maxFramerate > 0 ? Math.round(1e6 / frameRate) : frame.duration ?? undefined;
+                if (canvas) {
+                    ctx.drawImage(frame, 0, 0, width, height);
+                    const scaled = new VideoFrame(canvas, { timestamp: frame.timestamp, duration });
+                    encoder.encode(scaled, { keyFrame });
+                    scaled.close();
+                } else {
+                    encoder.encode(frame, { keyFrame });
+                }
+            } catch (err) {
+                error ??= err;
+            } finally {
+                frame.close();
+            }
+        },
+        error: (e) => {
+            error ??= e;
+        }
+    });
+
+    try {
+        encoder.configure(encoderConfig);
+        decoder.configure(decoderConfig);
+
+        const total = track.samples.length;
+        for (let i = 0; i < total; i++) {
+            throwIfAborted(id);
+            if (error) throw error;
+            // Backpressure: decoded frames are large, keep only a few in flight
+            while (decoder.decodeQueueSize > 4 || encoder.encodeQueueSize > 4) await new Promise(r => setTimeout(r, 5));
+
+            const sample = track.samples[i];
+            const data = await reader.read(sample.offset, sample.size);
+            decoder.decode(new EncodedVideoChunk({
+                type: sample.isKey ? "key" : "delta",
+                timestamp: sample.timestamp,
+                duration: sample.duration,
+                data: data
+            }));
+            if (i % 10 === 0) onProgress(Math.round(i / total * 100));
+        }
+
+        await decoder.flush();
+        await encoder.flush();
+        if (error) throw error;
+
+        const { header, trailer } = muxer.finish();
+        const duration = track.samples.reduce((end, s) => Math.max(end, s.timestamp + s.duration), 0) / 1e6;
+        onProgress(100);
+        return {
+            blob: new Blob([header, sink.getBlob(), trailer], { type: "video/webm" }),
+            originalSize: reader.size,
+            scale: scale,
+            sourceWidth: track.width,
+            sourceHeight: track.height,
+            droppedAudio: track.hasAudio,
+            expected: { width, height, duration }
+        };
+    } finally {
+        if (decoder.state !== "closed") decoder.close();
+        if (encoder.state !== "closed") encoder.close();
+    }
+}
+
+/**
+ * WebCodecs codec string with a level that allows the frame size.
+ */
+function getVideoCodecString(codec, width, height) {
+    const pixels = width * height;
+    if (codec === "av1") {
+        // seq_level_idx 3.1, 4.0, 5.0, 6.0
+        const level = pixels <= 1065024 ? "05" : pixels <= 2359296 ? "08" : pixels <= 8912896 ? "12" : "16";
+        return `av01.0.${level}M.08`;
+    }
+    // Profile 0, 8 bit, levels 3.1, 4.1, 5.1, 6.1
+    const level = pixels <= 983040 ? "31" : pixels <= 2228224 ? "41" : pixels <= 8912896 ? "51" : "61";
+    return `vp09.00.${level}.08`;
+}
+
+/**
+ * Collects Ogg pages or WebM clusters, folding them into Blobs every few MB so the
+ * browser can move finished parts out of the worker's heap.
+ */
+class PageSink {
+    /**
+     * @param {string} type MIME type of the result
+     */
+    constructor(type) {
+        this.type = type;
+        this.blobs = [];
+        this.pages = [];
+        this.pendingBytes = 0;
+    }
+
+    write(page) {
+        this.pages.push(page);
+        this.pendingBytes += page.byteLength;
+        if (this.pendingBytes > 4 * 1024 * 1024) {
+            this.blobs.push(new Blob(this.pages));
+            this.pages = [];
+            this.pendingBytes = 0;
+        }
+    }
+
+    getBlob() {
+        return new Blob([...this.blobs, ...this.pages], { type: this.type });
+    }
+}
+
+function concatBytes(a, b) {
+    const merged = new Uint8Array(a.length + b.length);
+    merged.set(a);
+    merged.set(b, a.length);
+    return merged;
+}
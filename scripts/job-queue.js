@@ -0,0 +1,114 @@
+/**
+ * Runs encoding jobs on a fixed number of module workers (see encode-worker.js).
+ * Jobs beyond the pool size wait for the next free worker.
+ */
+export class EncoderPool {
+    /**
+     * @param {number} size Maximum number of workers, and so of jobs in flight
+     */
+    constructor(size) {
+        this.size = Math.max(1, size || 1);
+        this.workers = [];
+        this.idle = [];
+        this.waiting = [];
+        this.nextId = 0;
+    }
+
+    /**
+     * @param {object} job Message for the worker, e.g. { type: "image", bitmap, quality, scale }
+     * @param {Transferable[]} [transfer] Objects moved to the worker instead of copied
+     * @param {object} [options]
+     * @param {function(number)} [options.onProgress] Receives progress in percent
+     * @param {AbortSignal} [options.signal] Aborts the job inside the worker
+     * @returns {Promise<*>} The job's result, usually the encoded Blob
+     */
+    async run(job, transfer = [], { onProgress, signal } = {}) {
+        const worker = await this._acquire();
+        const id = ++this.nextId;
+        try {
+            signal?.throwIfAborted();
+            return await new Promise((resolve, reject) => {
+                const onAbort = () => worker.postMessage({ id, type: "abort" });
+                signal?.addEventListener("abort", onAbort, { once: true });
+
+                worker.onmessage = (event) => {
+                    const message = event.data;
+                    if (message.id !== id) return;
+                    if (message.type === "progress") {
+                        onProgress?.(message.pct);
+                        return;
+                    }
+                    signal?.removeEventListener("abort", onAbort);
+                    if (message.type === "done") resolve(message.result);
+                    else reject(Object.assign(new Error(message.message), { name: message.name }));
+                };
+                worker.onerror = (event) => {
+                    signal?.removeEventListener("abort", onAbort);
+                    reject(new Error(`Encoder worker failed: ${event.message}`));
+                };
+
+                worker.postMessage({ ...job, id }, transfer);
+            });
+        } finally {
+            this._release(worker);
+        }
+    }
+
+    /**
+     * Stops all workers. Jobs still waiting for a worker are rejected.
+     */
+    terminate() {
+        for (const worker of this.workers) worker.terminate();
+        for (const { reject } of this.waiting) reject(new Error("Encoder pool terminated"));
+        this.workers = [];
+        this.idle = [];
+        this.waiting = [];
+    }
+
+    async _acquire() {
+        if (this.idle.length) return this.idle.pop();
+        if (this.workers.length < this.size) {
+            const worker = new Worker(new URL("./encode-worker.js", import.meta.url), { type: "module" });
+            this.workers.push(worker);
+            return worker;
+        }
+        return new Promise((resolve, reject) => this.waiting.push({ resolve, reject }));
+    }
+
+    _release(worker) {
+        if (!this.workers.includes(worker)) return;
+        const next = this.waiting.shift();
+        if (next) next.resolve(worker);
+        else this.idle.push(worker);
+    }
+}
+
+/**
+ * Limits how many async tasks (e.g. uploads) run at the same time.
+ */
+export class Throttle {
+    /**
+     * @param {number} limit Maximum number of tasks running at once
+     */
+    constructor(limit) {
+        this.limit = Math.max(1, limit || 1);
+        this.active = 0;
+        this.waiting = [];
+    }
+
+    /**
+     * @param {function(): Promise<*>} task
+     * @returns {Promise<*>} The task's result
+     */
+    async run(task) {
+        if (this.active < this.limit) this.active++;
+        else await new Promise(resolve => this.waiting.push(resolve)); // Slot handed over by a finished task
+        try {
+            return await task();
+        } finally {
+            const next = this.waiting.shift();
+            if (next) next();
+            else this.active--;
+        }
+    }
+}
@@ -1,13 +1,52 @@
-import { OggOpusMuxer } from "./ogg-muxer.js";
+import { OPUS_SAMPLE_RATE, VORBIS_CHANNEL_ORDER } from "./ogg-muxer.js";
+import { readSampleRate } from "./audio-formats.js";
+import { readAudioTags, addFallbackTag } from "./audio-tags.js";
+import { downmixToStereo } from "./audio-dsp.js";
+import { EncoderPool, Throttle } from "./job-queue.js";
+import { getResizeScale } from "./resize.js";
+import { MODULE_ID, AUDIO_BITRATES, LOUDNESS_TARGETS, STORAGE_TARGETS, IMAGE_OUTPUT_FORMATS, VIDEO_CODECS, VIDEO_BITRATES, VIDEO_FRAMERATES, registerSettings } from "./settings.js";
+import { AutoOptimizer } from "./auto-optimize.js";
+import { MapSplitter } from "./map-splitter.js";
+import { FileStorage } from "./storage.js";
+import { VIDEO_FORMATS, classifyImage, classifyAudio, decodePath } from "./classify.js";
+import { OptimizerAPI, HOOKS } from "./api.js";
+
+// Formats the worker can demux and decode in chunks; others are decoded whole with decodeAudioData
+const STREAMABLE_AUDIO = ["mp3", "wav", "flac"];
+
+// Uploads whose decoded duration is further off than this (seconds, or 1%) fail verification
+const VERIFY_DURATION_TOLERANCE = 0.1;
+const VERIFY_VIDEO_TIMEOUT = 30000;
+
+// Property on analysis refs and rows → flag on the document that sets it
+const OVERRIDE_FLAGS = { qualityOverride: "imageQuality", bitrateOverride: "audioBitrate" };
+
+// Compendiums unlocked by _withUnlockedPack, shared by every optimizer instance and queue lane:
+// pack id → { users, ready, closing }
+const unlockedPacks = new Map();
 
 class SceneOptimizer extends FormApplication {
     constructor() {
         super();
         this.scenesData = [];
         this.audioData = []; // New Store for audio
+        this.imagesData = [];
         this.orphanedFiles = [];
+        // Window runs may unlock the compendiums picked in the source selector, API calls only when asked to
+        this.unlockPacks = true;
+        this.currentRun = null;
+        this.cleanupReport = null;
+        this.storage = new FileStorage();
+        this.reservedPaths = new Set(); // Upload targets taken by this instance, so parallel uploads never pick the same name
         this.isOptimizing = false;
+        this.isPaused = false;
+        this.abortController = null; // Set while a run can be paused or cancelled
+        this._resumeRun = null;
+        this._pausePromise = null;
+        this.encoderPool = null; // Workers and upload limit, only while a run is active
+        this.uploadThrottle = null;
         this.progress = { value: 0, max: 0, label: "" };
+        this.splitter = new MapSplitter(this);
     }
 
     static get defaultOptions() {
@@ -15,7 +54,7 @@ class SceneOptimizer extends FormApplication {
             id: "geanos-scene-optimizer",
             title: "Geano's Scene Optimizer",
             template: "modules/geanos-scene-optimizer/templates/optimizer.hbs",
-            width: 700, // Slightly wider for tabs
+            width: 960, // Wide enough for tabs, size and error columns
             height: "auto",
             resizable: true,
             closeOnSubmit: false,
@@ -25,37 +64,146 @@ class SceneOptimizer extends FormApplication {
 
     async getData() {
         // Refresh data if empty
-        if (this.scenesData.length === 0) {
-            this.scenesData = this._analyzeScenes();
-        }
-        if (this.audioData.length === 0) {
-            this.audioData = this._analyzeAudio();
+        if (this.scenesData.length === 0 && this.audioData.length === 0 && this.imagesData.length === 0) {
+            await this._analyzeAll();
         }
 
         return {
             scenes: this.scenesData,
             audio: this.audioData,
+            images: this.imagesData,
+            sceneTotals: this._decorateSizes(this.scenesData),
+            audioTotals: this._decorateSizes(this.audioData),
+            imageTotals: this._decorateSizes(this.imagesData),
+            packs: this._preparePacks(),
+            skipLockedPacks: game.settings.get(MODULE_ID, "skipLockedPacks"),
+            storage: {
+                target: game.settings.get(MODULE_ID, "storageTarget"),
+                targetChoices: STORAGE_TARGETS,
+                bucket: game.settings.get(MODULE_ID, "s3Bucket"),
+                bucketChoices: Object.fromEntries([["", "None"], ...this.storage.buckets.map(b => [b, b])]),
+                hasBuckets: this.storage.buckets.length > 0,
+                prefix: game.settings.get(MODULE_ID, "s3Prefix")
+            },
+            imageQuality: game.settings.get(MODULE_ID, "imageQuality"),
+            imageFormat: game.settings.get(MODULE_ID, "imageFormat"),
+            imageFormatChoices: IMAGE_OUTPUT_FORMATS,
+            audioBitrate: parseInt(game.settings.get(MODULE_ID, "audioBitrate")),
+            bitrateChoices: Object.entries(AUDIO_BITRATES).map(([value, label]) => ({ value: parseInt(value), label })),
+            downmixStereo: game.settings.get(MODULE_ID, "downmixStereo"),
+            loudnessTarget: game.settings.get(MODULE_ID, "loudnessTarget"),
+            loudnessChoices: LOUDNESS_TARGETS,
+            trimSilence: game.settings.get(MODULE_ID, "trimSilence"),
+            video: {
+                codec: game.settings.get(MODULE_ID, "videoCodec"),
+                bitrate: game.settings.get(MODULE_ID, "videoBitrate"),
+                framerate: game.settings.get(MODULE_ID, "videoFramerate"),
+                codecChoices: VIDEO_CODECS,
+                bitrateChoices: VIDEO_BITRATES,
+                framerateChoices: VIDEO_FRAMERATES
+            },
+            history: this._prepareHistory(),
             orphanedFiles: this.orphanedFiles,
+            cleanup: this.cleanupReport,
+            pendingRun: this.isOptimizing ? null : this._preparePendingRun(),
             isOptimizing: this.isOptimizing,
+            isInterruptible: !!this.abortController,
+            isPaused: this.isPaused,
             progressValue: this.progress.value,
             progressMax: this.progress.max,
             progressLabel: this.progress.label
         };
     }
 
-    _analyzeScenes() {
-        const scenes = game.scenes.contents;
-        return scenes.map(scene => {
+    /**
+     * Scans the world and the selected compendiums and groups every reference by source file.
+     * Scene backgrounds and other images share one pool so a file used by both is converted once.
+     */
+    async _analyzeAll() {
+        const sources = [this._getWorldSource(), ...await this._getCompendiumSources()];
+        const imageRefs = [];
+        const audioRefs = [];
+
+        for (const source of sources) {
+            const refs = [...this._analyzeScenes(source), ...this._analyzeImages(source)];
+            const sounds = this._analyzeAudio(source);
+            // Tag compendium refs so rows can show their pack
+            for (const ref of [...refs, ...sounds]) {
+                ref.pack = source.pack?.collection ?? null;
+                ref.packLabel = source.pack?.title ?? null;
+            }
+            imageRefs.push(...refs);
+            audioRefs.push(...sounds);
+        }
+
+        const imageFiles = this._groupByPath(imageRefs);
+        imageFiles.forEach(file => this._planResize(file));
+        imageFiles.sort(this._sortByStatus);
+        this.scenesData = imageFiles.filter(f => f.refs.some(r => r.field === "background.src"));
+        this.imagesData = imageFiles.filter(f => f.refs.some(r => r.field !== "background.src"));
+        this.audioData = this._groupByPath(audioRefs);
+    }
+
+    _getWorldSource() {
+        return {
+            pack: null,
+            scenes: game.scenes.contents,
+            playlists: game.playlists.contents,
+            actors: game.actors.contents,
+            items: game.items.contents,
+            journal: game.journal.contents
+        };
+    }
+
+    /**
+     * Loads the documents of the compendiums chosen in the source selector.
+     * Locked packs are left out when "Skip locked compendiums" is set.
+     */
+    async _getCompendiumSources() {
+        const selected = game.settings.get(MODULE_ID, "compendiumSources") || [];
+        const skipLocked = game.settings.get(MODULE_ID, "skipLockedPacks");
+        const sources = [];
+
+        for (const id of selected) {
+            const pack = game.packs.get(id);
+            if (!pack || (pack.locked && skipLocked)) continue;
+
+            const documents = await pack.getDocuments();
+            const source = { pack, scenes: [], playlists: [], actors: [], items: [], journal: [] };
+            const key = { Scene: "scenes", Playlist: "playlists", Actor: "actors", Item: "items", JournalEntry: "journal" }[pack.documentName];
+            if (key) source[key] = documents;
+            sources.push(source);
+        }
+        return sources;
+    }
+
+    /**
+     * Lists the compendiums that can hold optimizable assets for the source selector.
+     */
+    _preparePacks() {
+        const selected = game.settings.get(MODULE_ID, "compendiumSources") || [];
+        return game.packs
+            .filter(pack => ["Scene", "Playlist", "Actor", "Item", "JournalEntry"].includes(pack.documentName))
+            .map(pack => ({
+                id: pack.collection,
+                title: pack.title,
+                documentName: pack.documentName,
+                locked: pack.locked,
+                selected: selected.includes(pack.collection)
+            }))
+            .sort((a, b) => a.title.localeCompare(b.title));
+    }
+
+    _analyzeScenes(source) {
+        return source.scenes.map(scene => {
             const imgPath = scene.background.src || "";
-            const decodedPath = decodeURIComponent(imgPath);
-            const ext = decodedPath.split('.').pop().toLowerCase();
-            const isOptimized = ["webp", "webm"].includes(ext);
-            const isImage = ["png", "jpg", "jpeg", "webp"].includes(ext);
+            const file = classifyImage(imgPath);
+            const isOptimized = !!file?.isOptimized;
 
             let statusClass = "unknown";
             let checked = false;
 
-            if (isImage) {
+            if (file) {
                 if (isOptimized) {
                     statusClass = "optimized";
                 } else {
@@ -65,65 +213,66 @@ class SceneOptimizer extends FormApplication {
             }
 
             return {
-                id: scene.id,
+                uniqueId: `${scene.uuid}|background.src`,
+                uuid: scene.uuid,
+                field: "background.src",
+                docType: "Scene",
+                ...this._getOverrides(scene),
                 name: scene.name,
-                path: decodedPath,
-                format: ext,
+                parentName: "Scene",
+                sceneWidth: scene.width,
+                sceneHeight: scene.height,
+                gridSize: scene.grid.size,
+                isSplit: !!scene.getFlag(MODULE_ID, "split"),
+                src: imgPath,
+                path: file?.path ?? imgPath,
+                format: file?.format ?? "",
                 isOptimized: isOptimized,
                 statusClass: statusClass,
                 checked: checked
             };
-        }).sort((a, b) => {
-            if (a.statusClass === "unoptimized" && b.statusClass !== "unoptimized") return -1;
-            if (a.statusClass !== "unoptimized" && b.statusClass === "unoptimized") return 1;
-            return a.name.localeCompare(b.name);
         });
     }
 
-    _analyzeAudio() {
+    _analyzeAudio(source) {
         const audioItems = [];
 
         // 1. Scan Playlists
-        game.playlists.contents.forEach(playlist => {
+        source.playlists.forEach(playlist => {
             playlist.sounds.contents.forEach(sound => {
-                this._processAudioItem(audioItems, sound.path, sound.name, "Playlist", playlist.name, sound.id, playlist.id, "playlist");
+                this._processAudioItem(audioItems, sound, sound.name, playlist.name);
             });
         });
 
         // 2. Scan Ambient Sounds in Scenes
-        game.scenes.contents.forEach(scene => {
+        source.scenes.forEach(scene => {
             scene.sounds.contents.forEach(sound => {
-                this._processAudioItem(audioItems, sound.path, "Ambient Sound", "Scene", scene.name, sound.id, scene.id, "ambient");
+                this._processAudioItem(audioItems, sound, "Ambient Sound", scene.name);
             });
         });
 
-        return audioItems.sort((a, b) => {
-            if (a.statusClass === "unoptimized" && b.statusClass !== "unoptimized") return -1;
-            if (a.statusClass !== "unoptimized" && b.statusClass === "unoptimized") return 1;
-            return a.name.localeCompare(b.name);
-        });
+        return audioItems;
     }
 
-    _processAudioItem(list, path, name, parentType, parentName, id, parentId, type) {
+    _processAudioItem(list, sound, name, parentName) {
+        const path = sound.path;
         if (!path) return;
-        const decodedPath = decodeURIComponent(path);
-        const ext = decodedPath.split('.').pop().toLowerCase();
-        // WebM and OGG are considered "Optimized" for Foundry
-        const isOptimized = ["webm", "ogg"].includes(ext);
-        const isAudio = ["mp3", "wav", "flac", "ogg", "webm"].includes(ext);
-
-        if (!isAudio) return;
+        const file = classifyAudio(path);
+        if (!file) return;
+        const { path: decodedPath, format: ext, isOptimized } = file;
 
         let statusClass = isOptimized ? "optimized" : "unoptimized";
         let checked = !isOptimized;
 
         list.push({
-            uniqueId: `${type}|${parentId}|${id}`, // Unique Key
-            type: type, // 'playlist' or 'ambient'
-            parentId: parentId,
-            id: id,
+            uniqueId: `${sound.uuid}|path`, // Unique Key
+            uuid: sound.uuid,
+            field: "path",
+            docType: sound.documentName, // 'PlaylistSound' or 'AmbientSound'
+            ...this._getOverrides(sound),
             name: name,
             parentName: parentName, // e.g. "Battle Music" or "Market Scene"
+            src: path,
             path: decodedPath,
             format: ext,
             isOptimized: isOptimized,
@@ -132,21 +281,358 @@ class SceneOptimizer extends FormApplication {
         });
     }
 
+    _analyzeImages(source) {
+        const imageItems = [];
+
+        // 1. Scene foregrounds and embedded placeables
+        source.scenes.forEach(scene => {
+            this._processImageItem(imageItems, scene, "foreground", "Foreground", scene.name);
+            scene.tiles.contents.forEach(tile => {
+                this._processImageItem(imageItems, tile, "texture.src", "Tile", scene.name);
+            });
+            scene.tokens.contents.forEach(token => {
+                this._processImageItem(imageItems, token, "texture.src", token.name, scene.name);
+            });
+            scene.notes.contents.forEach(note => {
+                this._processImageItem(imageItems, note, "texture.src", note.label || "Note", scene.name);
+            });
+        });
+
+        // 2. Actor portraits, prototype tokens and the icons of owned items
+        source.actors.forEach(actor => {
+            this._processImageItem(imageItems, actor, "img", actor.name, "Actor");
+            this._processImageItem(imageItems, actor, "prototypeToken.texture.src", `${actor.name} (Token)`, "Actor");
+            actor.items.contents.forEach(item => {
+                this._processImageItem(imageItems, item, "img", item.name, actor.name);
+            });
+        });
+
+        // 3. Item icons
+        source.items.forEach(item => {
+            this._processImageItem(imageItems, item, "img", item.name, "Item");
+        });
+
+        // 4. Journal image pages
+        source.journal.forEach(entry => {
+            entry.pages.contents.forEach(page => {
+                if (page.type !== "image") return;
+                this._processImageItem(imageItems, page, "src", page.name, entry.name);
+            });
+        });
+
+        return imageItems;
+    }
+
+    _processImageItem(list, doc, field, name, parentName) {
+        const path = foundry.utils.getProperty(doc, field);
+        // Wildcard token images point at many files, leave them alone
+        if (!path || path.includes("*")) return;
+        const file = classifyImage(path);
+        if (!file) return;
+        const { path: decodedPath, format: ext, isOptimized } = file;
+
+        list.push({
+            uniqueId: `${doc.uuid}|${field}`, // Unique Key
+            uuid: doc.uuid,
+            field: field, // e.g. 'texture.src' or 'img'
+            docType: doc.documentName,
+            ...this._getOverrides(doc),
+            name: name,
+            parentName: parentName, // e.g. "Market Scene" or "Actor"
+            src: path,
+            path: decodedPath,
+            format: ext,
+            isOptimized: isOptimized,
+            statusClass: isOptimized ? "optimized" : "unoptimized",
+            checked: !isOptimized
+        });
+    }
+
+    /**
+     * Reads the quality and bitrate overrides of a document. They are stored on the
+     * top-level document, so one flag covers every tile of a scene or sound of a playlist.
+     * @returns {{ownerUuid: string, qualityOverride: number|null, bitrateOverride: number|null}}
+     */
+    _getOverrides(doc) {
+        const owner = doc.parent ?? doc;
+        const overrides = { ownerUuid: owner.uuid };
+        for (const [key, flag] of Object.entries(OVERRIDE_FLAGS)) {
+            overrides[key] = owner.getFlag(MODULE_ID, flag) ?? null;
+        }
+        return overrides;
+    }
+
+    /**
+     * A file shared by documents with different overrides uses the highest one.
+     */
+    _pickOverride(refs, key) {
+        const values = refs.map(r => r[key]).filter(v => typeof v === "number");
+        return values.length ? Math.max(...values) : null;
+    }
+
+    /**
+     * Collapses individual document references into one entry per source file.
+     */
+    _groupByPath(refs) {
+        const files = new Map();
+        for (const ref of refs) {
+            // Documents without a usable path stay on their own row
+            const key = ref.statusClass === "unknown" ? ref.uniqueId : this._normalizePath(ref.path);
+            let file = files.get(key);
+            if (!file) {
+                file = {
+                    uniqueId: key,
+                    name: ref.name,
+                    parentName: ref.parentName,
+                    packLabel: ref.packLabel,
+                    src: ref.src,
+                    path: ref.path,
+                    format: ref.format,
+                    isVideo: VIDEO_FORMATS.includes(ref.format),
+                    isOptimized: ref.isOptimized,
+                    statusClass: ref.statusClass,
+                    checked: ref.checked,
+                    refs: []
+                };
+                files.set(key, file);
+            }
+            file.refs.push(ref);
+        }
+
+        return Array.from(files.values()).map(file => {
+            file.refCount = file.refs.length;
+            for (const key of Object.keys(OVERRIDE_FLAGS)) file[key] = this._pickOverride(file.refs, key);
+            file.isSplit = file.refs.some(r => r.isSplit);
+            file.refTitle = file.refs.map(r => `${r.packLabel ? `${r.packLabel} › ` : ""}${r.parentName}: ${r.name}`).join("\n");
+            return file;
+        }).sort(this._sortByStatus);
+    }
+
+    /**
+     * Flags scene backgrounds that will hit the resolution limits or be split into tiles,
+     * assuming the scene dimensions match the image (Foundry's default when a background is chosen).
+     * Oversized WebP and AVIF backgrounds become candidates again, to be re-encoded smaller.
+     */
+    _planResize(file) {
+        const ref = file.refs.find(r => r.field === "background.src" && r.sceneWidth && r.sceneHeight);
+        if (!ref || file.statusClass === "unknown" || file.isSplit) return;
+        const scale = this._getResizeScale(ref.sceneWidth, ref.sceneHeight, file.refs);
+        const grid = this.splitter.canSplit(file)
+            ? this.splitter.getGrid(Math.round(ref.sceneWidth * scale), Math.round(ref.sceneHeight * scale))
+            : null;
+        if (scale >= 1 && !grid) return;
+
+        if (scale < 1) file.resizeLabel = this._formatResize(ref.sceneWidth, ref.sceneHeight, scale);
+        if (grid) file.splitLabel = `${grid.columns}×${grid.rows}`;
+        if (["webp", "avif"].includes(file.format)) {
+            file.isOptimized = false;
+            file.statusClass = "unoptimized";
+            file.checked = true;
+        }
+    }
+
+    /**
+     * Scene width, height and grid stay in scene units: Foundry stretches the background
+     * to the scene rectangle, so tokens and walls keep lining up with a smaller texture.
+     * @returns {number} Scale factor, 1 for no resize
+     */
+    _getResizeScale(width, height, refs) {
+        return getResizeScale(width, height, this._getResizeLimits(refs));
+    }
+
+    /**
+     * Resize settings and the grids of the scenes using a file as background (see resize.js).
+     */
+    _getResizeLimits(refs) {
+        return {
+            maxDimension: game.settings.get(MODULE_ID, "maxImageDimension"),
+            gridResolution: game.settings.get(MODULE_ID, "targetGridResolution"),
+            grids: refs.filter(r => r.field === "background.src" && r.gridSize && r.sceneWidth)
+                .map(r => ({ gridSize: r.gridSize, sceneWidth: r.sceneWidth }))
+        };
+    }
+
+    _formatResize(width, height, scale) {
+        return `${width}×${height} → ${Math.round(width * scale)}×${Math.round(height * scale)}`;
+    }
+
+    /**
+     * Comparison key of a decoded path. Stored paths go through decodePath() first.
+     */
+    _normalizePath(path) {
+        return path.split("?")[0].replace(/^\/+/, "");
+    }
+
+    /**
+     * Formats the stored run manifests for the History tab, newest first.
+     */
+    _prepareHistory() {
+        const history = game.settings.get(MODULE_ID, "runHistory") || [];
+        return history.map(run => {
+            // Shared files appear once per reference, count their sizes once
+            const files = new Map(run.entries.map(e => [e.newPath, e]));
+            const oldSize = Array.from(files.values()).reduce((sum, e) => sum + (e.oldSize || 0), 0);
+            const newSize = Array.from(files.values()).reduce((sum, e) => sum + (e.newSize || 0), 0);
+            return {
+                id: run.id,
+                dateLabel: new Date(run.date).toLocaleString(),
+                isAuto: !!run.auto,
+                entryCount: run.entries.length,
+                sizeLabel: `${this._formatBytes(oldSize)} → ${this._formatBytes(newSize)}`,
+                isReverted: run.entries.every(e => e.reverted),
+                entries: run.entries.map((e, index) => ({ ...e, index }))
+            };
+        }).reverse();
+    }
+
+    /**
+     * Describes a run that was paused or cut off by a reload, if there is one.
+     */
+    _preparePendingRun() {
+        const run = game.settings.get(MODULE_ID, "pendingRun");
+        if (!run?.id) return null;
+        return {
+            dateLabel: new Date(run.date).toLocaleString(),
+            done: run.completedKeys.length,
+            total: run.imageKeys.length + run.audioKeys.length
+        };
+    }
+
+    /**
+     * Adds size labels (original, projected or actual, saved %) to file rows.
+     * @returns {object|null} Totals for the list, or null if nothing was measured yet
+     */
+    _decorateSizes(files) {
+        let originalTotal = 0;
+        let newTotal = 0;
+        let measured = false;
+
+        for (const file of files) {
+            const newSize = file.actualSize ?? file.projectedSize;
+            file.sizeLabel = file.originalSize ? this._formatBytes(file.originalSize) : "";
+            file.newSizeLabel = newSize ? this._formatBytes(newSize) : "";
+            file.savedLabel = "";
+            file.grewLarger = false;
+            file.isEstimate = file.actualSize === undefined && file.projectedSize !== undefined;
+            if (!file.originalSize || !newSize) continue;
+
+            measured = true;
+            originalTotal += file.originalSize;
+            newTotal += newSize;
+            file.savedLabel = `${Math.round((1 - newSize / file.originalSize) * 100)}%`;
+            file.grewLarger = newSize >= file.originalSize;
+        }
+
+        if (!measured) return null;
+        return {
+            sizeLabel: this._formatBytes(originalTotal),
+            newSizeLabel: this._formatBytes(newTotal),
+            savedLabel: `${Math.round((1 - newTotal / originalTotal) * 100)}%`
+        };
+    }
+
+    _formatBytes(bytes) {
+        if (!bytes) return "0 B";
+        const units = ["B", "KB", "MB", "GB"];
+        const i = Math.min(Math.floor(Math.log(bytes) / Math.log(1024)), units.length - 1);
+        return `${(bytes / Math.pow(1024, i)).toFixed(i ? 1 : 0)} ${units[i]}`;
+    }
+
+    _sortByStatus(a, b) {
+        if (a.statusClass === "unoptimized" && b.statusClass !== "unoptimized") return -1;
+        if (a.statusClass !== "unoptimized" && b.statusClass === "unoptimized") return 1;
+        return a.name.localeCompare(b.name);
+    }
+
     activateListeners(html) {
         super.activateListeners(html);
         html.find('button[data-action="analyze"]').click(this._onAnalyze.bind(this));
         html.find('button[data-action="optimize"]').click(this._onOptimizeClick.bind(this));
+        html.find('button[data-action="estimate"]').click(this._onEstimateClick.bind(this));
         html.find('#select-all-scenes').change(this._onSelectAllScenes.bind(this));
         html.find('#select-all-audio').change(this._onSelectAllAudio.bind(this));
-
-        // Slider Reactivity
-        html.find('#quality-slider').on('input change', (event) => {
-            html.find('#quality-display').text(event.target.value);
+        html.find('#select-all-images').change(this._onSelectAllImages.bind(this));
+        html.find('button[data-action="revert-run"]').click(this._onRevertRun.bind(this));
+        html.find('a[data-action="revert-entry"]').click(this._onRevertEntry.bind(this));
+        html.find('a[data-action="remerge"]').click(this._onRemerge.bind(this));
+        html.find('button[data-action="check-orphans"]').click(this._onCheckOrphans.bind(this));
+        html.find('button[data-action="cleanup-orphans"]').click(this._onCleanupOrphans.bind(this));
+        html.find('button[data-action="pause-run"]').click(this._onPauseRun.bind(this));
+        html.find('button[data-action="cancel-run"]').click(this._onCancelRun.bind(this));
+        html.find('button[data-action="resume-run"]').click(this._onResumeRun.bind(this));
+        html.find('button[data-action="discard-run"]').click(this._onDiscardRun.bind(this));
+
+        html.find('[data-setting]').change(this._onSettingChange.bind(this));
+        html.find('.override-input').change(this._onOverrideChange.bind(this));
+
+        // Slider Reactivity, both tabs share the quality setting
+        html.find('.quality-slider').on('input change', (event) => {
+            html.find('.quality-slider').val(event.target.value);
+            html.find('.quality-display').text(event.target.value);
         });
 
         // Tabs are handled automatically by FormApplication defaultOptions structure
     }
 
+    /**
+     * Saves an encoder field as soon as it changes, so the window reopens with it.
+     */
+    async _onSettingChange(event) {
+        const input = event.currentTarget;
+        const setting = input.dataset.setting;
+        let value = input.value;
+        if (input.type === "checkbox") value = input.checked;
+        else if (input.type === "range") value = parseFloat(value);
+        await game.settings.set(MODULE_ID, setting, value);
+
+        // The Scenes and Images tabs have their own copy of the image format and video fields
+        const copies = this.element.find(`[data-setting="${setting}"]`).not(input);
+        if (input.tagName === "SELECT") copies.val(value);
+    }
+
+    /**
+     * Stores an override edited in an analysis row on the documents using that file.
+     * An empty value removes the override.
+     */
+    async _onOverrideChange(event) {
+        if (this.isOptimizing) return;
+        const input = event.currentTarget;
+        const key = input.dataset.override;
+        const flag = OVERRIDE_FLAGS[key];
+        const allFiles = [...this.scenesData, ...this.imagesData, ...this.audioData];
+        const file = allFiles.find(f => f.uniqueId === input.dataset.fileId);
+        if (!file || !flag) return;
+
+        let value = input.value === "" ? null : parseFloat(input.value);
+        if (Number.isNaN(value)) value = null;
+        if (value !== null && key === "qualityOverride") value = Math.clamp(value, 0.1, 1);
+
+        const owners = new Set();
+        for (const ownerUuid of new Set(file.refs.map(r => r.ownerUuid))) {
+            try {
+                const owner = await fromUuid(ownerUuid);
+                if (!owner) continue;
+                await this._withUnlockedPack(owner.pack, async () => {
+                    if (value === null) await owner.unsetFlag(MODULE_ID, flag);
+                    else await owner.setFlag(MODULE_ID, flag, value);
+                });
+                owners.add(ownerUuid);
+            } catch (err) {
+                console.error(`Scene Optimizer | Failed to save the override on ${ownerUuid}:`, err);
+                ui.notifications.warn(`Scene Optimizer | Could not save the override for ${file.name}.`);
+            }
+        }
+
+        // Other files of the same documents pick up the new override as well
+        for (const other of allFiles) {
+            for (const ref of other.refs) {
+                if (owners.has(ref.ownerUuid)) ref[key] = value;
+            }
+            other[key] = this._pickOverride(other.refs, key);
+        }
+        this.render();
+    }
+
     _onSelectAllScenes(event) {
         const checked = event.currentTarget.checked;
         const rows = this.element.find(".tab[data-tab='scenes'] .scene-row.unoptimized input[type='checkbox']");
@@ -159,16 +645,265 @@ class SceneOptimizer extends FormApplication {
         rows.prop("checked", checked);
     }
 
+    _onSelectAllImages(event) {
+        const checked = event.currentTarget.checked;
+        const rows = this.element.find(".tab[data-tab='images'] .scene-row.unoptimized input[type='checkbox']");
+        rows.prop("checked", checked);
+    }
+
     async _onAnalyze() {
         if (this.isOptimizing) return;
-        this.scenesData = this._analyzeScenes();
-        this.audioData = this._analyzeAudio();
+
+        // Remember the compendium source selection
+        const formData = new FormDataExtended(this.element.find("form")[0]).object;
+        let packIds = formData.packIds;
+        if (!Array.isArray(packIds) && packIds) packIds = [packIds];
+        await game.settings.set(MODULE_ID, "compendiumSources", packIds || []);
+        await game.settings.set(MODULE_ID, "skipLockedPacks", !!formData.skipLockedPacks);
+
+        await this._analyzeAll();
         this.render();
     }
 
-    async _onOptimizeClick(event) {
+    async _onRevertRun(event) {
+        event.preventDefault();
+        if (this.isOptimizing) return;
+        const runId = event.currentTarget.dataset.runId;
+        const confirmed = await Dialog.confirm({
+            title: "Revert Optimization Run",
+            content: "<p>Point every document changed by this run back at its original file?</p>"
+        });
+        if (!confirmed) return;
+        await this._revertEntries(runId);
+    }
+
+    async _onRevertEntry(event) {
+        event.preventDefault();
+        if (this.isOptimizing) return;
+        const { runId, index } = event.currentTarget.dataset;
+        await this._revertEntries(runId, [Number(index)]);
+    }
+
+    /**
+     * Removes the map pieces of the split scenes using a background file and restores their single background.
+     */
+    async _onRemerge(event) {
+        event.preventDefault();
+        if (this.isOptimizing) return;
+        const file = this.scenesData.find(f => f.uniqueId === event.currentTarget.dataset.fileId);
+        if (!file) return;
+        const confirmed = await Dialog.confirm({
+            title: "Re-merge Split Map",
+            content: "<p>Delete the map pieces placed as tiles and give the scene its single background image back?</p>"
+        });
+        if (!confirmed) return;
+
+        let merged = 0;
+        for (const ref of file.refs.filter(r => r.isSplit)) {
+            try {
+                const scene = await fromUuid(ref.uuid);
+                if (scene && await this.splitter.remerge(scene)) merged++;
+            } catch (err) {
+                console.error(`Scene Optimizer | Failed to re-merge ${ref.uuid}:`, err);
+                ui.notifications.error(`Scene Optimizer | Could not re-merge ${ref.name}, see console.`);
+            }
+        }
+        if (merged) ui.notifications.info(`Scene Optimizer | Re-merged ${merged} scene(s).`);
+
+        await this._analyzeAll();
+        this.render();
+    }
+
+    /**
+     * Restores the original references of a stored run.
+     * Entries whose document was changed again since the run are skipped.
+     * @param {string} runId
+     * @param {number[]} [indices] Only revert these entries (default: all)
+     */
+    async _revertEntries(runId, indices) {
+        const history = foundry.utils.deepClone(game.settings.get(MODULE_ID, "runHistory") || []);
+        const run = history.find(r => r.id === runId);
+        if (!run) return;
+
+        let reverted = 0;
+        let skipped = 0;
+        for (const [index, entry] of run.entries.entries()) {
+            if (entry.reverted || (indices && !indices.includes(index))) continue;
+            try {
+                const doc = await fromUuid(entry.uuid);
+                const current = doc ? foundry.utils.getProperty(doc, entry.field) : null;
+                if (current !== entry.newPath) {
+                    skipped++;
+                    continue;
+                }
+                // Split maps also lose their pieces
+                if (entry.split) await this.splitter.remerge(doc);
+                // Flagged so automatic optimization leaves the restored file alone
+                else await doc.update({ [entry.field]: entry.oldPath }, { sceneOptimizerRevert: true });
+                entry.reverted = true;
+                reverted++;
+            } catch (err) {
+                console.error(`Scene Optimizer | Failed to revert ${entry.uuid}:`, err);
+                skipped++;
+            }
+        }
+
+        await game.settings.set(MODULE_ID, "runHistory", history);
+        if (skipped) ui.notifications.warn(`Scene Optimizer | Reverted ${reverted} reference(s), skipped ${skipped} that changed since the run.`);
+        else ui.notifications.info(`Scene Optimizer | Reverted ${reverted} reference(s).`);
+
+        await this._analyzeAll();
+        this.render();
+    }
+
+    async _onCheckOrphans(event) {
         event.preventDefault();
         if (this.isOptimizing) return;
+        this.isOptimizing = true;
+        this.progress = { value: 0, max: 1, label: "Checking references..." };
+        this.render();
+
+        try {
+            this.cleanupReport = await this._buildCleanupReport();
+        } catch (err) {
+            console.error("Scene Optimizer | Reference check failed:", err);
+            ui.notifications.error("Scene Optimizer | Reference check failed, see console.");
+        }
+
+        this.isOptimizing = false;
+        this.progress.label = "Done!";
+        this.render();
+    }
+
+    /**
+     * Foundry's server has no file delete endpoint for clients (FilePicker only browses,
+     * uploads and creates folders), so the confirmed files are exported as a list for
+     * removal on the server instead of being deleted.
+     */
+    async _onCleanupOrphans(event) {
+        event.preventDefault();
+        const unused = this.cleanupReport?.files.filter(f => !f.inUse) ?? [];
+        if (unused.length === 0) return ui.notifications.info("Scene Optimizer | No unused files to clean up.");
+
+        // File names may contain <, & and quotes
+        const list = unused.map(f => `<li>${foundry.utils.escapeHTML(f.path)} <em>(${f.sizeLabel})</em></li>`).join("");
+        const confirmed = await Dialog.confirm({
+            title: "Export Unused Originals",
+            content: `<p>These ${unused.length} file(s) are not referenced by any document in the world or in any compendium `
+                + `and would free <strong>${this.cleanupReport.reclaimLabel}</strong>:</p><ul class="orphan-list">${list}</ul>`
+                + `<p>Foundry's server does not let modules delete files. The paths will be saved as a text file and copied to `
+                + `your clipboard, so they can be removed from the data folder or bucket.</p>`
+        });
+        if (!confirmed) return;
+
+        const paths = unused.map(f => f.path).join("\n");
+        saveDataToFile(paths, "text/plain", `${game.world.id}-unused-files.txt`);
+        await game.clipboard.copyPlainText(paths);
+        ui.notifications.info(`Scene Optimizer | Exported ${unused.length} unused file path(s) (${this.cleanupReport.reclaimLabel}).`);
+    }
+
+    /**
+     * Checks every orphan candidate (this run and stored history) against all world
+     * documents and compendiums, and works out how much space is reclaimable.
+     */
+    async _buildCleanupReport() {
+        const history = game.settings.get(MODULE_ID, "runHistory") || [];
+        const candidates = new Map();
+        for (const path of this.orphanedFiles) candidates.set(this._normalizePath(path), { path, size: null });
+        for (const run of history) {
+            for (const entry of run.entries) {
+                if (entry.reverted) continue;
+                const path = decodePath(entry.oldPath);
+                const key = this._normalizePath(path);
+                if (!candidates.has(key) || candidates.get(key).size === null) {
+                    candidates.set(key, { path, size: entry.oldSize ?? null });
+                }
+            }
+        }
+
+        const usage = await this._findReferences(Array.from(candidates.keys()));
+
+        const files = [];
+        for (const [key, candidate] of candidates) {
+            const usedBy = usage.get(key) ?? [];
+            const size = candidate.size ?? await this._fetchFileSize(candidate.path);
+            files.push({
+                path: candidate.path,
+                size: size,
+                sizeLabel: size === null ? "?" : this._formatBytes(size),
+                inUse: usedBy.length > 0,
+                usedByTitle: usedBy.join("\n"),
+                usedByCount: usedBy.length
+            });
+        }
+
+        const reclaimable = files.filter(f => !f.inUse).reduce((sum, f) => sum + (f.size || 0), 0);
+        return {
+            files: files.sort((a, b) => a.inUse - b.inUse || a.path.localeCompare(b.path)),
+            unusedCount: files.filter(f => !f.inUse).length,
+            reclaimLabel: this._formatBytes(reclaimable)
+        };
+    }
+
+    /**
+     * Searches the source data of every world document and every compendium for the given paths.
+     * Locked compendiums are only read, which needs no unlocking.
+     * @param {string[]} keys Normalized file paths
+     * @returns {Promise<Map<string, string[]>>} Labels of the documents using each path
+     */
+    async _findReferences(keys) {
+        const usage = new Map();
+        if (keys.length === 0) return usage;
+
+        // Paths may be stored raw or URI-encoded, with a leading slash or a query string, in a field of
+        // their own or inside HTML. They must start and end at a path boundary, so "maps/a.png" does not
+        // match "old/maps/a.png" or "maps/a.png.bak". Quotes inside HTML are escaped in the JSON (\" or &quot;).
+        const before = `(?:^|[\\s"'(=>;\\\\])/?`;
+        const after = `(?=$|[\\s"'?#)<&,\\\\])`;
+        const needles = keys.map(key => {
+            const variants = [...new Set([key, encodeURI(key)])].map(v => RegExp.escape(v));
+            return [key, new RegExp(`${before}(?:${variants.join("|")})${after}`)];
+        });
+
+        const scan = (doc, label) => {
+            // Our own run history mentions every original path
+            if (doc.documentName === "Setting" && doc.key?.startsWith(`${MODULE_ID}.`)) return;
+            const json = JSON.stringify(doc.toObject());
+            for (const [key, pattern] of needles) {
+                if (!pattern.test(json)) continue;
+                if (!usage.has(key)) usage.set(key, []);
+                usage.get(key).push(label);
+            }
+        };
+
+        for (const collection of game.collections) {
+            for (const doc of collection.contents) scan(doc, `${doc.documentName}: ${doc.name ?? doc.id}`);
+        }
+
+        for (const pack of game.packs) {
+            const docs = await pack.getDocuments();
+            for (const doc of docs) scan(doc, `${pack.title}: ${doc.name ?? doc.id}`);
+        }
+
+        return usage;
+    }
+
+    async _fetchFileSize(path) {
+        try {
+            const response = await this.storage.fetch(path, { method: "HEAD" });
+            if (!response.ok) return null;
+            const length = response.headers.get("Content-Length");
+            return length ? Number(length) : null;
+        } catch (err) {
+            return null;
+        }
+    }
+
+    /**
+     * Reads the checked rows and settings of the active tab.
+     * @returns {object|null} Selected files and encoder settings, or null if nothing is selected
+     */
+    _getSelection() {
         const form = this.element.find("form")[0];
         const formData = new FormDataExtended(form).object;
 
@@ -182,281 +917,1043 @@ class SceneOptimizer extends FormApplication {
         if (!Array.isArray(selectedAudioIds) && selectedAudioIds) selectedAudioIds = [selectedAudioIds];
         selectedAudioIds = selectedAudioIds || [];
 
+        // --- IMAGES ---
+        let selectedImageIds = formData.imageIds;
+        if (!Array.isArray(selectedImageIds) && selectedImageIds) selectedImageIds = [selectedImageIds];
+        selectedImageIds = selectedImageIds || [];
+
         // Filter based on active tab
         const activeTab = this._tabs[0].active;
-        if (activeTab === "scenes") selectedAudioIds = [];
-        if (activeTab === "audio") selectedSceneIds = [];
+        if (activeTab !== "scenes") selectedSceneIds = [];
+        if (activeTab !== "audio") selectedAudioIds = [];
+        if (activeTab !== "images") selectedImageIds = [];
 
-        if (selectedSceneIds.length === 0 && selectedAudioIds.length === 0) {
-            return ui.notifications.warn("No items selected.");
+        if (selectedSceneIds.length === 0 && selectedAudioIds.length === 0 && selectedImageIds.length === 0) {
+            ui.notifications.warn("No items selected.");
+            return null;
         }
 
-        const quality = parseFloat(formData.quality) || 0.85;
-        const audioBitrate = parseInt(formData.audioBitrateAudio) || 128000;
-
-        // Collect Objects
-        const targetScenes = selectedSceneIds.map(id => game.scenes.get(id)).filter(s => s);
-        // Map audio keys back to data objects
+        // Map file keys back to data objects (scene backgrounds share the image pipeline)
+        const targetScenes = selectedSceneIds.map(key => this.scenesData.find(s => s.uniqueId === key)).filter(s => s);
+        const targetImages = selectedImageIds.map(key => this.imagesData.find(i => i.uniqueId === key)).filter(i => i);
         const targetAudio = selectedAudioIds.map(key => this.audioData.find(a => a.uniqueId === key)).filter(a => a);
 
+        const tab = this.element.find(`.tab[data-tab="${activeTab}"]`);
+        return {
+            imageFiles: [...targetScenes, ...targetImages],
+            audioFiles: targetAudio,
+            quality: parseFloat(activeTab === "images" ? formData.qualityImages : formData.quality) || 0.85,
+            imageFormat: this._getTabSetting(tab, "imageFormat"),
+            audioBitrate: parseInt(formData.audioBitrateAudio) || 128000,
+            downmix: !!formData.downmixStereo,
+            audioProcessing: this._getAudioProcessing(tab),
+            video: this._getVideoSettings(tab)
+        };
+    }
+
+    /**
+     * Loudness normalization and silence trimming, from the Audio tab or the saved settings.
+     * @param {jQuery} [tab]
+     * @returns {{loudnessTarget: number, trimSilence: boolean, silenceThreshold: number}} A target of 0 leaves the level alone
+     */
+    _getAudioProcessing(tab) {
+        const trimField = tab?.find('[data-setting="trimSilence"]');
+        return {
+            loudnessTarget: parseFloat(this._getTabSetting(tab, "loudnessTarget")) || 0,
+            trimSilence: trimField?.length ? trimField.prop("checked") : game.settings.get(MODULE_ID, "trimSilence"),
+            silenceThreshold: game.settings.get(MODULE_ID, "silenceThreshold")
+        };
+    }
+
+    /**
+     * Video codec, bitrate and framerate cap, from the fields of a tab or the saved settings.
+     * @param {jQuery} [tab]
+     */
+    _getVideoSettings(tab) {
+        return {
+            codec: this._getTabSetting(tab, "videoCodec"),
+            bitrate: parseInt(this._getTabSetting(tab, "videoBitrate")) || 5000000,
+            framerate: parseInt(this._getTabSetting(tab, "videoFramerate")) || 0
+        };
+    }
+
+    /**
+     * Value of a [data-setting] field in a tab, or the saved setting if the tab has none.
+     * @param {jQuery} [tab]
+     * @param {string} setting
+     */
+    _getTabSetting(tab, setting) {
+        return tab?.find(`[data-setting="${setting}"]`).val() ?? game.settings.get(MODULE_ID, setting);
+    }
+
+    async _onOptimizeClick(event) {
+        event.preventDefault();
+        if (this.isOptimizing) return;
+        const selection = this._getSelection();
+        if (!selection) return;
+        const { imageFiles, audioFiles, quality, imageFormat, audioBitrate, downmix, audioProcessing, video } = selection;
+
+        if (game.settings.get(MODULE_ID, "pendingRun")?.id) {
+            const confirmed = await Dialog.confirm({
+                title: "Unfinished Run",
+                content: "<p>An unfinished run is waiting to be resumed. Keep its finished files in the history and start a new run?</p>"
+            });
+            if (!confirmed) return;
+            await this._discardPendingRun();
+        }
+
+        this.cleanupReport = null;
+        await this._executeRun({
+            id: foundry.utils.randomID(),
+            date: Date.now(),
+            entries: [],
+            imageKeys: imageFiles.map(f => f.uniqueId),
+            audioKeys: audioFiles.map(f => f.uniqueId),
+            completedKeys: [],
+            orphanedFiles: [],
+            options: { quality, imageFormat, audioBitrate, downmix, audioProcessing, video }
+        });
+    }
+
+    /**
+     * Runs, or resumes, an optimization run.
+     * The run is saved to the pendingRun setting after every file, so a run that is
+     * paused or cut off by a reload can continue with the files it had not finished.
+     */
+    async _executeRun(run) {
+        const done = new Set(run.completedKeys);
+        const findFiles = (keys, pool) => keys.filter(k => !done.has(k)).map(k => pool.find(f => f.uniqueId === k)).filter(f => f);
+        const imageFiles = findFiles(run.imageKeys, [...this.scenesData, ...this.imagesData]);
+        const audioFiles = findFiles(run.audioKeys, this.audioData);
+        const { quality, imageFormat, audioBitrate, downmix, audioProcessing = this._getAudioProcessing(), video = this._getVideoSettings() } = run.options;
+
+        this.currentRun = run;
+        this.orphanedFiles = run.orphanedFiles;
         this.isOptimizing = true;
-        this.orphanedFiles = [];
-        const totalItems = targetScenes.length + targetAudio.length;
-        this.progress = { value: 0, max: totalItems, label: "Starting..." };
-        this.render();
+        this.isPaused = false;
+        this.abortController = new AbortController();
+        const signal = this.abortController.signal;
+        this._openJobQueue();
+        const totalItems = run.imageKeys.length + run.audioKeys.length;
+        this.progress = { value: done.size, max: totalItems, label: "Starting..." };
+
+        try {
+            await this._savePendingRun();
+            this.render();
+
+            // Small wait
+            await new Promise(r => setTimeout(r, 100));
+
+            // Process Images
+            if (imageFiles.length > 0) {
+                await this._runImageOptimization(imageFiles, quality, { format: imageFormat, video, signal });
+            }
 
-        // Small wait
-        await new Promise(r => setTimeout(r, 100));
+            // Process Audio
+            if (audioFiles.length > 0 && !signal.aborted) {
+                await this._runAudioOptimization(audioFiles, audioBitrate, { downmix, processing: audioProcessing, signal });
+            }
+
+            // Finished and cancelled runs both keep what was done so far in the history
+            await this._saveRunManifest();
+            await game.settings.set(MODULE_ID, "pendingRun", null);
 
-        // Process Scenes
-        if (targetScenes.length > 0) {
-            await this._runSceneOptimization(targetScenes, quality);
+            if (signal.aborted) {
+                this.progress.label = "Cancelled.";
+            } else {
+                this.progress.label = "Done!";
+                this.progress.value = totalItems;
+            }
+            const failed = [...imageFiles, ...audioFiles].filter(f => f.error).length;
+            if (failed) ui.notifications.warn(`Scene Optimizer | ${failed} file(s) were not converted, see the Error column.`);
+            const warned = [...imageFiles, ...audioFiles].filter(f => f.warning && !f.error).length;
+            if (warned) ui.notifications.info(`Scene Optimizer | ${warned} file(s) were converted with a warning, see the Error column.`);
+        } catch (err) {
+            // The pending run stays saved, so the files not done yet can be resumed
+            console.error("Scene Optimizer | Run failed", err);
+            ui.notifications.error(`Scene Optimizer | Run failed: ${err.message}`);
+            this.progress.label = "Failed.";
+        } finally {
+            this._closeJobQueue();
+            this.isOptimizing = false;
+            this.isPaused = false;
+            this.abortController = null;
+            this.render();
         }
+    }
+
+    async _savePendingRun() {
+        await game.settings.set(MODULE_ID, "pendingRun", this.currentRun);
+    }
+
+    /**
+     * Marks a file as finished and saves the run, so a resumed run skips it.
+     */
+    async _markCompleted(item) {
+        // Only window runs keep resume state, API runs just collect history entries
+        if (!this.currentRun?.completedKeys) return;
+        this.currentRun.completedKeys.push(item.uniqueId);
+        await this._savePendingRun();
+    }
+
+    _openJobQueue() {
+        this.encoderPool = new EncoderPool(game.settings.get(MODULE_ID, "workerConcurrency"));
+        this.uploadThrottle = new Throttle(game.settings.get(MODULE_ID, "uploadConcurrency"));
+    }
+
+    _closeJobQueue() {
+        this.encoderPool?.terminate();
+        this.encoderPool = null;
+        this.uploadThrottle = null;
+    }
+
+    /**
+     * Fires the vetoable pre-item hook. Handlers may change the quality or bitrate on the context.
+     * @returns {boolean} False if a handler vetoed the item
+     */
+    _allowItem(item, context) {
+        item.newPath = null;
+        item.error = null;
+        item.warning = null;
+        item.skipped = Hooks.call(HOOKS.preOptimizeItem, item, context) === false;
+        return !item.skipped;
+    }
+
+    /**
+     * Outcome of one file, as passed to the optimizeItem hook and returned by the API.
+     */
+    _getItemResult(item, dryRun) {
+        const newSize = dryRun ? item.projectedSize : item.actualSize;
+        return {
+            path: item.path,
+            newPath: item.newPath ?? null,
+            originalSize: item.originalSize ?? null,
+            newSize: item.error || item.skipped ? null : newSize ?? null,
+            references: item.refs.map(r => ({ uuid: r.uuid, field: r.field })),
+            skipped: !!item.skipped,
+            error: item.error ?? null,
+            warning: item.warning ?? null,
+            analysis: item.audioAnalysis ?? null
+        };
+    }
+
+    /**
+     * Works through files with as many in flight as the encoder pool has workers.
+     * Each lane waits while the run is paused and stops once it is cancelled.
+     * @param {object[]} items
+     * @param {AbortSignal} signal
+     * @param {function(object): Promise} processItem
+     */
+    async _runQueue(items, signal, processItem) {
+        const queue = [...items];
+        const laneCount = Math.min(this.encoderPool.size, queue.length);
+        const lanes = Array.from({ length: laneCount }, async () => {
+            while (queue.length) {
+                if (await this._checkpoint(signal)) return;
+                const item = queue.shift();
+                if (item) await processItem(item);
+            }
+        });
+        await Promise.all(lanes);
+    }
 
-        // Process Audio
-        if (targetAudio.length > 0) {
-            await this._runAudioOptimization(targetAudio, audioBitrate);
+    /**
+     * Called between files: waits while the run is paused.
+     * @returns {Promise<boolean>} True if the run was cancelled
+     */
+    async _checkpoint(signal) {
+        if (this.isPaused && !signal?.aborted) {
+            this._updateProgress(this.progress.value, "Paused.");
+            // All lanes wait on the same promise
+            this._pausePromise ??= new Promise(resolve => this._resumeRun = resolve);
+            await this._pausePromise;
         }
+        return signal?.aborted ?? false;
+    }
 
-        this.isOptimizing = false;
-        this.progress.label = "Done!";
-        this.progress.value = totalItems;
-        this.render();
+    _releasePause() {
+        this._resumeRun?.();
+        this._resumeRun = null;
+        this._pausePromise = null;
     }
 
-    async _runSceneOptimization(scenes, quality) {
-        let completed = this.progress.value;
-        const total = this.progress.max;
+    _onPauseRun(event) {
+        event.preventDefault();
+        if (!this.abortController) return;
+        this.isPaused = !this.isPaused;
+        const button = $(event.currentTarget);
+        if (this.isPaused) {
+            button.html('<i class="fas fa-play"></i> Resume');
+            this._updateProgress(this.progress.value, "Pausing after the current file...");
+        } else {
+            button.html('<i class="fas fa-pause"></i> Pause');
+            this._releasePause();
+        }
+    }
 
-        for (const scene of scenes) {
-            const labelText = `Optimizing Image: ${scene.name} (${completed + 1}/${total})`;
-            this._updateProgress(completed, labelText);
+    /**
+     * Stops the run. The current file is aborted unless its upload already started,
+     * in which case it is finished so no document is left half updated.
+     */
+    _onCancelRun(event) {
+        event.preventDefault();
+        if (!this.abortController) return;
+        this.abortController.abort();
+        this._releasePause();
+        this.element.find(".run-controls button").prop("disabled", true);
+        this._updateProgress(this.progress.value, "Cancelling...");
+    }
 
-            try {
-                const originalPath = scene.background.src;
-                const blob = await this._convertImageToWebP(originalPath, quality);
+    async _onResumeRun(event) {
+        event.preventDefault();
+        if (this.isOptimizing) return;
+        const run = game.settings.get(MODULE_ID, "pendingRun");
+        if (!run?.id) return;
+        this.cleanupReport = null;
+        await this._executeRun(foundry.utils.deepClone(run));
+    }
 
-                if (blob && blob.size > 0) {
-                    const decodedPath = decodeURIComponent(originalPath);
-                    const pathParts = decodedPath.split("/");
-                    const fileName = pathParts.pop();
-                    const folderPath = pathParts.join("/");
-                    const nameWithoutExt = fileName.substring(0, fileName.lastIndexOf("."));
-                    const newFileName = `${nameWithoutExt}.webp`;
+    async _onDiscardRun(event) {
+        event.preventDefault();
+        if (this.isOptimizing) return;
+        await this._discardPendingRun();
+        this.render();
+    }
 
-                    const file = new File([blob], newFileName, { type: "image/webp" });
-                    const result = await FilePicker.upload("data", folderPath, file);
+    /**
+     * Drops an unfinished run, keeping the files it did finish in the history.
+     */
+    async _discardPendingRun() {
+        const run = game.settings.get(MODULE_ID, "pendingRun");
+        if (!run?.id) return;
+        this.currentRun = foundry.utils.deepClone(run);
+        await this._saveRunManifest();
+        await game.settings.set(MODULE_ID, "pendingRun", null);
+    }
 
-                    const newPath = result.path || `${folderPath}/${newFileName}`;
-                    await scene.update({ "background.src": newPath });
+    /**
+     * Encodes the selected files without uploading anything to project the savings.
+     * Files that would grow are unchecked.
+     */
+    async _onEstimateClick(event) {
+        event.preventDefault();
+        if (this.isOptimizing) return;
+        const selection = this._getSelection();
+        if (!selection) return;
+        const { imageFiles, audioFiles, quality, imageFormat, audioBitrate, downmix, audioProcessing, video } = selection;
 
-                    if (originalPath.split("?")[0] !== newPath.split("?")[0]) {
-                        this.orphanedFiles.push(originalPath);
-                    }
-                }
-            } catch (err) {
-                console.error(`Scene Optimizer | Failed Scene ${scene.name}:`, err);
+        this.isOptimizing = true;
+        this.isPaused = false;
+        this.abortController = new AbortController();
+        const signal = this.abortController.signal;
+        this._openJobQueue();
+        const totalItems = imageFiles.length + audioFiles.length;
+        this.progress = { value: 0, max: totalItems, label: "Estimating..." };
+
+        try {
+            this.render();
+
+            if (imageFiles.length > 0) {
+                await this._runImageOptimization(imageFiles, quality, { dryRun: true, format: imageFormat, video, signal });
+            }
+            if (audioFiles.length > 0 && !signal.aborted) {
+                await this._runAudioOptimization(audioFiles, audioBitrate, { dryRun: true, downmix, processing: audioProcessing, signal });
+            }
+
+            for (const file of [...imageFiles, ...audioFiles]) {
+                if (file.projectedSize >= file.originalSize) file.checked = false;
+            }
+
+            if (signal.aborted) {
+                this.progress.label = "Estimate cancelled.";
+            } else {
+                this.progress.label = "Estimate complete.";
+                this.progress.value = totalItems;
             }
-            completed++;
-            this._updateProgress(completed);
-            await new Promise(r => setTimeout(r, 200)); // Delay for server kindness
+        } catch (err) {
+            console.error("Scene Optimizer | Estimate failed", err);
+            ui.notifications.error(`Scene Optimizer | Estimate failed: ${err.message}`);
+            this.progress.label = "Estimate failed.";
+        } finally {
+            this._closeJobQueue();
+            this.isOptimizing = false;
+            this.isPaused = false;
+            this.abortController = null;
+            this.render();
         }
     }
 
-    async _runAudioOptimization(audioItems, bitrate) {
-        let completed = this.progress.value; // Continue from scenes
-        const total = this.progress.max;
-
+    /**
+     * @param {object[]} audioFiles
+     * @param {number} bitrate
+     * @param {object} [options]
+     * @param {boolean} [options.dryRun] Only measure the output size, upload and update nothing
+     * @param {boolean} [options.downmix] Mix surround sources down to stereo
+     * @param {object} [options.processing] Loudness target and silence trimming, see _getAudioProcessing()
+     * @param {AbortSignal} [options.signal] Cancels the run
+     */
+    async _runAudioOptimization(audioFiles, bitrate, { dryRun = false, downmix = false, processing = this._getAudioProcessing(), signal } = {}) {
         // Check Support
         if (!window.AudioEncoder) {
             ui.notifications.error("Scene Optimizer | Your browser/Foundry version does not support AudioEncoder. Cannot optimize audio.");
+            audioFiles.forEach(item => item.error = "AudioEncoder is not supported");
             return;
         }
 
         // Context for decoding
         const audioCtx = new (window.AudioContext || window.webkitAudioContext)();
 
-        for (const item of audioItems) {
-            const labelText = `Converting Audio (${item.format} -> ogg): ${item.name} (${completed + 1}/${total})`;
-            this._updateProgress(completed, labelText);
-
-            try {
-                // 1. Fetch
-                const response = await fetch(item.path);
-                const arrayBuffer = await response.arrayBuffer();
-
-                // 2. Decode (Always needed)
-                const audioBuffer = await audioCtx.decodeAudioData(arrayBuffer);
-
-                // 3. Convert to OGG Opus (Fast)
-                const blob = await this._convertAudioToOggFast(audioBuffer, bitrate, (pct) => {
-                    this._updateProgress(completed, `Encoding ${item.name}: ${pct}%`);
-                });
+        await this._runQueue(audioFiles, signal, async (item) => {
+            const context = { type: "audio", bitrate: item.bitrateOverride ?? bitrate, downmix, ...processing, dryRun, auto: false };
+            if (!this._allowItem(item, context)) {
+                this._updateProgress(this.progress.value + 1);
+                if (!dryRun) await this._markCompleted(item);
+                return;
+            }
 
-                if (blob && blob.size > 0) {
-                    const pathParts = item.path.split("/");
-                    const fileName = pathParts.pop();
-                    const folderPath = pathParts.join("/");
-                    const nameWithoutExt = fileName.substring(0, fileName.lastIndexOf("."));
-                    const newFileName = `${nameWithoutExt}.ogg`;
-
-                    const file = new File([blob], newFileName, { type: "audio/ogg" });
-                    const result = await FilePicker.upload("data", folderPath, file);
-
-                    const newPath = result.path || `${folderPath}/${newFileName}`;
-
-                    // 4. Update Foundry Object
-                    if (item.type === 'playlist') {
-                        const playlist = game.playlists.get(item.parentId);
-                        const sound = playlist.sounds.get(item.id);
-                        await sound.update({ path: newPath });
-                    } else if (item.type === 'ambient') {
-                        const scene = game.scenes.get(item.parentId);
-                        const sound = scene.sounds.get(item.id);
-                        await sound.update({ path: newPath });
-                    }
+            const labelText = `Converting Audio (${item.format} -> ogg): ${item.name} (${this.progress.value + 1}/${this.progress.max})`;
+            this._updateProgress(this.progress.value, labelText);
 
-                    if (item.path !== newPath) {
+            try {
+                const { originalSize, blob, expected, analysis } = await this._encodeAudioFile(item, context.bitrate, audioCtx, (pct) => {
+                    this._updateProgress(this.progress.value, `Encoding ${item.name}: ${pct}%`);
+                }, { downmix: context.downmix, processing: context, signal });
+                item.originalSize = originalSize;
+                this._setAudioAnalysis(item, analysis);
+                // Last chance to stop: past this point the file is uploaded and every reference updated
+                signal?.throwIfAborted();
+
+                if (blob && blob.size > 0 && dryRun) {
+                    item.projectedSize = blob.size;
+                } else if (blob && blob.size > 0) {
+                    const newPath = await this._uploadOptimized(blob, item.path, "ogg", "audio/ogg");
+                    this._updateProgress(this.progress.value, `Verifying ${item.name}`);
+                    await this._verifyUpload(newPath, "audio", expected);
+                    item.actualSize = blob.size;
+                    item.newPath = newPath;
+
+                    // 4. Update every Foundry Object using this file
+                    const updatedRefs = await this._applyReferenceUpdates(item.refs, newPath);
+                    this._recordRunEntries(updatedRefs, newPath, originalSize, blob.size);
+
+                    if (this._normalizePath(item.path) !== this._normalizePath(decodePath(newPath))) {
                         this.orphanedFiles.push(item.path);
                     }
                 } else {
                     console.error("[SceneOptimizer] Blob was empty or null!");
+                    item.error = "Encoder returned no data";
                 }
             } catch (err) {
+                if (signal?.aborted) return;
                 console.error(`Scene Optimizer | Failed Audio ${item.name}:`, err);
+                item.error = err.message;
             }
+            Hooks.callAll(HOOKS.optimizeItem, item, this._getItemResult(item, dryRun));
+
+            this._updateProgress(this.progress.value + 1);
+            if (!dryRun) await this._markCompleted(item);
+        });
 
-            completed++;
-            this._updateProgress(completed);
+        if (audioCtx.state !== 'closed') audioCtx.close();
+    }
 
-            // Pause slightly to let UI breathe
-            await new Promise(r => setTimeout(r, 100));
+    /**
+     * Encodes one audio file to Ogg Opus, normalized and trimmed as the processing options ask.
+     * @param {object} [options.processing] { loudnessTarget, trimSilence, silenceThreshold }, see _getAudioProcessing()
+     * @returns {Promise<{originalSize: number, blob: Blob, expected: object, analysis: object}>} `analysis` as
+     *   reported by planProcessing() in audio-dsp.js
+     */
+    async _encodeAudioFile(item, bitrate, audioCtx, onProgress, { downmix = false, processing = {}, signal } = {}) {
+        processing = this._pickProcessing(processing);
+        // MP3, WAV and FLAC are streamed through a worker, so long files never sit in memory as PCM
+        if (STREAMABLE_AUDIO.includes(item.format)) {
+            try {
+                return await this.encoderPool.run({
+                    type: "audio-stream",
+                    url: this.storage.getUrl(item.path),
+                    bitrate: bitrate,
+                    downmix: downmix,
+                    fallbackTags: this._getFallbackTags(item),
+                    processing: processing
+                }, [], { onProgress, signal });
+            } catch (err) {
+                if (err.name !== "NotSupportedError") throw err;
+                console.warn(`Scene Optimizer | Cannot stream ${item.name}, decoding the whole file instead:`, err.message);
+            }
         }
 
-        if (audioCtx.state !== 'closed') audioCtx.close();
+        // 1. Fetch
+        const response = await this.storage.fetch(item.path);
+        if (!response.ok) throw new Error(`Could not fetch ${item.path} (${response.status})`);
+        const arrayBuffer = await response.arrayBuffer();
+        const originalSize = arrayBuffer.byteLength;
+        // Read before decoding: decodeAudioData detaches the buffer and resamples to the context rate
+        const inputSampleRate = readSampleRate(arrayBuffer);
+        const tags = this._getAudioTags(item, arrayBuffer);
+
+        // 2. Decode (Always needed)
+        const decoded = await audioCtx.decodeAudioData(arrayBuffer);
+        const { blob, duration, analysis } = await this._encodeAudioBuffer(decoded, bitrate, { name: item.name, inputSampleRate, tags, downmix, processing, onProgress, signal });
+        return { originalSize, blob, expected: { duration, channels: decoded.numberOfChannels }, analysis };
     }
 
-    _updateProgress(value, label) {
-        this.progress.value = value;
-        if (label) this.progress.label = label;
-        this.element.find("progress").val(value);
-        if (label) this.element.find(".progress-container label").text(label);
+    /**
+     * Only the processing fields go to the worker, a hook context carries more.
+     */
+    _pickProcessing({ loudnessTarget = 0, trimSilence = false, silenceThreshold = -60 } = {}) {
+        return { loudnessTarget: Number(loudnessTarget) || 0, trimSilence: !!trimSilence, silenceThreshold };
+    }
+
+    /**
+     * Keeps the measured loudness on an Audio tab row.
+     */
+    _setAudioAnalysis(item, analysis) {
+        item.audioAnalysis = analysis ?? null;
+        if (!analysis) return;
+        const db = (value) => value === null ? "-∞" : value.toFixed(1);
+        const sign = analysis.gain > 0 ? "+" : "";
+        item.loudnessLabel = analysis.loudness === null ? "silent" : `${db(analysis.loudness)} LUFS`;
+        item.loudnessTitle = `Peak ${db(analysis.peak)} dBFS, gain ${sign}${analysis.gain.toFixed(1)} dB`
+            + `, trimmed ${analysis.trimmedStart.toFixed(2)} s + ${analysis.trimmedEnd.toFixed(2)} s`;
+    }
+
+    /**
+     * Encodes decoded audio to Ogg Opus in a worker.
+     * @param {AudioBuffer} decoded
+     * @param {number} bitrate
+     * @param {object} [options]
+     * @param {string} [options.name] Used in log messages
+     * @param {number} [options.inputSampleRate] Rate of the source file, written to the Opus header
+     * @param {object} [options.tags] Vorbis comments
+     * @param {object} [options.processing] { loudnessTarget, trimSilence, silenceThreshold }
+     * @returns {Promise<{blob: Blob, duration: number, analysis: object}>} Duration in seconds after trimming
+     */
+    async _encodeAudioBuffer(decoded, bitrate, { name = "audio", inputSampleRate, tags = {}, downmix = false, processing = {}, onProgress, signal } = {}) {
+        // Surround: downmix on request, or when the browser's Opus encoder cannot take the layout
+        if (decoded.numberOfChannels > 2) {
+            const supported = !downmix && await this._isChannelCountSupported(decoded.numberOfChannels, bitrate);
+            if (!supported) {
+                if (!downmix) console.warn(`Scene Optimizer | ${decoded.numberOfChannels}-channel Opus not supported by this browser, downmixing ${name} to stereo.`);
+                decoded = this._downmixToStereo(decoded);
+            }
+        }
+
+        // 3. Resample to the rate Opus runs at
+        const audioBuffer = await this._resampleAudio(decoded, OPUS_SAMPLE_RATE);
+
+        // 4. Convert to OGG Opus in a worker (channel copies are moved, not cloned)
+        const channels = Array.from({ length: audioBuffer.numberOfChannels }, (_, ch) => audioBuffer.getChannelData(ch).slice());
+        return this.encoderPool.run({
+            type: "audio",
+            channels: channels,
+            sampleRate: audioBuffer.sampleRate,
+            bitrate: bitrate,
+            inputSampleRate: inputSampleRate ?? decoded.sampleRate,
+            tags: tags,
+            processing: this._pickProcessing(processing)
+        }, channels.map(c => c.buffer), { onProgress, signal });
+    }
+
+    /**
+     * Reads the source's own tags, falling back to the playlist sound and playlist names.
+     */
+    _getAudioTags(item, arrayBuffer) {
+        const tags = readAudioTags(arrayBuffer);
+        for (const [field, value] of Object.entries(this._getFallbackTags(item))) addFallbackTag(tags, field, value);
+        return tags;
+    }
+
+    _getFallbackTags(item) {
+        const playlistRef = item.refs.find(r => r.docType === "PlaylistSound");
+        return playlistRef ? { TITLE: playlistRef.name, ALBUM: playlistRef.parentName } : {};
+    }
+
+    async _isChannelCountSupported(numberOfChannels, bitrate) {
+        if (!VORBIS_CHANNEL_ORDER[numberOfChannels]) return false;
+        try {
+            const { supported } = await AudioEncoder.isConfigSupported({
+                codec: 'opus',
+                numberOfChannels: numberOfChannels,
+                sampleRate: OPUS_SAMPLE_RATE,
+                bitrate: bitrate
+            });
+            return supported;
+        } catch (err) {
+            return false;
+        }
+    }
+
+    /**
+     * Mixes a surround AudioBuffer down to stereo (see audio-dsp.js).
+     */
+    _downmixToStereo(audioBuffer) {
+        const channels = Array.from({ length: audioBuffer.numberOfChannels }, (_, ch) => audioBuffer.getChannelData(ch));
+        const [left, right] = downmixToStereo(channels);
+        const stereo = new AudioBuffer({ numberOfChannels: 2, length: audioBuffer.length, sampleRate: audioBuffer.sampleRate });
+        stereo.copyToChannel(left, 0);
+        stereo.copyToChannel(right, 1);
+        return stereo;
+    }
+
+    /**
+     * Renders an AudioBuffer through an OfflineAudioContext at the target sample rate.
+     */
+    async _resampleAudio(audioBuffer, sampleRate) {
+        if (audioBuffer.sampleRate === sampleRate) return audioBuffer;
+
+        const length = Math.ceil(audioBuffer.duration * sampleRate);
+        const offlineCtx = new OfflineAudioContext(audioBuffer.numberOfChannels, length, sampleRate);
+        const source = offlineCtx.createBufferSource();
+        source.buffer = audioBuffer;
+        source.connect(offlineCtx.destination);
+        source.start();
+        return offlineCtx.startRendering();
     }
 
     /**
-     * Converts AudioBuffer to OGG (Opus) using WebCodecs AudioEncoder (FAST).
+     * Converts images to WebP or AVIF and videos (see VIDEO_FORMATS) to WebM.
+     * @param {object[]} imageFiles
+     * @param {number} quality
+     * @param {object} [options]
+     * @param {boolean} [options.dryRun] Only measure the output size, upload and update nothing
+     * @param {string} [options.format] Image output format, see IMAGE_OUTPUT_FORMATS
+     * @param {object} [options.video] Codec, bitrate and framerate cap for videos, see _getVideoSettings()
+     * @param {AbortSignal} [options.signal] Cancels the run
      */
-    async _convertAudioToOggFast(audioBuffer, bitrate = 128000, onProgress) {
-        return new Promise(async (resolve, reject) => {
+    async _runImageOptimization(imageFiles, quality, { dryRun = false, format, video = this._getVideoSettings(), signal } = {}) {
+        format ??= game.settings.get(MODULE_ID, "imageFormat");
+        await this._runQueue(imageFiles, signal, async (item) => {
+            const isVideo = VIDEO_FORMATS.includes(item.format);
+            const tileSize = this.splitter.canSplit(item) ? this.splitter.tileSize : 0;
+            const context = isVideo
+                ? { type: "video", ...video, dryRun, auto: false }
+                : { type: "image", quality: item.qualityOverride ?? quality, format, tileSize, dryRun, auto: false };
+            if (!this._allowItem(item, context)) {
+                this._updateProgress(this.progress.value + 1);
+                if (!dryRun) await this._markCompleted(item);
+                return;
+            }
+
+            const labelText = `${isVideo ? "Transcoding Video" : "Optimizing Image"}: ${item.name} (${this.progress.value + 1}/${this.progress.max})`;
+            this._updateProgress(this.progress.value, labelText);
+
             try {
-                const muxer = new OggOpusMuxer(audioBuffer.sampleRate, audioBuffer.numberOfChannels);
-                let encodedChunks = 0;
-
-                const encoder = new AudioEncoder({
-                    output: (chunk, metadata) => {
-                        const buffer = new Uint8Array(chunk.byteLength);
-                        chunk.copyTo(buffer);
-                        // Calculates frames (samples) roughly from duration
-                        // chunk.duration is in microseconds.
-                        const samples = Math.round(chunk.duration * audioBuffer.sampleRate / 1000000);
-                        muxer.addPacket(buffer, samples);
-                        encodedChunks++;
-                    },
-                    error: (e) => {
-                        console.error("AudioEncoder Error:", e);
-                        reject(e);
+                const onProgress = (pct) => {
+                    this._updateProgress(this.progress.value, `Encoding ${item.name}: ${pct}%`);
+                };
+                const { originalSize, blob, tiles, expected } = isVideo
+                    ? await this._encodeVideoFile(item, context, onProgress, signal)
+                    : await this._encodeImageFile(item, context, onProgress, signal);
+                item.originalSize = originalSize;
+                signal?.throwIfAborted();
+
+                if (tiles && dryRun) {
+                    item.projectedSize = this.splitter.getSize(tiles);
+                } else if (tiles) {
+                    this._updateProgress(this.progress.value, `Placing ${tiles.pieces.length} map pieces: ${item.name}`);
+                    item.newPath = await this.splitter.apply(item, tiles, originalSize);
+                    item.actualSize = this.splitter.getSize(tiles);
+                    this.orphanedFiles.push(item.path);
+                } else if (blob && blob.size > 0 && dryRun) {
+                    item.projectedSize = blob.size;
+                } else if (blob && blob.size > 0) {
+                    const mimeType = isVideo ? "video/webm" : blob.type;
+                    const extension = mimeType.split("/")[1];
+                    const newPath = await this._uploadOptimized(blob, item.path, extension, mimeType);
+                    this._updateProgress(this.progress.value, `Verifying ${item.name}`);
+                    await this._verifyUpload(newPath, context.type, expected);
+                    item.actualSize = blob.size;
+                    item.newPath = newPath;
+                    const updatedRefs = await this._applyReferenceUpdates(item.refs, newPath);
+                    this._recordRunEntries(updatedRefs, newPath, originalSize, blob.size);
+
+                    if (this._normalizePath(item.path) !== this._normalizePath(decodePath(newPath))) {
+                        this.orphanedFiles.push(item.path);
                     }
-                });
+                }
+            } catch (err) {
+                if (signal?.aborted) return;
+                console.error(`Scene Optimizer | Failed Image ${item.name}:`, err);
+                item.error = err.message;
+            }
+            Hooks.callAll(HOOKS.optimizeItem, item, this._getItemResult(item, dryRun));
+            this._updateProgress(this.progress.value + 1);
+            if (!dryRun) await this._markCompleted(item);
+        });
+    }
 
-                encoder.configure({
-                    codec: 'opus',
-                    numberOfChannels: audioBuffer.numberOfChannels,
-                    sampleRate: audioBuffer.sampleRate,
-                    bitrate: bitrate
-                });
+    /**
+     * Transcodes an MP4/MOV file to WebM in a worker. The worker reads the file through
+     * range requests, so it never has to be downloaded as a whole.
+     */
+    async _encodeVideoFile(item, { codec, bitrate, framerate }, onProgress, signal) {
+        const result = await this.encoderPool.run({
+            type: "video",
+            url: this.storage.getUrl(item.path),
+            codec: codec,
+            bitrate: bitrate,
+            maxFramerate: framerate,
+            limits: this._getResizeLimits(item.refs)
+        }, [], { onProgress, signal });
+
+        const { scale, sourceWidth, sourceHeight } = result;
+        item.resizeLabel = scale < 1 ? this._formatResize(sourceWidth, sourceHeight, scale) : null;
+        // The WebM only carries the picture; Foundry plays backgrounds and tiles muted anyway
+        if (result.droppedAudio) item.warning = "Audio track dropped";
+        return result;
+    }
 
-                const numberOfChannels = audioBuffer.numberOfChannels;
-                const length = audioBuffer.length;
-                const sampleRate = audioBuffer.sampleRate;
+    /**
+     * @param {object} item
+     * @param {{quality: number, format: string, tileSize: number}} options Output format, see IMAGE_OUTPUT_FORMATS.
+     *   Images larger than tileSize (0 for never) are split into map pieces (see MapSplitter).
+     * @returns {Promise<{originalSize: number, blob: Blob, expected: {width: number, height: number}}>} The Blob's
+     *   type is the format that was written, `expected` its size for _verifyUpload(). Split images return
+     *   the worker's `tiles` result instead of a blob.
+     */
+    async _encodeImageFile(item, { quality, format, tileSize = 0 }, onProgress, signal) {
+        // Fetch the original first so its size is known
+        const response = await this.storage.fetch(item.src);
+        if (!response.ok) throw new Error(`Could not fetch ${item.path} (${response.status})`);
+        const sourceBlob = await response.blob();
+        if (item.format === "gif" && await this._isAnimatedGif(sourceBlob)) {
+            throw new Error("Animated GIFs are left as they are, a still image would lose the animation");
+        }
+        // Decoded off the UI thread, then moved to a worker for resizing and encoding
+        const bitmap = await createImageBitmap(sourceBlob);
 
-                // Chunk size ~5 seconds to reduce event loop pressure
-                const chunkSize = sampleRate * 5;
-                let offset = 0;
+        const scale = this._getResizeScale(bitmap.width, bitmap.height, item.refs);
+        item.resizeLabel = scale < 1 ? this._formatResize(bitmap.width, bitmap.height, scale) : null;
 
-                while (offset < length) {
-                    // Backpressure check
-                    if (encoder.encodeQueueSize > 5) {
-                        await new Promise(r => setTimeout(r, 10));
-                        continue;
-                    }
+        // Same rounding as the worker; read before the bitmap is moved there
+        const expected = { width: Math.max(1, Math.round(bitmap.width * scale)), height: Math.max(1, Math.round(bitmap.height * scale)) };
 
-                    const end = Math.min(offset + chunkSize, length);
-                    const frameLength = end - offset;
-                    const timestamp = offset * 1000000 / sampleRate;
+        const minPsnr = game.settings.get(MODULE_ID, "autoFormatMinPsnr");
+        if (this.splitter.getGrid(expected.width, expected.height, tileSize)) {
+            const job = { type: "tiles", bitmap, quality, scale, format, minPsnr, tileSize, baseSize: this.splitter.baseSize };
+            const tiles = await this.encoderPool.run(job, [bitmap], { onProgress, signal });
+            return { originalSize: sourceBlob.size, blob: null, tiles, expected };
+        }
+        const job = { type: "image", bitmap, quality, scale, format, minPsnr };
+        const blob = await this.encoderPool.run(job, [bitmap], { onProgress, signal });
+        return { originalSize: sourceBlob.size, blob, expected };
+    }
 
-                    // Extract and interleave/planarize data
-                    const buffer = new Float32Array(frameLength * numberOfChannels);
-                    for (let ch = 0; ch < numberOfChannels; ch++) {
-                        const channelData = audioBuffer.getChannelData(ch).subarray(offset, end);
-                        buffer.set(channelData, ch * frameLength);
-                    }
+    /**
+     * Re-fetches an uploaded file and decodes it, so a truncated or corrupt upload never
+     * replaces a working file in a live session. Surround audio may come back as stereo
+     * (downmixed on request or for lack of encoder support).
+     * @param {string} path Path returned by the upload
+     * @param {"image"|"video"|"audio"} type
+     * @param {object} expected { width, height } for images, plus duration for videos, { duration, channels } for audio
+     * @throws {Error} If the file cannot be fetched or decoded, or does not match the source
+     */
+    async _verifyUpload(path, type, expected = {}) {
+        // The browser cache may still hold an older file of the same name
+        const response = await this.storage.fetch(path, { cache: "no-store" });
+        if (!response.ok) throw new Error(`Verification failed: the uploaded file could not be fetched (${response.status})`);
+        const blob = await response.blob();
+
+        let actual;
+        try {
+            actual = await this._decodeForVerification(blob, type);
+        } catch (err) {
+            throw new Error(`Verification failed: the uploaded file does not decode (${err.message || err.name})`);
+        }
+
+        const mismatches = [];
+        if (expected.width && (actual.width !== expected.width || actual.height !== expected.height)) {
+            mismatches.push(`${actual.width}×${actual.height} instead of ${expected.width}×${expected.height}`);
+        }
+        const tolerance = Math.max(VERIFY_DURATION_TOLERANCE, (expected.duration ?? 0) * 0.01);
+        if (expected.duration && !(Math.abs(actual.duration - expected.duration) <= tolerance)) {
+            mismatches.push(`${actual.duration.toFixed(2)} s instead of ${expected.duration.toFixed(2)} s`);
+        }
+        const downmixed = expected.channels > 2 && actual.channels === 2;
+        if (expected.channels && actual.channels !== expected.channels && !downmixed) {
+            mismatches.push(`${actual.channels} channels instead of ${expected.channels}`);
+        }
+        if (mismatches.length) throw new Error(`Verification failed: ${mismatches.join(", ")}`);
+    }
 
-                    const audioData = new AudioData({
-                        format: 'f32-planar',
-                        sampleRate: sampleRate,
-                        numberOfChannels: numberOfChannels,
-                        numberOfFrames: frameLength,
-                        timestamp: timestamp,
-                        data: buffer
-                    });
+    /**
+     * @returns {Promise<object>} { width, height } of images and videos, duration of videos and audio, channels of audio
+     */
+    async _decodeForVerification(blob, type) {
+        if (type === "image") {
+            const bitmap = await createImageBitmap(blob);
+            const size = { width: bitmap.width, height: bitmap.height };
+            bitmap.close();
+            return size;
+        }
+        if (type === "audio") {
+            // An offline context needs no user gesture and no closing
+            const decoded = await new OfflineAudioContext(1, 1, OPUS_SAMPLE_RATE).decodeAudioData(await blob.arrayBuffer());
+            return { duration: decoded.duration, channels: decoded.numberOfChannels };
+        }
 
-                    encoder.encode(audioData);
-                    audioData.close();
+        // Videos: wait until the first frame is decoded
+        const video = document.createElement("video");
+        const objectUrl = URL.createObjectURL(blob);
+        try {
+            return await new Promise((resolve, reject) => {
+                const timeout = setTimeout(() => reject(new Error("timed out")), VERIFY_VIDEO_TIMEOUT);
+                video.onloadeddata = () => {
+                    clearTimeout(timeout);
+                    resolve({ width: video.videoWidth, height: video.videoHeight, duration: video.duration });
+                };
+                video.onerror = () => {
+                    clearTimeout(timeout);
+                    reject(new Error(video.error?.message || "media error"));
+                };
+                video.muted = true;
+                video.preload = "auto";
+                video.src = objectUrl;
+            });
+        } finally {
+            video.removeAttribute("src");
+            video.load();
+            URL.revokeObjectURL(objectUrl);
+        }
+    }
 
-                    offset += chunkSize;
+    /**
+     * GIFs with a NETSCAPE2.0 looping extension, which every animated GIF tool writes.
+     */
+    async _isAnimatedGif(blob) {
+        const bytes = new Uint8Array(await blob.slice(0, 1024).arrayBuffer());
+        return new TextDecoder("latin1").decode(bytes).includes("NETSCAPE2.0");
+    }
 
-                    // Progress update
-                    if (onProgress) {
-                        const pct = Math.round((offset / length) * 100);
-                        onProgress(pct);
-                    }
+    /**
+     * Points every reference at the new file, batching updates per parent collection.
+     * Compendium documents are updated in place; locked packs only get here when
+     * "Skip locked compendiums" is off and are unlocked for the duration of the update.
+     * @returns {Promise<object[]>} The references that were updated
+     */
+    async _applyReferenceUpdates(refs, newPath) {
+        const batches = new Map();
+        const updatedRefs = [];
+        for (const ref of refs) {
+            const doc = await fromUuid(ref.uuid);
+            if (!doc) continue;
+            updatedRefs.push(ref);
+            const batchKey = `${doc.pack ?? "world"}|${doc.parent?.uuid ?? ""}|${doc.documentName}`;
+            if (!batches.has(batchKey)) {
+                batches.set(batchKey, { pack: doc.pack, parent: doc.parent, cls: doc.constructor, documentName: doc.documentName, updates: new Map() });
+            }
+            // Merge fields of the same document (e.g. Actor portrait + prototype token)
+            const updates = batches.get(batchKey).updates;
+            const update = updates.get(doc.id) ?? { _id: doc.id };
+            update[ref.field] = newPath;
+            updates.set(doc.id, update);
+        }
+
+        for (const batch of batches.values()) {
+            const updates = Array.from(batch.updates.values());
+            await this._withUnlockedPack(batch.pack, async () => {
+                if (batch.parent) await batch.parent.updateEmbeddedDocuments(batch.documentName, updates);
+                else await batch.cls.updateDocuments(updates, { pack: batch.pack });
+            });
+        }
+        return updatedRefs;
+    }
+
+    /**
+     * Runs a document change, unlocking the compendium for its duration if it is locked.
+     * Parallel lanes share one unlock per compendium, which is relocked once the last of
+     * them is done.
+     * @param {string|null} packId Compendium of the document, null for world documents
+     * @param {function(): Promise} fn
+     */
+    async _withUnlockedPack(packId, fn) {
+        const pack = packId ? game.packs.get(packId) : null;
+        if (!pack) return fn();
+        if (!this.unlockPacks && (pack.locked || unlockedPacks.has(pack.collection))) {
+            throw new Error(`Compendium "${pack.title}" is locked`);
+        }
+
+        // A compendium being relocked is waited for, then unlocked again
+        let entry = unlockedPacks.get(pack.collection);
+        while (entry?.closing) {
+            await entry.closing;
+            entry = unlockedPacks.get(pack.collection);
+        }
+        if (!entry) {
+            if (!pack.locked) return fn();
+            entry = { users: 0, ready: pack.configure({ locked: false }), closing: null };
+            unlockedPacks.set(pack.collection, entry);
+        }
 
-                    // Yield to event loop
-                    await new Promise(r => setTimeout(r, 0));
+        entry.users++;
+        try {
+            await entry.ready;
+            return await fn();
+        } finally {
+            if (--entry.users === 0) {
+                entry.closing = pack.configure({ locked: true });
+                try {
+                    await entry.closing;
+                } finally {
+                    unlockedPacks.delete(pack.collection);
                 }
+            }
+        }
+    }
+
+    /**
+     * @param {object} [details] Extra entry fields, e.g. { split: true } for maps cut into tiles
+     */
+    _recordRunEntries(refs, newPath, oldSize, newSize, run = this.currentRun, details = {}) {
+        if (!run) return;
+        for (const ref of refs) {
+            run.entries.push({
+                ...details,
+                uuid: ref.uuid,
+                field: ref.field,
+                name: ref.name,
+                oldPath: ref.src,
+                newPath: newPath,
+                oldSize: oldSize,
+                newSize: newSize,
+                reverted: false
+            });
+        }
+    }
+
+    async _saveRunManifest() {
+        const run = this.currentRun;
+        this.currentRun = null;
+        if (!run || run.entries.length === 0) return;
+        await this._appendHistory({ id: run.id, date: run.date, entries: run.entries });
+    }
+
+    async _appendHistory(run) {
+        const history = game.settings.get(MODULE_ID, "runHistory") || [];
+        await game.settings.set(MODULE_ID, "runHistory", [...history, run]);
+    }
+
+    /**
+     * Uploads an optimized blob to the output folder of its source file and returns the new path.
+     * The name comes from the "File Name Template" setting.
+     */
+    async _uploadOptimized(blob, sourcePath, extension, mimeType) {
+        const folder = this._getOutputFolder(sourcePath.split("/").slice(0, -1).join("/"));
+        const stem = this._getOutputStem(sourcePath);
+        let newFileName = `${stem}.${extension}`;
+        // A re-encoded WebP must not replace the original it was made from
+        const source = this.storage.locate(sourcePath);
+        if (this.storage.key(folder, newFileName) === this.storage.key(source)) {
+            newFileName = `${stem}-optimized.${extension}`;
+        }
 
-                await encoder.flush();
-                const blob = muxer.getBlob();
-                resolve(blob);
+        await this._ensureFolder(folder);
+        return this._uploadFile(blob, folder, newFileName, mimeType);
+    }
 
-            } catch (error) {
-                reject(error);
+    /**
+     * Uploads into an existing folder. A name that is already taken is handled by the
+     * "Existing Files" setting: the file is overwritten, a number is added, the existing
+     * file is used instead, or the upload fails so the source keeps its original.
+     * @param {Blob} blob
+     * @param {{source: string, bucket: string|null, path: string}} folder Location from _getOutputFolder()
+     * @param {string} fileName
+     * @param {string} mimeType
+     * @returns {Promise<string>} Path of the uploaded file, as documents should store it
+     */
+    async _uploadFile(blob, folder, fileName, mimeType) {
+        const policy = game.settings.get(MODULE_ID, "collisionPolicy");
+        if (policy !== "overwrite") {
+            const taken = await this.storage.listFiles(folder);
+            // Only files already on the server are reused, not names another file of this run reserved
+            if (policy === "reuse" && taken.has(fileName)) return taken.get(fileName);
+            const isTaken = (name) => taken.has(name) || this.reservedPaths.has(this.storage.key(folder, name));
+            if (isTaken(fileName)) {
+                if (policy === "skip") throw new Error(`${folder.path}/${fileName} already exists`);
+                fileName = this._getFreeFileName(fileName, isTaken);
             }
-        });
+        }
+        this.reservedPaths.add(this.storage.key(folder, fileName));
+
+        const file = new File([blob], fileName, { type: mimeType });
+        // Encoding runs in parallel, uploads have their own limit to spare the server
+        return this.uploadThrottle.run(() => this.storage.upload(folder, file));
     }
 
     /**
-     * Loads an image from a URL, draws it to a canvas, and returns a WebP Blob.
+     * "map.webp" → "map-1.webp", "map-2.webp", ... until the name is free.
+     * @param {string} fileName
+     * @param {function(string): boolean} isTaken
      */
-    async _convertImageToWebP(src, quality) {
-        return new Promise((resolve, reject) => {
-            const img = new Image();
-            img.crossOrigin = "Anonymous";
-            img.onload = () => {
-                const canvas = document.createElement("canvas");
-                canvas.width = img.width;
-                canvas.height = img.height;
-                const ctx = canvas.getContext("2d");
-                ctx.drawImage(img, 0, 0);
+    _getFreeFileName(fileName, isTaken) {
+        const dot = fileName.lastIndexOf(".");
+        const stem = fileName.substring(0, dot);
+        const extension = fileName.substring(dot);
+        let counter = 1;
+        while (isTaken(`${stem}-${counter}${extension}`)) counter++;
+        return `${stem}-${counter}${extension}`;
+    }
 
-                canvas.toBlob(blob => {
-                    if (blob) resolve(blob);
-                    else reject(new Error("Canvas toBlob failed"));
-                }, "image/webp", quality);
-            };
-            img.onerror = (err) => reject(err);
-            img.src = src;
-        });
+    /**
+     * Name of an optimized file without its extension, from the "File Name Template" setting.
+     * @param {string} sourcePath Decoded path of the source file
+     */
+    _getOutputStem(sourcePath) {
+        const parts = sourcePath.split("?")[0].split("/");
+        const fileName = parts.pop();
+        const dot = fileName.lastIndexOf(".");
+        const values = {
+            name: dot > 0 ? fileName.substring(0, dot) : fileName,
+            ext: dot > 0 ? fileName.substring(dot + 1) : "",
+            folder: parts.pop() ?? ""
+        };
+        const template = game.settings.get(MODULE_ID, "fileNameTemplate") || "{name}";
+        const stem = template.replace(/\{(\w+)\}/g, (match, key) => values[key] ?? match)
+            .replace(/[\\/:*?"<>|]/g, "-").trim();
+        return stem || values.name;
+    }
+
+    /**
+     * Folder an optimized file goes to, in the storage chosen by the "Upload To" setting
+     * (see FileStorage). The "Output Folder" setting collects all optimized files, either in
+     * a tree that mirrors their original location or, with the flat "Output Layout", in the
+     * folder itself. Without it they stay next to the original, except where the module
+     * cannot or should not write: package folders (modules/, systems/) are replaced on every
+     * update, and core (public) files, external URLs and files in another storage are not
+     * writable there, so those copies go into a world-owned folder.
+     * @param {string} folderPath Decoded folder of the source file
+     * @returns {{source: string, bucket: string|null, path: string}}
+     */
+    _getOutputFolder(folderPath) {
+        const from = this.storage.locate(folderPath);
+        const target = this.storage.getTarget(from);
+        const relative = from.source === "external" ? from.path.replace(/^https?:\/\//i, "") : from.path;
+        const worldFolder = `worlds/${game.world.id}/optimized`;
+        const flat = game.settings.get(MODULE_ID, "outputLayout") === "flat";
+
+        let root = game.settings.get(MODULE_ID, "outputFolder");
+        if (!root && flat) root = worldFolder;
+        let path;
+        if (!root && this.storage.isSameStore(from, target) && !/^(modules|systems)\//.test(relative)) {
+            path = relative;
+        } else {
+            root = (root || game.settings.get(MODULE_ID, "packageAssetFolder") || worldFolder).replace(/\/+$/, "");
+            path = flat ? root : [root, relative].filter(p => p).join("/");
+        }
+        return { source: target.source, bucket: target.bucket, path: [target.prefix, path].filter(p => p).join("/") };
+    }
+
+    async _ensureFolder(folder) {
+        await this.storage.ensureFolder(folder);
+    }
+
+    _updateProgress(value, label) {
+        this.progress.value = value;
+        if (label) this.progress.label = label;
+        // Instances used by the API are never rendered but share the window's ID
+        if (!this.rendered) return;
+        this.element.find("progress").val(value);
+        if (label) this.element.find(".progress-container label").text(label);
     }
 
     async _updateObject(event, formData) { }
@@ -464,6 +1961,13 @@ class SceneOptimizer extends FormApplication {
 
 Hooks.once("init", () => {
     console.log("Geano's Scene Optimizer | Initializing");
+    registerSettings();
+    game.modules.get(MODULE_ID).api = new OptimizerAPI(() => new SceneOptimizer());
+});
+
+Hooks.once("ready", () => {
+    // Converted files are recorded in the world-scoped run history, which only GMs may write
+    if (game.user.isGM) new AutoOptimizer(new SceneOptimizer()).register();
 });
 
 Hooks.on("getSceneDirectoryEntryContext", (html, options) => {
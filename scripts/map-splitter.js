@@ -0,0 +1,174 @@
+import { MODULE_ID } from "./settings.js";
+import { decodePath } from "./classify.js";
+
+// Longest side of the low-res base image that replaces the background of a split scene
+const BASE_SIZE = 2048;
+
+/**
+ * Splits scene backgrounds that are too large for one GPU texture ("Split Oversized
+ * Backgrounds" setting). The map is cut into a grid of pieces that become locked
+ * background tiles; the background itself becomes a small base image. The scene keeps
+ * a `split` flag with the original file and the pieces, so it can be re-merged.
+ */
+export class MapSplitter {
+    /**
+     * @param {SceneOptimizer} optimizer Instance whose upload and verification helpers are reused
+     */
+    constructor(optimizer) {
+        this.optimizer = optimizer;
+    }
+
+    /**
+     * @returns {number} Largest piece in pixels, 0 when splitting is off
+     */
+    get tileSize() {
+        return parseInt(game.settings.get(MODULE_ID, "splitTileSize")) || 0;
+    }
+
+    get baseSize() {
+        return BASE_SIZE;
+    }
+
+    /**
+     * Only files used as nothing but scene backgrounds can be split.
+     */
+    canSplit(item) {
+        return item.refs.length > 0 && item.refs.every(r => r.field === "background.src");
+    }
+
+    /**
+     * @returns {{columns: number, rows: number}|null} Grid for an output size, null if it fits one piece
+     */
+    getGrid(width, height, tileSize = this.tileSize) {
+        if (!tileSize || Math.max(width, height) <= tileSize) return null;
+        return { columns: Math.ceil(width / tileSize), rows: Math.ceil(height / tileSize) };
+    }
+
+    /**
+     * @param {object} tiles Result of the worker's "tiles" job
+     * @returns {number} Bytes of all pieces and the base image
+     */
+    getSize(tiles) {
+        return tiles.pieces.reduce((sum, p) => sum + p.blob.size, tiles.base.blob.size);
+    }
+
+    /**
+     * Uploads and verifies the pieces and the base image, then places the pieces on every
+     * scene using the file and points the background at the base image.
+     * @param {object} item Analysis row of the background file
+     * @param {object} tiles Result of the worker's "tiles" job
+     * @param {number} originalSize
+     * @returns {Promise<string>} Path of the base image
+     */
+    async apply(item, tiles, originalSize) {
+        const optimizer = this.optimizer;
+        const stem = optimizer._getOutputStem(item.path);
+        const baseFolder = optimizer._getOutputFolder(item.path.split("/").slice(0, -1).join("/"));
+
+        const pieceFolder = { ...baseFolder, path: [baseFolder.path, `${stem}-tiles`].filter(p => p).join("/") };
+        await optimizer._ensureFolder(pieceFolder);
+        const pieces = await Promise.all(tiles.pieces.map(async (piece) => {
+            const name = `${stem}-${piece.row}-${piece.column}.${piece.blob.type.split("/")[1]}`;
+            const path = await optimizer._uploadFile(piece.blob, pieceFolder, name, piece.blob.type);
+            await optimizer._verifyUpload(path, "image", { width: piece.width, height: piece.height });
+            return { path, x: piece.x, y: piece.y, width: piece.width, height: piece.height };
+        }));
+
+        const base = tiles.base;
+        const basePath = await optimizer._uploadFile(base.blob, baseFolder, `${stem}-base.${base.blob.type.split("/")[1]}`, base.blob.type);
+        await optimizer._verifyUpload(basePath, "image", { width: base.width, height: base.height });
+
+        const split = { src: item.src, width: tiles.width, height: tiles.height, pieces, tileIds: [] };
+        const updatedRefs = [];
+        for (const ref of item.refs) {
+            const scene = await fromUuid(ref.uuid);
+            if (!scene) continue;
+            await this._placePieces(scene, split, basePath);
+            updatedRefs.push(ref);
+        }
+        optimizer._recordRunEntries(updatedRefs, basePath, originalSize, this.getSize(tiles), undefined, { split: true });
+        return basePath;
+    }
+
+    /**
+     * Removes the pieces of a split scene and restores a single background: the original
+     * file if it is still there, otherwise the pieces stitched back together as PNG.
+     * @param {Scene} scene
+     * @returns {Promise<boolean>} false if the scene was not split
+     */
+    async remerge(scene) {
+        const split = scene.getFlag(MODULE_ID, "split");
+        if (!split) return false;
+
+        let src = split.src;
+        if (!await this._exists(src)) src = await this._stitch(split);
+
+        await this.optimizer._withUnlockedPack(scene.pack, async () => {
+            const tileIds = split.tileIds.filter(id => scene.tiles.has(id));
+            if (tileIds.length) await scene.deleteEmbeddedDocuments("Tile", tileIds);
+            // Flagged so automatic optimization leaves the restored file alone
+            await scene.update({ "background.src": src, [`flags.${MODULE_ID}.-=split`]: null }, { sceneOptimizerRevert: true });
+        });
+        return true;
+    }
+
+    /**
+     * Pieces cover the scene rectangle, where Foundry draws the background, scaled from
+     * output pixels to scene units. They go below every existing tile.
+     */
+    async _placePieces(scene, split, basePath) {
+        const { sceneX, sceneY, sceneWidth, sceneHeight } = scene.dimensions;
+        const scaleX = sceneWidth / split.width;
+        const scaleY = sceneHeight / split.height;
+        const sort = Math.min(0, ...scene.tiles.map(t => t.sort)) - 1;
+        const data = split.pieces.map(piece => ({
+            texture: { src: piece.path },
+            x: sceneX + piece.x * scaleX,
+            y: sceneY + piece.y * scaleY,
+            width: piece.width * scaleX,
+            height: piece.height * scaleY,
+            elevation: 0,
+            sort: sort,
+            locked: true,
+            flags: { [MODULE_ID]: { splitPiece: true } }
+        }));
+
+        await this.optimizer._withUnlockedPack(scene.pack, async () => {
+            const created = await scene.createEmbeddedDocuments("Tile", data);
+            const flag = { ...split, tileIds: created.map(t => t.id) };
+            await scene.update({ "background.src": basePath, [`flags.${MODULE_ID}.split`]: flag });
+        });
+    }
+
+    async _exists(src) {
+        try {
+            const response = await this.optimizer.storage.fetch(src, { method: "HEAD", cache: "no-store" });
+            return response.ok;
+        } catch (err) {
+            return false;
+        }
+    }
+
+    /**
+     * The original was cleaned up: draws the pieces into one image in a worker and uploads it.
+     */
+    async _stitch(split) {
+        const optimizer = this.optimizer;
+        const ownsQueue = !optimizer.encoderPool;
+        if (ownsQueue) optimizer._openJobQueue();
+        try {
+            const pieces = split.pieces.map(p => ({ url: optimizer.storage.getUrl(p.path), x: p.x, y: p.y }));
+            const blob = await optimizer.encoderPool.run({ type: "merge", width: split.width, height: split.height, pieces }, []);
+
+            const path = decodePath(split.src);
+            const folder = optimizer._getOutputFolder(path.split("/").slice(0, -1).join("/"));
+            const stem = optimizer._getOutputStem(path);
+            await optimizer._ensureFolder(folder);
+            const mergedPath = await optimizer._uploadFile(blob, folder, `${stem}-merged.png`, "image/png");
+            await optimizer._verifyUpload(mergedPath, "image", { width: split.width, height: split.height });
+            return mergedPath;
+        } finally {
+            if (ownsQueue) optimizer._closeJobQueue();
+        }
+    }
+}
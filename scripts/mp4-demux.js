@@ -0,0 +1,329 @@
+/**
+ * Reads the video track of MP4 / QuickTime (MOV, M4V) files for WebCodecs VideoDecoder.
+ * Only the box headers, the `moov` index and the samples themselves are fetched,
+ * through HTTP range requests, so the file is never held in memory as a whole.
+ */
+
+const WINDOW_SIZE = 4 * 1024 * 1024;
+
+/**
+ * Random access to a remote file. Reads are served from a window of a few MB, so
+ * consecutive samples cost one request per window. Servers that ignore the Range
+ * header send the whole file once, which is then kept.
+ */
+export class RangeReader {
+    /**
+     * @param {string} url
+     */
+    constructor(url) {
+        this.url = url;
+        this.size = 0;
+        this.window = null;
+        this.windowStart = 0;
+        this.whole = false;
+    }
+
+    async open() {
+        await this._fetch(0, WINDOW_SIZE);
+    }
+
+    /**
+     * @param {number} offset
+     * @param {number} length
+     * @returns {Promise<Uint8Array>} View into the window, copy it to keep it
+     */
+    async read(offset, length) {
+        const start = offset - this.windowStart;
+        if (!this.window || start < 0 || start + length > this.window.length) {
+            await this._fetch(offset, Math.max(length, WINDOW_SIZE));
+        }
+        const from = offset - this.windowStart;
+        if (from + length > this.window.length) throw new Error("Read past the end of the file");
+        return this.window.subarray(from, from + length);
+    }
+
+    async _fetch(offset, length) {
+        if (this.whole) return;
+        const end = this.size ? Math.min(offset + length, this.size) : offset + length;
+        const response = await fetch(this.url, { headers: { Range: `bytes=${offset}-${end - 1}` } });
+        if (!response.ok) throw new Error(`Could not fetch ${this.url} (${response.status})`);
+
+        this.window = new Uint8Array(await response.arrayBuffer());
+        if (response.status === 206) {
+            // "bytes 0-4194303/734003200"
+            const total = Number(response.headers.get("Content-Range")?.split("/")[1]);
+            this.size = total || this.size;
+            this.windowStart = offset;
+        } else {
+            this.whole = true;
+            this.size = this.window.length;
+            this.windowStart = 0;
+        }
+    }
+}
+
+/**
+ * Finds the first video track and builds its sample table.
+ * @param {RangeReader} reader Opened reader
+ * @returns {Promise<object|null>} { codec, description, width, height, frameRate, hasAudio, samples } or null
+ *   without a video track. Samples are in decode order: { offset, size, timestamp, duration, isKey },
+ *   times in microseconds starting at 0.
+ */
+export async function readVideoTrack(reader) {
+    const moov = await findMoov(reader);
+    if (!moov) throw new DOMException("No moov box, not an MP4 or QuickTime file", "NotSupportedError");
+
+    let video = null;
+    let hasAudio = false;
+    for (const trak of boxes(moov, 0, moov.length)) {
+        if (trak.type !== "trak") continue;
+        const mdia = child(moov, trak, "mdia");
+        const hdlr = mdia && child(moov, mdia, "hdlr");
+        const handler = hdlr ? ascii(moov, hdlr.start + 8, 4) : "";
+        if (handler === "soun") hasAudio = true;
+        if (handler === "vide" && !video) video = readTrack(moov, mdia);
+    }
+    if (video) video.hasAudio = hasAudio;
+    return video;
+}
+
+async function findMoov(reader) {
+    let offset = 0;
+    while (offset + 8 <= reader.size) {
+        const head = await reader.read(offset, Math.min(16, reader.size - offset));
+        let size = uint32(head, 0);
+        let headerSize = 8;
+        if (size === 1) {
+            size = uint64(head, 8);
+            headerSize = 16;
+        } else if (size === 0) {
+            size = reader.size - offset;
+        }
+        if (size < headerSize) throw new Error("Corrupt MP4 box");
+
+        if (ascii(head, 4, 4) === "moov") {
+            // Copied, the reader's window moves on
+            return (await reader.read(offset + headerSize, size - headerSize)).slice();
+        }
+        offset += size;
+    }
+    return null;
+}
+
+function readTrack(buf, mdia) {
+    const mdhd = child(buf, mdia, "mdhd");
+    const stbl = path(buf, mdia, ["minf", "stbl"]);
+    if (!mdhd || !stbl) return null;
+    const timescale = buf[mdhd.start] === 1 ? uint32(buf, mdhd.start + 20) : uint32(buf, mdhd.start + 12);
+
+    const entry = readSampleEntry(buf, child(buf, stbl, "stsd"));
+    if (!entry) return null;
+
+    const { samples, duration } = readSamples(buf, stbl, timescale);
+    return {
+        ...entry,
+        frameRate: duration ? samples.length * timescale / duration : 30,
+        samples
+    };
+}
+
+/**
+ * VisualSampleEntry: 78 bytes of fields (width at 24, height at 26), then the codec box.
+ */
+function readSampleEntry(buf, stsd) {
+    if (!stsd) return null;
+    const [entry] = boxes(buf, stsd.start + 8, stsd.end);
+    if (!entry) return null;
+
+    const width = uint16(buf, entry.start + 24);
+    const height = uint16(buf, entry.start + 26);
+    const configs = { avc1: "avcC", avc3: "avcC", hvc1: "hvcC", hev1: "hvcC", vp09: "vpcC", av01: "av1C" };
+    const configType = configs[entry.type];
+    const config = configType && boxes(buf, entry.start + 78, entry.end).find(b => b.type === configType);
+    if (!config) throw new DOMException(`Unsupported video codec "${entry.type}"`, "NotSupportedError");
+
+    const data = buf.slice(config.start, config.end);
+    let codec;
+    let description = data;
+    if (configType === "avcC") {
+        codec = `${entry.type}.${hex(data[1])}${hex(data[2])}${hex(data[3])}`;
+    } else if (configType === "hvcC") {
+        codec = hevcCodec(entry.type, data);
+    } else if (configType === "vpcC") {
+        // Full box: version and flags, then profile, level and bit depth
+        codec = `vp09.${pad(data[4])}.${pad(data[5])}.${pad(data[6] >> 4)}`;
+        description = undefined;
+    } else {
+        const bitDepth = data[2] & 0x40 ? (data[2] & 0x20 ? 12 : 10) : 8;
+        codec = `av01.${data[1] >> 5}.${pad(data[1] & 0x1F)}${data[2] & 0x80 ? "H" : "M"}.${pad(bitDepth)}`;
+    }
+    return { codec, description, width, height };
+}
+
+/**
+ * Codec string from an HEVCDecoderConfigurationRecord, ISO/IEC 14496-15 annex E.
+ */
+function hevcCodec(type, data) {
+    const profileSpace = ["", "A", "B", "C"][data[1] >> 6];
+    const tier = data[1] & 0x20 ? "H" : "L";
+    const profile = data[1] & 0x1F;
+    // Compatibility flags are written in reverse bit order
+    let compatibility = 0;
+    const flags = uint32(data, 2);
+    for (let i = 0; i < 32; i++) {
+        if (flags & (1 << i)) compatibility |= 1 << (31 - i);
+    }
+    const constraints = Array.from(data.subarray(6, 12));
+    while (constraints.length && !constraints[constraints.length - 1]) constraints.pop();
+
+    const parts = [type, `${profileSpace}${profile}`, (compatibility >>> 0).toString(16).toUpperCase(), `${tier}${data[12]}`];
+    return [...parts, ...constraints.map(b => b.toString(16).toUpperCase())].join(".");
+}
+
+/**
+ * @returns {{samples: object[], duration: number}} Duration in timescale units
+ */
+function readSamples(buf, stbl, timescale) {
+    const table = (type) => child(buf, stbl, type);
+    const stsz = table("stsz");
+    const stsc = table("stsc");
+    const stco = table("stco") ?? table("co64");
+    const stts = table("stts");
+    if (!stsz || !stsc || !stco || !stts) throw new Error("Incomplete MP4 sample table");
+
+    // Sizes
+    const fixedSize = uint32(buf, stsz.start + 4);
+    const count = uint32(buf, stsz.start + 8);
+    const samples = new Array(count);
+    for (let i = 0; i < count; i++) {
+        samples[i] = { offset: 0, size: fixedSize || uint32(buf, stsz.start + 12 + i * 4), timestamp: 0, duration: 0, isKey: false };
+    }
+
+    // Offsets: chunks hold runs of consecutive samples
+    const is64 = stco.type === "co64";
+    const chunkCount = uint32(buf, stco.start + 4);
+    const chunkOffset = (c) => is64 ? uint64(buf, stco.start + 8 + c * 8) : uint32(buf, stco.start + 8 + c * 4);
+    const runs = uint32(buf, stsc.start + 4);
+    let sample = 0;
+    for (let r = 0; r < runs; r++) {
+        const entry = stsc.start + 8 + r * 12;
+        const firstChunk = uint32(buf, entry) - 1;
+        const lastChunk = r + 1 < runs ? uint32(buf, entry + 12) - 1 : chunkCount;
+        const perChunk = uint32(buf, entry + 4);
+        for (let c = firstChunk; c < lastChunk && sample < count; c++) {
+            let offset = chunkOffset(c);
+            for (let i = 0; i < perChunk && sample < count; i++) {
+                samples[sample].offset = offset;
+                offset += samples[sample++].size;
+            }
+        }
+    }
+
+    // Decode times, plus composition offsets for reordered (B-)frames
+    let dts = 0;
+    sample = 0;
+    for (let e = 0, entries = uint32(buf, stts.start + 4); e < entries; e++) {
+        const runCount = uint32(buf, stts.start + 8 + e * 8);
+        const delta = uint32(buf, stts.start + 12 + e * 8);
+        for (let i = 0; i < runCount && sample < count; i++) {
+            samples[sample].timestamp = dts;
+            samples[sample++].duration = delta;
+            dts += delta;
+        }
+    }
+    const ctts = table("ctts");
+    if (ctts) {
+        sample = 0;
+        for (let e = 0, entries = uint32(buf, ctts.start + 4); e < entries; e++) {
+            const runCount = uint32(buf, ctts.start + 8 + e * 8);
+            const offset = int32(buf, ctts.start + 12 + e * 8);
+            for (let i = 0; i < runCount && sample < count; i++) samples[sample++].timestamp += offset;
+        }
+    }
+
+    // Sync samples; without a table every sample is a key frame
+    const stss = table("stss");
+    if (stss) {
+        for (let e = 0, entries = uint32(buf, stss.start + 4); e < entries; e++) {
+            const index = uint32(buf, stss.start + 8 + e * 4) - 1;
+            if (samples[index]) samples[index].isKey = true;
+        }
+    } else {
+        samples.forEach(s => s.isKey = true);
+    }
+
+    // Microseconds, starting at 0 (the edit list usually hides the B-frame delay the same way)
+    const start = samples.reduce((min, s) => Math.min(min, s.timestamp), Infinity);
+    for (const s of samples) {
+        s.timestamp = Math.round((s.timestamp - start) * 1e6 / timescale);
+        s.duration = Math.round(s.duration * 1e6 / timescale);
+    }
+    return { samples, duration: dts };
+}
+
+/* -------------------------------------------- */
+/*  Box helpers                                 */
+/* -------------------------------------------- */
+
+/**
+ * @returns {{type: string, start: number, end: number}[]} Boxes between start and end; start is the content offset
+ */
+function boxes(buf, start, end) {
+    const list = [];
+    let offset = start;
+    while (offset + 8 <= end) {
+        let size = uint32(buf, offset);
+        let headerSize = 8;
+        if (size === 1) {
+            size = uint64(buf, offset + 8);
+            headerSize = 16;
+        } else if (size === 0) {
+            size = end - offset;
+        }
+        if (size < headerSize || offset + size > end) break;
+        list.push({ type: ascii(buf, offset + 4, 4), start: offset + headerSize, end: offset + size });
+        offset += size;
+    }
+    return list;
+}
+
+function child(buf, parent, type) {
+    return boxes(buf, parent.start, parent.end).find(b => b.type === type) ?? null;
+}
+
+function path(buf, parent, types) {
+    let box = parent;
+    for (const type of types) {
+        box = child(buf, box, type);
+        if (!box) return null;
+    }
+    return box;
+}
+
+function uint16(buf, offset) {
+    return (buf[offset] << 8) | buf[offset + 1];
+}
+
+function uint32(buf, offset) {
+    return ((buf[offset] << 24) | (buf[offset + 1] << 16) | (buf[offset + 2] << 8) | buf[offset + 3]) >>> 0;
+}
+
+function int32(buf, offset) {
+    return uint32(buf, offset) | 0;
+}
+
+function uint64(buf, offset) {
+    return uint32(buf, offset) * 2 ** 32 + uint32(buf, offset + 4);
+}
+
+function ascii(buf, offset, length) {
+    return String.fromCharCode(...buf.subarray(offset, offset + length));
+}
+
+function hex(byte) {
+    return byte.toString(16).padStart(2, "0");
+}
+
+function pad(value) {
+    return String(value).padStart(2, "0");
+}
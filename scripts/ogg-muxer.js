@@ -1,46 +1,155 @@
+/**
+ * Opus always runs at 48 kHz internally; granule positions are counted in this rate.
+ */
+export const OPUS_SAMPLE_RATE = 48000;
+
+/**
+ * Encoder lookahead of libopus at 48 kHz, used when the encoder does not report its pre-skip.
+ */
+export const DEFAULT_PRE_SKIP = 312;
+
+// Channel mapping family 1 (Vorbis channel order) for 3-8 channels, RFC 7845 section 5.1.1.2
+const VORBIS_MAPPINGS = {
+    3: { streams: 2, coupled: 1, mapping: [0, 2, 1] },             // L C R
+    4: { streams: 2, coupled: 2, mapping: [0, 1, 2, 3] },          // FL FR RL RR
+    5: { streams: 3, coupled: 2, mapping: [0, 4, 1, 2, 3] },       // FL C FR RL RR
+    6: { streams: 4, coupled: 2, mapping: [0, 4, 1, 2, 3, 5] },    // 5.1
+    7: { streams: 4, coupled: 3, mapping: [0, 4, 1, 2, 3, 5, 6] }, // 6.1
+    8: { streams: 5, coupled: 3, mapping: [0, 6, 1, 2, 3, 4, 5, 7] } // 7.1
+};
+
+/**
+ * For each channel in Vorbis order, the index of the matching channel in
+ * WAVE / Web Audio order (L R C LFE ...), which is how decoded buffers arrive.
+ */
+export const VORBIS_CHANNEL_ORDER = {
+    1: [0],
+    2: [0, 1],
+    3: [0, 2, 1],
+    4: [0, 1, 2, 3],
+    5: [0, 2, 1, 3, 4],
+    6: [0, 2, 1, 4, 5, 3],
+    7: [0, 2, 1, 5, 6, 4, 3],
+    8: [0, 2, 1, 6, 7, 4, 5, 3]
+};
+
+// Frame durations (in 48 kHz samples) per TOC config, RFC 6716 section 3.1
+const SILK_FRAME_SIZES = [480, 960, 1920, 2880];
+const HYBRID_FRAME_SIZES = [480, 960];
+const CELT_FRAME_SIZES = [120, 240, 480, 960];
+
+/**
+ * Reads the number of 48 kHz samples an Opus packet decodes to from its TOC byte.
+ * @param {Uint8Array} packet
+ * @returns {number}
+ */
+export function getOpusPacketSamples(packet) {
+    if (!packet.byteLength) return 0;
+    const toc = packet[0];
+    const config = toc >> 3;
+
+    let frameSize;
+    if (config < 12) frameSize = SILK_FRAME_SIZES[config % 4];
+    else if (config < 16) frameSize = HYBRID_FRAME_SIZES[config % 2];
+    else frameSize = CELT_FRAME_SIZES[config % 4];
+
+    let frameCount;
+    switch (toc & 0x03) {
+        case 0: frameCount = 1; break;
+        case 1:
+        case 2: frameCount = 2; break;
+        default: frameCount = packet.byteLength > 1 ? packet[1] & 0x3F : 0;
+    }
+    return frameSize * frameCount;
+}
+
 /**
  * Minimal Ogg Opus Muxer for client-side generation.
- * Wraps Opus packets into Ogg Pages with CRC32 checksums.
+ * Wraps Opus packets into Ogg Pages with CRC32 checksums, following RFC 7845:
+ * granule positions count 48 kHz samples including the pre-skip, and the last
+ * page's granule trims the padding of the final frame.
+ * More than two channels are written with channel mapping family 1 and expect
+ * the encoder input in Vorbis channel order. Packets larger than a page (e.g. an
+ * OpusTags header with cover art) continue on the following pages.
+ * Pages are handed to `onPage` as soon as they are full, so long streams never
+ * have to be held in the muxer; without it they are collected for getBlob().
  */
 export class OggOpusMuxer {
-    constructor(sampleRate, numberOfChannels) {
-        this.sampleRate = sampleRate;
+    /**
+     * @param {number} inputSampleRate Sample rate of the original source (informational, stored in OpusHead)
+     * @param {number} numberOfChannels 1-8 channels
+     * @param {object} [options]
+     * @param {number} [options.preSkip] Samples to discard at the start (default: libopus lookahead)
+     * @param {Object<string, string|string[]>} [options.tags] Vorbis comments for OpusTags, e.g. { TITLE: "Tavern" }
+     * @param {function(Uint8Array)} [options.onPage] Receives every finished page in order
+     */
+    constructor(inputSampleRate, numberOfChannels, { preSkip = DEFAULT_PRE_SKIP, tags = {}, onPage } = {}) {
+        this.inputSampleRate = inputSampleRate;
         this.channels = numberOfChannels;
+        this.preSkip = preSkip;
+        this.tags = tags;
+
+        // Mono and stereo use family 0, surround layouts need an explicit stream mapping
+        this.mappingFamily = numberOfChannels > 2 ? 1 : 0;
+        if (this.mappingFamily === 1) {
+            const layout = VORBIS_MAPPINGS[numberOfChannels];
+            if (!layout) throw new Error(`OggOpusMuxer | Unsupported channel count: ${numberOfChannels}`);
+            this.streamCount = layout.streams;
+            this.coupledCount = layout.coupled;
+            this.channelMapping = layout.mapping;
+        }
         this.serial = Math.floor(Math.random() * 0xFFFFFFFF);
         this.pageSequence = 0;
         this.granulePosition = 0;
         this.pages = [];
+        this.onPage = onPage ?? (page => this.pages.push(page));
         this.crcTable = this._makeCRCTable();
+        this.headersWritten = false;
 
         // Buffers
         this.packetBuffer = [];
-        this.packetSizes = [];
-        this.segmentsInBuffer = 0;
-
-        // Write Headers immediately
-        this._writeIdHeader();
-        this._writeCommentHeader();
+        this.segmentTable = [];
+        this.pageContinued = false; // First packet on the page started on the previous one
+        this.pageCompletesPacket = false;
     }
 
     /**
-     * Adds an Opus packet (EncodedAudioChunk) to the stream.
-     * @param {Uint8Array} packetData 
-     * @param {number} samples Number of samples in this packet (usually 960 for 20ms at 48k)
+     * Applies the encoder's decoder config. WebCodecs exposes the OpusHead
+     * identification header as description, which carries the real pre-skip
+     * and, for surround streams, the encoder's own stream layout.
+     * Must be called before the first packet is added.
+     * @param {AudioDecoderConfig} decoderConfig
      */
-    addPacket(packetData, samples) {
-        // Ogg segmentation logic: packets are split into 255-byte segments
-        const size = packetData.byteLength;
-        const numSegments = Math.floor(size / 255) + 1;
+    setDecoderConfig(decoderConfig) {
+        const description = decoderConfig?.description;
+        if (!description || this.headersWritten) return;
 
-        // If adding this packet would exceed page limits (255 segments), flush first
-        if (this.segmentsInBuffer + numSegments > 255) {
-            this.flushPage();
+        const bytes = ArrayBuffer.isView(description)
+            ? new Uint8Array(description.buffer, description.byteOffset, description.byteLength)
+            : new Uint8Array(description);
+        const magic = String.fromCharCode(...bytes.subarray(0, 8));
+        if (magic !== "OpusHead" || bytes.byteLength < 19) return;
+
+        const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+        this.preSkip = view.getUint16(10, true);
+
+        const family = bytes[18];
+        if (family !== 0 && bytes.byteLength >= 21 + this.channels) {
+            this.mappingFamily = family;
+            this.streamCount = bytes[19];
+            this.coupledCount = bytes[20];
+            this.channelMapping = Array.from(bytes.subarray(21, 21 + this.channels));
         }
+    }
 
-        this.packetBuffer.push(packetData);
-        this.packetSizes.push(size);
-        this.segmentsInBuffer += numSegments;
-        this.granulePosition += samples;
+    /**
+     * Adds an Opus packet (EncodedAudioChunk) to the stream.
+     * @param {Uint8Array} packetData
+     * @param {number} [samples] Number of 48 kHz samples in this packet (read from the TOC byte if omitted)
+     */
+    addPacket(packetData, samples = getOpusPacketSamples(packetData)) {
+        this._writeHeaders();
+        this._queuePacket(packetData, samples);
     }
 
     /**
@@ -52,8 +161,8 @@ export class OggOpusMuxer {
 
         // 1. Calculate Page Size
         // Header (27) + Segments Table (N) + Data (Sum of sizes)
-        const numSegments = this.segmentsInBuffer;
-        const dataSize = this.packetSizes.reduce((a, b) => a + b, 0);
+        const numSegments = this.segmentTable.length;
+        const dataSize = this.packetBuffer.reduce((a, b) => a + b.byteLength, 0);
         const pageSize = 27 + numSegments + dataSize;
 
         const buffer = new Uint8Array(pageSize);
@@ -66,11 +175,14 @@ export class OggOpusMuxer {
         view.setUint8(4, 0); // Version
 
         let headerType = 0;
+        if (this.pageContinued) headerType |= 0x01; // Continued packet
         if (this.pageSequence === 0) headerType |= 0x02; // BOF
         if (isLast) headerType |= 0x04; // EOF
         view.setUint8(5, headerType);
 
-        view.setBigUint64(6, BigInt(this.granulePosition), true); // Granule Pos
+        // Granule Pos, -1 when no packet finishes on this page
+        const granule = this.pageCompletesPacket || isLast ? BigInt(this.granulePosition) : 0xFFFFFFFFFFFFFFFFn;
+        view.setBigUint64(6, granule, true);
         view.setUint32(14, this.serial, true); // Serial
         view.setUint32(18, this.pageSequence++, true); // Seq Number
         view.setUint32(22, 0, true); // CRC Checksum (placeholder)
@@ -78,12 +190,8 @@ export class OggOpusMuxer {
 
         // 3. Write Segment Table
         let offset = 27;
-        for (let size of this.packetSizes) {
-            while (size >= 255) {
-                view.setUint8(offset++, 255);
-                size -= 255;
-            }
-            view.setUint8(offset++, size);
+        for (const lace of this.segmentTable) {
+            view.setUint8(offset++, lace);
         }
 
         // 4. Write Data
@@ -96,24 +204,88 @@ export class OggOpusMuxer {
         const crc = this._calculateCRC(buffer);
         view.setUint32(22, crc, true);
 
-        this.pages.push(buffer);
+        this.onPage(buffer);
 
         // Reset Buffer
         this.packetBuffer = [];
-        this.packetSizes = [];
-        this.segmentsInBuffer = 0;
+        this.segmentTable = [];
+        this.pageContinued = false;
+        this.pageCompletesPacket = false;
     }
 
-    getBlob() {
+    /**
+     * Writes the last page. Pages only go out once the next packet does not fit,
+     * so the final page always carries at least one packet to trim.
+     * @param {number} [totalSamples] Length of the source in 48 kHz samples; trims the encoder padding at the end
+     */
+    finish(totalSamples) {
+        this._writeHeaders();
+
+        // End trimming: the last granule marks the exact end of the source (RFC 7845 section 4.4)
+        if (totalSamples !== undefined) {
+            this.granulePosition = Math.min(this.granulePosition, this.preSkip + totalSamples);
+        }
+
         // Ensure last page is written
         this.flushPage(true);
+    }
+
+    /**
+     * Finishes the stream and returns the file (only when no onPage callback was given).
+     * @param {number} [totalSamples] See finish()
+     */
+    getBlob(totalSamples) {
+        this.finish(totalSamples);
         return new Blob(this.pages, { type: 'audio/ogg' });
     }
 
+    _queuePacket(packetData, samples) {
+        // Ogg segmentation logic: packets are split into 255-byte segments,
+        // a final segment below 255 (possibly 0) ends the packet
+        const size = packetData.byteLength;
+        const laces = new Array(Math.floor(size / 255)).fill(255);
+        laces.push(size % 255);
+
+        // If adding this packet would exceed page limits (255 segments), flush first
+        if (this.segmentTable.length > 0 && this.segmentTable.length + laces.length > 255) {
+            this.flushPage();
+        }
+
+        // Packets with more than 255 segments continue on the next page(s)
+        let lace = 0;
+        let offset = 0;
+        while (lace < laces.length) {
+            const count = Math.min(255 - this.segmentTable.length, laces.length - lace);
+            const pageLaces = laces.slice(lace, lace + count);
+            const bytes = pageLaces.reduce((a, b) => a + b, 0);
+
+            this.segmentTable.push(...pageLaces);
+            this.packetBuffer.push(packetData.subarray(offset, offset + bytes));
+            lace += count;
+            offset += bytes;
+
+            if (lace < laces.length) {
+                this.flushPage();
+                this.pageContinued = true;
+            }
+        }
+
+        this.pageCompletesPacket = true;
+        this.granulePosition += samples;
+    }
+
+    _writeHeaders() {
+        if (this.headersWritten) return;
+        this.headersWritten = true;
+        this._writeIdHeader();
+        this._writeCommentHeader();
+    }
+
     _writeIdHeader() {
         // Opus Head: Magic 'OpusHead' + Ver + Channels + PreSkip + Rate + Gain + Map
-        // Fixed 19 bytes for simple mapping
-        const header = new Uint8Array(19);
+        // 19 bytes for family 0, plus stream counts and a mapping table for family 1
+        const size = this.mappingFamily === 0 ? 19 : 21 + this.channels;
+        const header = new Uint8Array(size);
         const view = new DataView(header.buffer);
 
         const magic = "OpusHead";
@@ -121,19 +293,33 @@ export class OggOpusMuxer {
 
         view.setUint8(8, 1); // Ver 1
         view.setUint8(9, this.channels);
-        view.setUint16(10, 0, true); // Pre-skip (0 usually OK for raw)
-        view.setUint32(12, this.sampleRate, true);
+        view.setUint16(10, this.preSkip, true); // Pre-skip (encoder lookahead)
+        view.setUint32(12, this.inputSampleRate, true); // Original input rate
         view.setUint16(16, 0, true); // Output Gain
-        view.setUint8(18, 0); // Channel Mapping Family 0 (mono/stereo)
+        view.setUint8(18, this.mappingFamily); // 0 = mono/stereo, 1 = Vorbis surround order
+
+        if (this.mappingFamily !== 0) {
+            view.setUint8(19, this.streamCount);
+            view.setUint8(20, this.coupledCount);
+            this.channelMapping.forEach((c, i) => view.setUint8(21 + i, c));
+        }
 
-        this.addPacket(header, 0);
+        this._queuePacket(header, 0);
         this.flushPage(); // BOS page must be id header only
     }
 
     _writeCommentHeader() {
-        // OpusTags: Magic 'OpusTags' + Vendor Len + Vendor + List Len
-        const vendor = "Geano Scene Optimizer";
-        const len = 8 + 4 + vendor.length + 4;
+        // OpusTags: Magic 'OpusTags' + Vendor Len + Vendor + List Len + (Len + "KEY=value")*
+        const encoder = new TextEncoder();
+        const vendor = encoder.encode("Geano Scene Optimizer");
+        const comments = [];
+        for (const [key, values] of Object.entries(this.tags)) {
+            for (const value of [].concat(values)) {
+                if (value) comments.push(encoder.encode(`${key.toUpperCase()}=${value}`));
+            }
+        }
+
+        const len = 8 + 4 + vendor.length + 4 + comments.reduce((a, c) => a + 4 + c.length, 0);
         const buffer = new Uint8Array(len);
         const view = new DataView(buffer.buffer);
 
@@ -141,11 +327,19 @@ export class OggOpusMuxer {
         for (let i = 0; i < 8; i++) view.setUint8(i, magic.charCodeAt(i));
 
         view.setUint32(8, vendor.length, true);
-        for (let i = 0; i < vendor.length; i++) view.setUint8(12 + i, vendor.charCodeAt(i));
+        buffer.set(vendor, 12);
 
-        view.setUint32(12 + vendor.length, 0, true); // 0 user comments
+        let offset = 12 + vendor.length;
+        view.setUint32(offset, comments.length, true); // User comment count
+        offset += 4;
+        for (const comment of comments) {
+            view.setUint32(offset, comment.length, true);
+            buffer.set(comment, offset + 4);
+            offset += 4 + comment.length;
+        }
 
-        this.addPacket(buffer, 0);
+        // May span several pages, audio must start on a fresh one
+        this._queuePacket(buffer, 0);
         this.flushPage();
     }
 
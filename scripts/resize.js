@@ -0,0 +1,24 @@
+/**
+ * Works out how far an image or video should be downscaled from the maximum dimension
+ * and pixels-per-grid-square settings. Shared by the main thread and the encode worker.
+ * @param {number} width Source width in pixels
+ * @param {number} height Source height in pixels
+ * @param {object} [limits]
+ * @param {number} [limits.maxDimension] Longest side in pixels, 0 for no limit
+ * @param {number} [limits.gridResolution] Pixels per grid square, 0 for no limit
+ * @param {{gridSize: number, sceneWidth: number}[]} [limits.grids] Scenes using the file as background
+ * @returns {number} Scale factor, 1 for no resize
+ */
+export function getResizeScale(width, height, { maxDimension = 0, gridResolution = 0, grids = [] } = {}) {
+    let scale = 1;
+
+    if (maxDimension > 0) scale = Math.min(scale, maxDimension / Math.max(width, height));
+
+    if (gridResolution > 0 && grids.length) {
+        // Keep enough pixels for the finest grid among the scenes using this file
+        const gridScales = grids.map(g => gridResolution / (g.gridSize * width / g.sceneWidth));
+        scale = Math.min(scale, Math.max(...gridScales));
+    }
+
+    return scale;
+}
@@ -0,0 +1,355 @@
+export const MODULE_ID = "geanos-scene-optimizer";
+
+// Opus bitrates offered in the settings, the Audio tab and the per-document overrides
+export const AUDIO_BITRATES = {
+    "64000": "64 kbps (Voice)",
+    "96000": "96 kbps (Standard)",
+    "128000": "128 kbps (High)",
+    "192000": "192 kbps (Very High)",
+    "256000": "256 kbps (Maximum)"
+};
+
+// Loudness normalization targets in LUFS, shared by the settings and the Audio tab
+export const LOUDNESS_TARGETS = {
+    "0": "Off",
+    "-14": "-14 LUFS (Streaming)",
+    "-16": "-16 LUFS (Music)",
+    "-18": "-18 LUFS (Balanced)",
+    "-23": "-23 LUFS (EBU R128, Ambience)"
+};
+
+// Folder structure below the Output Folder
+export const OUTPUT_LAYOUTS = {
+    "mirror": "Mirror the source folders",
+    "flat": "One flat folder"
+};
+
+// File source that optimized files are uploaded to, see FileStorage (storage.js)
+export const STORAGE_TARGETS = {
+    "source": "Same storage as the original",
+    "data": "User Data folder",
+    "s3": "S3 bucket"
+};
+
+// What happens when an optimized file's name is already taken
+export const COLLISION_POLICIES = {
+    "suffix": "Add a number (map-1.webp)",
+    "overwrite": "Overwrite the existing file",
+    "reuse": "Use the existing file",
+    "skip": "Skip the file"
+};
+
+// Image output formats, shared by the settings and the Scenes and Images tabs
+export const IMAGE_OUTPUT_FORMATS = {
+    "webp": "WebP (Lossy)",
+    "webp-lossless": "WebP (Lossless)",
+    "avif": "AVIF",
+    "auto": "Auto (Smallest)"
+};
+
+// Largest piece when splitting a map into tiles; WebP cannot go beyond 16383 px per side
+export const SPLIT_TILE_SIZES = {
+    "0": "Off",
+    "4096": "4096 px pieces",
+    "8192": "8192 px pieces",
+    "16383": "16383 px pieces (WebP maximum)"
+};
+
+// Video transcoding choices, shared by the settings and the Scenes and Images tabs
+export const VIDEO_CODECS = {
+    "vp9": "VP9 (Fast, widely supported)",
+    "av1": "AV1 (Smaller, slow to encode)"
+};
+
+export const VIDEO_BITRATES = {
+    "1000000": "1 Mbps (Low)",
+    "2500000": "2.5 Mbps (Standard)",
+    "5000000": "5 Mbps (High)",
+    "8000000": "8 Mbps (Very High)",
+    "15000000": "15 Mbps (Maximum)"
+};
+
+export const VIDEO_FRAMERATES = {
+    "0": "Keep Original",
+    "30": "30 fps",
+    "24": "24 fps",
+    "15": "15 fps"
+};
+
+/**
+ * Registers the module's world and client settings.
+ */
+export function registerSettings() {
+    // Manifests of past optimization runs, used by the History tab to revert changes
+    game.settings.register(MODULE_ID, "runHistory", {
+        name: "Optimization Run History",
+        scope: "world",
+        config: false,
+        type: Array,
+        default: []
+    });
+
+    // Unfinished run (selection, options and finished files) so it can be resumed after a reload
+    game.settings.register(MODULE_ID, "pendingRun", {
+        name: "Pending Optimization Run",
+        scope: "world",
+        config: false,
+        type: Object,
+        default: null
+    });
+
+    // Compendium packs scanned alongside the world
+    game.settings.register(MODULE_ID, "compendiumSources", {
+        name: "Compendium Sources",
+        scope: "client",
+        config: false,
+        type: Array,
+        default: []
+    });
+
+    game.settings.register(MODULE_ID, "skipLockedPacks", {
+        name: "Skip Locked Compendiums",
+        scope: "client",
+        config: false,
+        type: Boolean,
+        default: true
+    });
+
+    game.settings.register(MODULE_ID, "packageAssetFolder", {
+        name: "Folder for Module/System Assets",
+        hint: "Optimized copies of files under modules/ or systems/ are uploaded here, since those folders are overwritten on update. Leave empty for worlds/<world>/optimized.",
+        scope: "world",
+        config: true,
+        type: String,
+        default: ""
+    });
+
+    game.settings.register(MODULE_ID, "maxImageDimension", {
+        name: "Maximum Image Dimension",
+        hint: "Images wider or taller than this many pixels are downscaled during optimization. 8192 is safe for most GPUs, 0 disables the limit.",
+        scope: "world",
+        config: true,
+        type: Number,
+        default: 0
+    });
+
+    game.settings.register(MODULE_ID, "targetGridResolution", {
+        name: "Target Pixels per Grid Square",
+        hint: "Scene backgrounds are downscaled so one grid square holds about this many image pixels. Scene size and grid are kept, so tokens and walls still line up. 0 disables it.",
+        scope: "world",
+        config: true,
+        type: Number,
+        default: 0
+    });
+
+    game.settings.register(MODULE_ID, "splitTileSize", {
+        name: "Split Oversized Backgrounds",
+        hint: "Scene backgrounds larger than this (after the limits above) are cut into a grid of pieces placed as locked background tiles, with a small base image as the background. Lower-end GPUs load 4096 px pieces where a single texture fails. Split scenes can be re-merged from the Scenes tab.",
+        scope: "world",
+        config: true,
+        type: String,
+        choices: SPLIT_TILE_SIZES,
+        default: "0"
+    });
+
+    game.settings.register(MODULE_ID, "workerConcurrency", {
+        name: "Parallel Encoding Jobs",
+        hint: "How many files are encoded at the same time in background workers. Higher is faster on machines with many cores but needs more memory.",
+        scope: "client",
+        config: true,
+        type: Number,
+        range: { min: 1, max: 8, step: 1 },
+        default: 2
+    });
+
+    game.settings.register(MODULE_ID, "uploadConcurrency", {
+        name: "Parallel Uploads",
+        hint: "How many optimized files are uploaded to the server at the same time.",
+        scope: "world",
+        config: true,
+        type: Number,
+        range: { min: 1, max: 6, step: 1 },
+        default: 2
+    });
+
+    game.settings.register(MODULE_ID, "autoOptimize", {
+        name: "Optimize New Assets Automatically",
+        hint: "Converts PNG/JPG uploads to WebP and MP3/WAV/FLAC uploads to Ogg Opus, and converts the files of newly created scenes, playlist sounds and ambient sounds. Uses the quality and bitrate below.",
+        scope: "world",
+        config: true,
+        type: Boolean,
+        default: false
+    });
+
+    game.settings.register(MODULE_ID, "imageQuality", {
+        name: "WebP Quality",
+        scope: "world",
+        config: true,
+        type: Number,
+        range: { min: 0.1, max: 1, step: 0.05 },
+        default: 0.85
+    });
+
+    game.settings.register(MODULE_ID, "imageFormat", {
+        name: "Image Output Format",
+        hint: "Lossless WebP keeps line art and UI graphics crisp. AVIF falls back to lossy WebP in browsers that cannot encode it. Auto tries all of them and keeps the smallest file that meets the threshold below.",
+        scope: "world",
+        config: true,
+        type: String,
+        choices: IMAGE_OUTPUT_FORMATS,
+        default: "webp"
+    });
+
+    game.settings.register(MODULE_ID, "autoFormatMinPsnr", {
+        name: "Auto Format Quality Threshold (dB)",
+        hint: "Lowest PSNR, compared to the source, that a lossy candidate may have in Auto mode. 40 looks identical for most maps, raise it for line art.",
+        scope: "world",
+        config: true,
+        type: Number,
+        range: { min: 30, max: 55, step: 1 },
+        default: 40
+    });
+
+    game.settings.register(MODULE_ID, "audioBitrate", {
+        name: "Opus Bitrate",
+        scope: "world",
+        config: true,
+        type: String,
+        choices: AUDIO_BITRATES,
+        default: "128000"
+    });
+
+    game.settings.register(MODULE_ID, "downmixStereo", {
+        name: "Downmix Surround to Stereo",
+        hint: "Mixes 5.1 and 7.1 sources down to stereo while converting them to Opus.",
+        scope: "world",
+        config: true,
+        type: Boolean,
+        default: false
+    });
+
+    game.settings.register(MODULE_ID, "loudnessTarget", {
+        name: "Loudness Normalization",
+        hint: "Measures the integrated loudness (EBU R128) of every audio file and brings it to this level. The gain is limited so peaks stay below -1 dBFS.",
+        scope: "world",
+        config: true,
+        type: String,
+        choices: LOUDNESS_TARGETS,
+        default: "0"
+    });
+
+    game.settings.register(MODULE_ID, "trimSilence", {
+        name: "Trim Silence",
+        hint: "Cuts leading and trailing silence from audio files. Leave off for loops that must keep their exact length.",
+        scope: "world",
+        config: true,
+        type: Boolean,
+        default: false
+    });
+
+    game.settings.register(MODULE_ID, "silenceThreshold", {
+        name: "Silence Threshold (dBFS)",
+        hint: "Samples quieter than this count as silence when trimming.",
+        scope: "world",
+        config: true,
+        type: Number,
+        range: { min: -90, max: -30, step: 1 },
+        default: -60
+    });
+
+    game.settings.register(MODULE_ID, "videoCodec", {
+        name: "Video Codec",
+        hint: "MP4 and MOV scene backgrounds and tiles are transcoded to WebM with this codec.",
+        scope: "world",
+        config: true,
+        type: String,
+        choices: VIDEO_CODECS,
+        default: "vp9"
+    });
+
+    game.settings.register(MODULE_ID, "videoBitrate", {
+        name: "Video Bitrate",
+        scope: "world",
+        config: true,
+        type: String,
+        choices: VIDEO_BITRATES,
+        default: "5000000"
+    });
+
+    game.settings.register(MODULE_ID, "videoFramerate", {
+        name: "Maximum Video Framerate",
+        hint: "Videos above this framerate drop frames while transcoding. Slow animated maps rarely need more than 24 fps.",
+        scope: "world",
+        config: true,
+        type: String,
+        choices: VIDEO_FRAMERATES,
+        default: "0"
+    });
+
+    game.settings.register(MODULE_ID, "outputFolder", {
+        name: "Output Folder",
+        hint: "Optimized files are uploaded here. Leave empty to place them next to the original (module and system files and external URLs still go to the folder above, flat layouts to worlds/<world>/optimized).",
+        scope: "world",
+        config: true,
+        type: String,
+        default: ""
+    });
+
+    game.settings.register(MODULE_ID, "storageTarget", {
+        name: "Upload To",
+        hint: "Storage for optimized files. With \"Same storage\", files from an S3 bucket go back into it and everything else into the User Data folder. Core files and external URLs are always copied into a world folder. The bucket and key prefix are chosen in the optimizer window.",
+        scope: "world",
+        config: true,
+        type: String,
+        choices: STORAGE_TARGETS,
+        default: "source"
+    });
+
+    // Set in the optimizer window, which lists the server's buckets (FileStorage.buckets)
+    game.settings.register(MODULE_ID, "s3Bucket", {
+        name: "S3 Bucket",
+        hint: "Bucket used when \"Upload To\" is set to S3.",
+        scope: "world",
+        config: false,
+        type: String,
+        default: ""
+    });
+
+    game.settings.register(MODULE_ID, "s3Prefix", {
+        name: "S3 Key Prefix",
+        hint: "Folder inside the bucket that optimized files are uploaded below, e.g. \"optimized\". Leave empty to use the Output Folder settings as they are.",
+        scope: "world",
+        config: false,
+        type: String,
+        default: ""
+    });
+
+    game.settings.register(MODULE_ID, "outputLayout", {
+        name: "Output Layout",
+        hint: "Mirror keeps the original folder structure below the Output Folder, flat puts every optimized file straight into it.",
+        scope: "world",
+        config: true,
+        type: String,
+        choices: OUTPUT_LAYOUTS,
+        default: "mirror"
+    });
+
+    game.settings.register(MODULE_ID, "fileNameTemplate", {
+        name: "File Name Template",
+        hint: "Name of optimized files, without the extension. {name} is the original name, {ext} its extension and {folder} the folder it is in, e.g. \"{folder}-{name}\" for flat layouts.",
+        scope: "world",
+        config: true,
+        type: String,
+        default: "{name}"
+    });
+
+    game.settings.register(MODULE_ID, "collisionPolicy", {
+        name: "Existing Files",
+        hint: "What to do when a file with the optimized file's name already exists, checked before every upload. \"Use the existing file\" points documents at it without uploading, skipped files keep their original.",
+        scope: "world",
+        config: true,
+        type: String,
+        choices: COLLISION_POLICIES,
+        default: "suffix"
+    });
+}
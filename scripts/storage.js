@@ -0,0 +1,144 @@
+import { MODULE_ID } from "./settings.js";
+import { decodePath } from "./classify.js";
+
+// Top-level folders of Foundry's own install, served from the read-only "public" source
+const PUBLIC_FOLDERS = ["icons", "sounds", "ui", "cards", "fonts"];
+
+/**
+ * File access across Foundry's file sources: "data" (the user data folder), "public"
+ * (the core install, read-only) and "s3" (buckets from the server's AWS configuration).
+ * Documents store data and public files as relative paths and S3 files as full URLs.
+ * Any other URL is "external": it can be read, and its optimized copy is written to a
+ * world folder.
+ *
+ * A location is { source, bucket, path }, where path is relative to the data or public
+ * root, the key inside an S3 bucket, or the URL of an external file.
+ */
+export class FileStorage {
+    constructor() {
+        this.createdFolders = new Set();
+    }
+
+    /**
+     * Works out which source a file or folder path belongs to.
+     * @param {string} path Decoded path, see decodePath() (classify.js)
+     * @returns {{source: string, bucket: string|null, path: string}}
+     */
+    locate(path) {
+        const decoded = path.split("?")[0];
+        if (/^https?:\/\//i.test(decoded)) {
+            const match = FilePicker.matchS3URL?.(decoded);
+            if (match?.groups) return { source: "s3", bucket: match.groups.bucket, path: match.groups.key.replace(/\/+$/, "") };
+            return { source: "external", bucket: null, path: decoded };
+        }
+        const relative = decoded.replace(/^\/+/, "");
+        const source = PUBLIC_FOLDERS.includes(relative.split("/")[0]) ? "public" : "data";
+        return { source, bucket: null, path: relative };
+    }
+
+    /**
+     * Buckets from the server's AWS configuration (options.json "awsConfig"). Read on use,
+     * since the world data is not complete while settings are registered.
+     * @type {string[]}
+     */
+    get buckets() {
+        return game.data.files?.s3?.buckets ?? [];
+    }
+
+    /**
+     * Where optimized copies of files from a location are written: the "Upload To" bucket
+     * for S3, the same bucket for S3 files, and the data folder for everything else.
+     * @returns {{source: string, bucket: string|null, prefix: string}}
+     */
+    getTarget(from) {
+        const mode = game.settings.get(MODULE_ID, "storageTarget");
+        const bucket = game.settings.get(MODULE_ID, "s3Bucket");
+        const prefix = game.settings.get(MODULE_ID, "s3Prefix").replace(/^\/+|\/+$/g, "");
+        if (mode === "s3") {
+            if (!this.buckets.includes(bucket)) throw new Error(`S3 bucket "${bucket}" is not configured on the server`);
+            return { source: "s3", bucket, prefix };
+        }
+        if (mode === "source" && from.source === "s3") return { source: "s3", bucket: from.bucket, prefix };
+        return { source: "data", bucket: null, prefix: "" };
+    }
+
+    /**
+     * @returns {boolean} Whether two locations are in the same source (and bucket)
+     */
+    isSameStore(a, b) {
+        return a.source === b.source && (a.bucket ?? null) === (b.bucket ?? null);
+    }
+
+    /**
+     * @returns {string} Key for a file in a folder location, unique across sources
+     */
+    key(location, fileName) {
+        return [location.source, location.bucket ?? "", [location.path, fileName].filter(p => p).join("/")].join(":");
+    }
+
+    /**
+     * Absolute URL of a stored path, for fetch() and workers.
+     */
+    getUrl(path) {
+        return new URL(path, window.location.href).href;
+    }
+
+    /**
+     * Reads a file from any source. Cross-origin failures of external and S3 files get a
+     * message that says so, since the browser only reports them as a network error.
+     * @returns {Promise<Response>}
+     */
+    async fetch(path, init) {
+        const url = this.getUrl(path);
+        try {
+            return await fetch(url, init);
+        } catch (err) {
+            if (new URL(url).origin === window.location.origin) throw err;
+            throw new Error(`Could not download ${url}: the server does not allow cross-origin requests (CORS)`);
+        }
+    }
+
+    /**
+     * @returns {Promise<Map<string, string>>} File name → path as documents store it, for the files
+     *   in a folder; empty if it does not exist yet
+     */
+    async listFiles(location) {
+        try {
+            const result = await FilePicker.browse(location.source, location.path, this._options(location));
+            return new Map(result.files.map(f => [decodePath(f).split("?")[0].split("/").pop(), f]));
+        } catch (err) {
+            return new Map(); // Folder not created yet
+        }
+    }
+
+    async ensureFolder(location) {
+        let current = "";
+        for (const part of location.path.split("/").filter(p => p)) {
+            current = current ? `${current}/${part}` : part;
+            const key = this.key({ ...location, path: current });
+            if (this.createdFolders.has(key)) continue;
+            try {
+                await FilePicker.createDirectory(location.source, current, this._options(location));
+            } catch (err) {
+                // Already exists
+            }
+            this.createdFolders.add(key);
+        }
+    }
+
+    /**
+     * @param {{source: string, bucket: string|null, path: string}} location Folder
+     * @param {File} file
+     * @returns {Promise<string>} Path to store in documents: relative for data, the full URL for S3
+     */
+    async upload(location, file) {
+        // Flagged so automatic optimization (AutoOptimizer._wrapUpload) leaves the file alone
+        const result = await FilePicker.upload(location.source, location.path, file, this._options(location), { sceneOptimizerUpload: true });
+        if (!result?.path) throw new Error(result?.message ?? `Upload of ${file.name} to ${location.source} failed`);
+        return result.path;
+    }
+
+    _options(location) {
+        return location.bucket ? { bucket: location.bucket } : {};
+    }
+}
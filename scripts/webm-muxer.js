@@ -0,0 +1,278 @@
+/**
+ * Minimal WebM muxer for one VP9 or AV1 video track from WebCodecs VideoEncoder.
+ * Clusters are handed to `onCluster` as soon as they are complete (a new one starts
+ * at every key frame), so long videos never have to be held in the muxer. The header
+ * (sizes, duration, seek index) is only known at the end: finish() returns it to be
+ * put in front of the clusters, and the cues to be put after them.
+ */
+
+const ID = {
+    EBML: 0x1A45DFA3,
+    EBMLVersion: 0x4286,
+    EBMLReadVersion: 0x42F7,
+    EBMLMaxIDLength: 0x42F2,
+    EBMLMaxSizeLength: 0x42F3,
+    DocType: 0x4282,
+    DocTypeVersion: 0x4287,
+    DocTypeReadVersion: 0x4285,
+    Segment: 0x18538067,
+    SeekHead: 0x114D9B74,
+    Seek: 0x4DBB,
+    SeekID: 0x53AB,
+    SeekPosition: 0x53AC,
+    Info: 0x1549A966,
+    TimecodeScale: 0x2AD7B1,
+    Duration: 0x4489,
+    MuxingApp: 0x4D80,
+    WritingApp: 0x5741,
+    Tracks: 0x1654AE6B,
+    TrackEntry: 0xAE,
+    TrackNumber: 0xD7,
+    TrackUID: 0x73C5,
+    TrackType: 0x83,
+    FlagLacing: 0x9C,
+    CodecID: 0x86,
+    CodecPrivate: 0x63A2,
+    Video: 0xE0,
+    PixelWidth: 0xB0,
+    PixelHeight: 0xBA,
+    Cluster: 0x1F43B675,
+    Timecode: 0xE7,
+    SimpleBlock: 0xA3,
+    Cues: 0x1C53BB6B,
+    CuePoint: 0xBB,
+    CueTime: 0xB3,
+    CueTrackPositions: 0xB7,
+    CueTrack: 0xF7,
+    CueClusterPosition: 0xF1
+};
+
+// Block timecodes are signed 16 bit, relative to the cluster (milliseconds here)
+const MAX_CLUSTER_SPAN = 32767;
+
+export class WebMMuxer {
+    /**
+     * @param {object} options
+     * @param {string} options.codec WebCodecs codec string, "vp09.*" or "av01.*"
+     * @param {number} options.width
+     * @param {number} options.height
+     * @param {function(Uint8Array)} [options.onCluster] Receives finished clusters; without it they are collected for getBlob()
+     */
+    constructor({ codec, width, height, onCluster }) {
+        this.codec = codec;
+        this.codecId = codec.startsWith("av01") ? "V_AV1" : "V_VP9";
+        this.width = width;
+        this.height = height;
+        this.codecPrivate = null;
+        this.clusters = [];
+        this.onCluster = onCluster ?? ((bytes) => this.clusters.push(bytes));
+
+        this.cluster = null; // { timecode, blocks }
+        this.clusterBytes = 0; // Bytes handed out so far, the position of the next cluster
+        this.cues = [];
+        this.duration = 0; // Milliseconds
+    }
+
+    /**
+     * @param {EncodedVideoChunk} chunk
+     * @param {object} [metadata] Second argument of the VideoEncoder output callback
+     */
+    addChunk(chunk, metadata) {
+        const data = new Uint8Array(chunk.byteLength);
+        chunk.copyTo(data);
+        const isKey = chunk.type === "key";
+
+        const description = metadata?.decoderConfig?.description;
+        if (description && !this.codecPrivate) this.codecPrivate = toBytes(description);
+        if (isKey && !this.codecPrivate && this.codecId === "V_AV1") this.codecPrivate = this._buildAv1Config(data);
+
+        const timecode = Math.round(chunk.timestamp / 1000);
+        this.duration = Math.max(this.duration, (chunk.timestamp + (chunk.duration ?? 0)) / 1000);
+
+        if (!this.cluster || (isKey && this.cluster.blocks.length) || timecode - this.cluster.timecode > MAX_CLUSTER_SPAN) {
+            this._closeCluster();
+            this.cluster = { timecode, blocks: [] };
+            if (isKey) this.cues.push({ time: timecode, position: this.clusterBytes });
+        }
+
+        // Track 1, relative timecode, flags (0x80 = key frame), frame data
+        const block = new Uint8Array(4 + data.length);
+        block[0] = 0x81;
+        new DataView(block.buffer).setInt16(1, timecode - this.cluster.timecode);
+        block[3] = isKey ? 0x80 : 0x00;
+        block.set(data, 4);
+        this.cluster.blocks.push(element(ID.SimpleBlock, block));
+    }
+
+    /**
+     * Writes the last cluster.
+     * @returns {{header: Uint8Array, trailer: Uint8Array}} Bytes to put before and after the clusters
+     */
+    finish() {
+        this._closeCluster();
+
+        const info = master(ID.Info, [
+            uint(ID.TimecodeScale, 1000000),
+            float(ID.Duration, this.duration),
+            string(ID.MuxingApp, "geanos-scene-optimizer"),
+            string(ID.WritingApp, "geanos-scene-optimizer")
+        ]);
+        const track = [
+            uint(ID.TrackNumber, 1),
+            uint(ID.TrackUID, 1),
+            uint(ID.TrackType, 1),
+            uint(ID.FlagLacing, 0),
+            string(ID.CodecID, this.codecId)
+        ];
+        if (this.codecPrivate) track.push(element(ID.CodecPrivate, this.codecPrivate));
+        track.push(master(ID.Video, [uint(ID.PixelWidth, this.width), uint(ID.PixelHeight, this.height)]));
+        const tracks = master(ID.Tracks, [master(ID.TrackEntry, track)]);
+
+        // Positions are relative to the start of the segment's data; fixed-width so the seek head size is known up front
+        const seekHeadSize = this._seekHead(0, 0, 0).length;
+        const clustersStart = seekHeadSize + info.length + tracks.length;
+        const cues = master(ID.Cues, this.cues.map(cue => master(ID.CuePoint, [
+            uint(ID.CueTime, cue.time),
+            master(ID.CueTrackPositions, [uint(ID.CueTrack, 1), uint(ID.CueClusterPosition, clustersStart + cue.position)])
+        ])));
+        const seekHead = this._seekHead(seekHeadSize, seekHeadSize + info.length, clustersStart + this.clusterBytes);
+
+        const ebml = master(ID.EBML, [
+            uint(ID.EBMLVersion, 1),
+            uint(ID.EBMLReadVersion, 1),
+            uint(ID.EBMLMaxIDLength, 4),
+            uint(ID.EBMLMaxSizeLength, 8),
+            string(ID.DocType, "webm"),
+            uint(ID.DocTypeVersion, 4),
+            uint(ID.DocTypeReadVersion, 2)
+        ]);
+        const segmentSize = clustersStart + this.clusterBytes + cues.length;
+        const segment = concat([idBytes(ID.Segment), vint(segmentSize, 8)]);
+
+        return { header: concat([ebml, segment, seekHead, info, tracks]), trailer: cues };
+    }
+
+    /**
+     * @returns {Blob} The whole file, when no onCluster callback was given
+     */
+    getBlob() {
+        const { header, trailer } = this.finish();
+        return new Blob([header, ...this.clusters, trailer], { type: "video/webm" });
+    }
+
+    _closeCluster() {
+        if (!this.cluster?.blocks.length) return;
+        const bytes = master(ID.Cluster, [uint(ID.Timecode, this.cluster.timecode), ...this.cluster.blocks]);
+        this.cluster = null;
+        this.clusterBytes += bytes.length;
+        this.onCluster(bytes);
+    }
+
+    _seekHead(infoPosition, tracksPosition, cuesPosition) {
+        const seek = (id, position) => master(ID.Seek, [element(ID.SeekID, idBytes(id)), uint(ID.SeekPosition, position, 8)]);
+        return master(ID.SeekHead, [seek(ID.Info, infoPosition), seek(ID.Tracks, tracksPosition), seek(ID.Cues, cuesPosition)]);
+    }
+
+    /**
+     * AV1 in Matroska needs an AV1CodecConfigurationRecord. Encoders that do not
+     * report one get it built from the codec string and the sequence header OBU
+     * of the first key frame (8 bit, 4:2:0, as configured).
+     */
+    _buildAv1Config(frame) {
+        const [, profile, levelTier] = this.codec.split(".");
+        const level = parseInt(levelTier);
+        const tier = levelTier.endsWith("H") ? 1 : 0;
+        const header = [0x81, (Number(profile) << 5) | level, (tier << 7) | 0x0C, 0x00];
+        return concat([new Uint8Array(header), findSequenceHeader(frame) ?? new Uint8Array(0)]);
+    }
+}
+
+function findSequenceHeader(data) {
+    let pos = 0;
+    while (pos < data.length) {
+        const type = (data[pos] >> 3) & 0x0F;
+        const hasExtension = (data[pos] >> 2) & 1;
+        const hasSize = (data[pos] >> 1) & 1;
+        if (!hasSize) return type === 1 ? data.slice(pos) : null;
+
+        // leb128 payload size
+        let p = pos + 1 + hasExtension;
+        let size = 0;
+        for (let shift = 0; p < data.length; shift += 7) {
+            const byte = data[p++];
+            size += (byte & 0x7F) * 2 ** shift;
+            if (!(byte & 0x80)) break;
+        }
+        if (type === 1) return data.slice(pos, p + size);
+        pos = p + size;
+    }
+    return null;
+}
+
+/* -------------------------------------------- */
+/*  EBML encoding                               */
+/* -------------------------------------------- */
+
+function element(id, payload) {
+    return concat([idBytes(id), vint(payload.length), payload]);
+}
+
+function master(id, children) {
+    return element(id, concat(children));
+}
+
+function uint(id, value, length) {
+    return element(id, uintBytes(value, length));
+}
+
+function float(id, value) {
+    const bytes = new Uint8Array(8);
+    new DataView(bytes.buffer).setFloat64(0, value);
+    return element(id, bytes);
+}
+
+function string(id, value) {
+    return element(id, new TextEncoder().encode(value));
+}
+
+function idBytes(id) {
+    return uintBytes(id);
+}
+
+function uintBytes(value, length) {
+    const bytes = [];
+    do {
+        bytes.unshift(value % 256);
+        value = Math.floor(value / 256);
+    } while (value > 0);
+    while (length && bytes.length < length) bytes.unshift(0);
+    return new Uint8Array(bytes);
+}
+
+/**
+ * Element size as an EBML variable-length integer, in the given or the smallest possible width.
+ */
+function vint(value, length) {
+    if (!length) {
+        length = 1;
+        while (value >= 2 ** (7 * length) - 1) length++;
+    }
+    const bytes = uintBytes(value, length);
+    bytes[0] |= 1 << (8 - length);
+    return bytes;
+}
+
+function toBytes(source) {
+    if (source instanceof ArrayBuffer) return new Uint8Array(source.slice(0));
+    return new Uint8Array(source.buffer.slice(source.byteOffset, source.byteOffset + source.byteLength));
+}
+
+function concat(parts) {
+    const merged = new Uint8Array(parts.reduce((sum, p) => sum + p.length, 0));
+    let offset = 0;
+    for (const part of parts) {
+        merged.set(part, offset);
+        offset += part.length;
+    }
+    return merged;
+}
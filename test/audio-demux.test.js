@@ -0,0 +1,209 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { createDemuxer } from "../scripts/audio-demux.js";
+
+function concat(...parts) {
+    return Buffer.concat(parts.map(part => typeof part === "string" ? Buffer.from(part, "latin1") : part));
+}
+
+/**
+ * Pushes a file in chunks of `size` bytes, reading after each, like the streaming worker.
+ */
+function demux(file, size) {
+    const demuxer = createDemuxer(file.subarray(0, 12));
+    const frames = [];
+    for (let at = 0; at < file.length; at += size) {
+        demuxer.push(file.subarray(at, at + size));
+        frames.push(...demuxer.read());
+    }
+    demuxer.end();
+    frames.push(...demuxer.read());
+    return { demuxer, frames };
+}
+
+/* -------------------------------------------- */
+/*  MP3                                         */
+/* -------------------------------------------- */
+
+/**
+ * MPEG 1 layer 3 frame at 128 kbps and 44.1 kHz (417 bytes), its payload filled with `fill`.
+ */
+function mp3Frame(fill) {
+    const frame = new Uint8Array(417).fill(fill);
+    frame.set([0xFF, 0xFB, 0x90, 0x44]);
+    return frame;
+}
+
+/**
+ * Info frame with a frame count and a LAME tag giving encoder delay and padding.
+ */
+function infoFrame(frames, delay, padding) {
+    const frame = new Uint8Array(417);
+    frame.set([0xFF, 0xFB, 0x90, 0x44]);
+    const offset = 4 + 32; // Stereo MPEG 1 side info
+    frame.set(Buffer.from("Info\0\0\0\x01", "latin1"), offset);
+    new DataView(frame.buffer).setUint32(offset + 8, frames);
+    frame.set(Buffer.from("LAME", "latin1"), offset + 12);
+    frame.set([delay >> 4, ((delay & 0x0F) << 4) | (padding >> 8), padding & 0xFF], offset + 12 + 21);
+    return frame;
+}
+
+test("MP3 frames are found across chunk boundaries", () => {
+    const file = concat(...[1, 2, 3, 4, 5].map(n => mp3Frame(n)));
+    for (const size of [1, 7, 416, 418, file.length]) {
+        const { demuxer, frames } = demux(file, size);
+        assert.deepEqual(demuxer.config, { codec: "mp3", sampleRate: 44100, numberOfChannels: 2 });
+        assert.deepEqual(frames.map(f => f.data[4]), [1, 2, 3, 4, 5], `chunks of ${size}`);
+        assert.ok(frames.every(f => f.data.length === 417 && f.samples === 1152));
+        assert.equal(frames[2].timestamp, 2 * 1152 * 1000000 / 44100);
+    }
+});
+
+test("MP3 skips the ID3v2 tag and junk before the first frame", () => {
+    const id3 = concat("ID3", Uint8Array.of(4, 0, 0, 0, 0, 0, 20), new Uint8Array(20).fill(0xFF));
+    const file = concat(id3, "junk", mp3Frame(1), mp3Frame(2), mp3Frame(3), "TAG", new Uint8Array(125));
+    const { demuxer, frames } = demux(file, 100);
+    assert.equal(demuxer.header.length, 34, "the header runs to the first frame");
+    assert.deepEqual(frames.map(f => f.data[4]), [1, 2, 3]);
+});
+
+test("an MP3 Info frame is dropped and its LAME tag sets the trimming", () => {
+    const file = concat(infoFrame(3, 576, 1000), mp3Frame(1), mp3Frame(2), mp3Frame(3));
+    const { demuxer, frames } = demux(file, 300);
+    assert.equal(demuxer.config.trimStart, 576 + 529);
+    assert.equal(demuxer.config.totalSamples, 3 * 1152 - 576 - 1000);
+    assert.equal(demuxer.header.length, 417);
+    assert.deepEqual(frames.map(f => f.data[4]), [1, 2, 3]);
+});
+
+/* -------------------------------------------- */
+/*  FLAC                                        */
+/* -------------------------------------------- */
+
+function crc8(bytes) {
+    let crc = 0;
+    for (const byte of bytes) {
+        crc ^= byte;
+        for (let k = 0; k < 8; k++) crc = crc & 0x80 ? ((crc << 1) ^ 0x07) & 0xFF : (crc << 1) & 0xFF;
+    }
+    return crc;
+}
+
+function crc16(bytes) {
+    let crc = 0;
+    for (const byte of bytes) {
+        crc ^= byte << 8;
+        for (let k = 0; k < 8; k++) crc = crc & 0x8000 ? ((crc << 1) ^ 0x8005) & 0xFFFF : (crc << 1) & 0xFFFF;
+    }
+    return crc;
+}
+
+/**
+ * 44.1 kHz mono 16 bit stream with no frames yet.
+ */
+function flacStreamInfo() {
+    const info = new Uint8Array(34);
+    info.set([0x0A, 0xC4, 0x40], 10); // 44100 Hz, 1 channel, 16 bit
+    return concat("fLaC", Uint8Array.of(0x80, 0, 0, 34), info);
+}
+
+/**
+ * Frame header for 256 samples at 44.1 kHz, with its CRC-8.
+ */
+function flacHeader(number) {
+    const header = Uint8Array.of(0xFF, 0xF8, 0x89, 0x08, number);
+    return concat(header, Uint8Array.of(crc8(header)));
+}
+
+/**
+ * Frame `number` with `payload` as its subframes and a valid CRC-16 footer.
+ */
+function flacFrame(number, payload) {
+    const body = concat(flacHeader(number), payload);
+    const crc = crc16(body);
+    return concat(body, Uint8Array.of(crc >> 8, crc & 0xFF));
+}
+
+test("FLAC frames end at the next header whose CRC-16 checks out", () => {
+    // Frame 1's payload holds a valid frame header that is not a frame boundary
+    const frames = [flacFrame(0, new Uint8Array(40).fill(1)), flacFrame(1, concat(new Uint8Array(10).fill(2), flacHeader(9), new Uint8Array(10).fill(2))), flacFrame(2, new Uint8Array(30).fill(3))];
+    const file = concat(flacStreamInfo(), ...frames);
+    for (const size of [1, 5, 33, file.length]) {
+        const { demuxer, frames: read } = demux(file, size);
+        assert.equal(demuxer.config.codec, "flac");
+        assert.equal(demuxer.config.sampleRate, 44100);
+        assert.equal(demuxer.config.numberOfChannels, 1);
+        assert.equal(demuxer.header.length, 42);
+        assert.deepEqual(read.map(f => Buffer.from(f.data)), frames, `chunks of ${size}`);
+        assert.deepEqual(read.map(f => f.timestamp), [0, 1, 2].map(n => n * 256 * 1000000 / 44100));
+    }
+});
+
+test("FLAC resyncs on the next frame header after garbage", () => {
+    const frames = [flacFrame(0, new Uint8Array(20).fill(1)), flacFrame(1, new Uint8Array(20).fill(2))];
+    const file = concat(flacStreamInfo(), "garbage", ...frames);
+    const { frames: read } = demux(file, 9);
+    assert.deepEqual(read.map(f => Buffer.from(f.data)), frames);
+});
+
+test("the FLAC description is the stream marker and STREAMINFO alone", () => {
+    const picture = concat(Uint8Array.of(0x86, 0, 0, 4), "\0\0\0\x03");
+    const info = flacStreamInfo();
+    info[4] = 0x00; // STREAMINFO is no longer the last block
+    const file = concat(info, picture, flacFrame(0, new Uint8Array(20)));
+    const { demuxer, frames } = demux(file, 16);
+    assert.equal(demuxer.header.length, 42 + 8);
+    assert.deepEqual(Buffer.from(demuxer.config.description), concat("fLaC", Uint8Array.of(0x80, 0, 0, 34), info.subarray(8, 42)));
+    assert.equal(frames.length, 1);
+});
+
+/* -------------------------------------------- */
+/*  WAV                                         */
+/* -------------------------------------------- */
+
+function chunk(id, data) {
+    const size = Buffer.alloc(4);
+    size.writeUInt32LE(data.length);
+    return concat(id, size, data, data.length % 2 ? Uint8Array.of(0) : new Uint8Array(0));
+}
+
+function wav({ channels, bits, samples, before = [], after = [] }) {
+    const fmt = Buffer.alloc(16);
+    fmt.writeUInt16LE(1, 0);
+    fmt.writeUInt16LE(channels, 2);
+    fmt.writeUInt32LE(8000, 4);
+    fmt.writeUInt32LE(8000 * channels * bits / 8, 8);
+    fmt.writeUInt16LE(channels * bits / 8, 12);
+    fmt.writeUInt16LE(bits, 14);
+    const body = concat("WAVE", ...before, chunk("fmt ", fmt), chunk("data", samples), ...after);
+    const size = Buffer.alloc(4);
+    size.writeUInt32LE(body.length);
+    return concat("RIFF", size, body);
+}
+
+test("WAV chunks before and after the data are skipped", () => {
+    const samples = Buffer.alloc(6 * 2 * 3);
+    for (let i = 0; i < 12; i++) samples.writeIntLE((i - 6) * 0x100000, i * 3, 3);
+    const file = wav({
+        channels: 2,
+        bits: 24,
+        samples,
+        before: [chunk("junk", new Uint8Array(3))],
+        after: [chunk("LIST", concat("INFO", chunk("INAM", "Rain\0")))]
+    });
+    const { demuxer, frames } = demux(file, 5);
+    assert.deepEqual(demuxer.config, { codec: "pcm", sampleRate: 8000, numberOfChannels: 2 });
+    assert.equal(demuxer.header.length, file.indexOf("data") + 8);
+
+    // Chunks split sample frames; whole frames are returned and the trailing LIST is no audio
+    const left = frames.flatMap(f => Array.from(f.pcm[0]));
+    const right = frames.flatMap(f => Array.from(f.pcm[1]));
+    assert.deepEqual(left, [-6, -4, -2, 0, 2, 4].map(n => n * 0x100000 / 8388608));
+    assert.deepEqual(right, [-5, -3, -1, 1, 3, 5].map(n => n * 0x100000 / 8388608));
+});
+
+test("compressed WAVs are refused", () => {
+    const file = wav({ channels: 1, bits: 16, samples: new Uint8Array(4) });
+    file.writeUInt16LE(2, file.indexOf("fmt ") + 8); // MS ADPCM
+    assert.throws(() => demux(file, file.length), { name: "NotSupportedError" });
+});
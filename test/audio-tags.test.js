@@ -0,0 +1,158 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { readAudioTags, getTrailingTagRange, readTrailingTags } from "../scripts/audio-tags.js";
+import { createDemuxer } from "../scripts/audio-demux.js";
+
+const encoder = new TextEncoder();
+
+function concat(...parts) {
+    return Buffer.concat(parts.map(part => typeof part === "string" ? encoder.encode(part) : part));
+}
+
+function syncsafe(size) {
+    return Uint8Array.of((size >> 21) & 0x7F, (size >> 14) & 0x7F, (size >> 7) & 0x7F, size & 0x7F);
+}
+
+/**
+ * ID3v2.4 tag from [id, body] frames.
+ */
+function id3v2(frames) {
+    const body = concat(...frames.map(([id, data]) => concat(id, syncsafe(data.length), Uint8Array.of(0, 0), data)));
+    return concat("ID3", Uint8Array.of(4, 0, 0), syncsafe(body.length), body);
+}
+
+function textFrame(id, text) {
+    return [id, concat(Uint8Array.of(3), text)]; // UTF-8
+}
+
+function id3v1({ title = "", artist = "", album = "", year = "", track = 0 }) {
+    const tag = new Uint8Array(128);
+    tag.set(encoder.encode("TAG"));
+    tag.set(encoder.encode(title), 3);
+    tag.set(encoder.encode(artist), 33);
+    tag.set(encoder.encode(album), 63);
+    tag.set(encoder.encode(year), 93);
+    tag[126] = track;
+    return tag;
+}
+
+/**
+ * MPEG 1 layer 3 frames at 128 kbps and 44.1 kHz: 417 bytes each.
+ */
+function mp3Frames(count) {
+    const frame = new Uint8Array(417);
+    frame.set([0xFF, 0xFB, 0x90, 0x44]);
+    return concat(...Array.from({ length: count }, () => frame));
+}
+
+function chunk(id, data) {
+    const size = Buffer.alloc(4);
+    size.writeUInt32LE(data.length);
+    return concat(id, size, data, data.length % 2 ? Uint8Array.of(0) : new Uint8Array(0));
+}
+
+function listInfo(fields) {
+    return chunk("LIST", concat("INFO", ...Object.entries(fields).map(([id, value]) => chunk(id, concat(value, Uint8Array.of(0))))));
+}
+
+function wav(before, after, dataBytes = 64) {
+    const fmt = Buffer.alloc(16);
+    fmt.writeUInt16LE(1, 0);
+    fmt.writeUInt16LE(1, 2);
+    fmt.writeUInt32LE(8000, 4);
+    fmt.writeUInt32LE(16000, 8);
+    fmt.writeUInt16LE(2, 12);
+    fmt.writeUInt16LE(16, 14);
+    const body = concat("WAVE", chunk("fmt ", fmt), ...before, chunk("data", new Uint8Array(dataBytes)), ...after);
+    const size = Buffer.alloc(4);
+    size.writeUInt32LE(body.length);
+    return concat("RIFF", size, body);
+}
+
+/**
+ * Bytes before the audio data, as the streaming worker hands them to readAudioTags.
+ */
+function streamedHeader(file) {
+    const demuxer = createDemuxer(file);
+    demuxer.push(file);
+    demuxer.end();
+    demuxer.read();
+    return demuxer.header;
+}
+
+function tailOf(file, range) {
+    return file.subarray(range.start < 0 ? file.length + range.start : range.start);
+}
+
+test("a streamed MP3 gets its ID3v1 tag from the last 128 bytes", () => {
+    const file = concat(id3v2([textFrame("TIT2", "Tavern")]), mp3Frames(3), id3v1({ title: "Old Title", artist: "Bard", track: 7 }));
+    const header = streamedHeader(file);
+    assert.ok(header.length < file.length - 128, "the header stops before the audio");
+
+    const tags = readAudioTags(header.slice().buffer);
+    assert.deepEqual(tags, { TITLE: ["Tavern"] });
+
+    const range = getTrailingTagRange(header);
+    assert.deepEqual(range, { start: -128 });
+    readTrailingTags(header, tailOf(file, range), tags);
+    assert.deepEqual(tags, readAudioTags(file.buffer.slice(file.byteOffset, file.byteOffset + file.length)), "same as reading the whole file");
+    assert.deepEqual(tags, { TITLE: ["Tavern"], ARTIST: ["Bard"], TRACKNUMBER: ["7"] });
+});
+
+test("a streamed WAV gets LIST/INFO chunks written after the data chunk", () => {
+    const file = wav([listInfo({ INAM: "Rain" })], [listInfo({ IART: "Storm Choir", ICMT: "Loop" })], 63);
+    const header = streamedHeader(file);
+    const tags = readAudioTags(header.slice().buffer);
+    assert.deepEqual(tags, { TITLE: ["Rain"] });
+
+    const range = getTrailingTagRange(header);
+    assert.equal(range.start, header.length + 64, "odd data sizes are padded");
+    readTrailingTags(header, tailOf(file, range), tags);
+    assert.deepEqual(tags, { TITLE: ["Rain"], ARTIST: ["Storm Choir"], COMMENT: ["Loop"] });
+});
+
+test("no trailing range for FLAC or WAVs without a data size", () => {
+    assert.equal(getTrailingTagRange(encoder.encode("fLaC\x80\0\0\x22")), null);
+    const file = wav([], []);
+    const header = streamedHeader(file);
+    header.fill(0xFF, header.length - 4);
+    assert.equal(getTrailingTagRange(header), null);
+});
+
+test("a tail without tags leaves the tags alone", () => {
+    const header = streamedHeader(concat(mp3Frames(2)));
+    const tags = { TITLE: ["Tavern"] };
+    readTrailingTags(header, new Uint8Array(128), tags);
+    assert.deepEqual(tags, { TITLE: ["Tavern"] });
+});
+
+test("ID3v2 wins over ID3v1, which only fills the missing fields", () => {
+    const file = concat(id3v2([textFrame("TIT2", "Tavern"), textFrame("TRCK", "3/12")]), mp3Frames(2), id3v1({ title: "TAVERN (v1)", album: "Inns", year: "1999", track: 9 }));
+    const tags = readAudioTags(file.buffer.slice(file.byteOffset, file.byteOffset + file.length));
+    assert.deepEqual(tags, { TITLE: ["Tavern"], TRACKNUMBER: ["3"], TRACKTOTAL: ["12"], ALBUM: ["Inns"], DATE: ["1999"] });
+});
+
+test("APIC cover art becomes a METADATA_BLOCK_PICTURE", () => {
+    const image = Uint8Array.of(0x89, 0x50, 0x4E, 0x47, 1, 2, 3);
+    const apic = concat(Uint8Array.of(3), "image/png\0", Uint8Array.of(3), "Front\0", image);
+    const file = concat(id3v2([["APIC", apic]]), mp3Frames(2));
+    const tags = readAudioTags(file.buffer.slice(file.byteOffset, file.byteOffset + file.length));
+    assert.equal(tags.METADATA_BLOCK_PICTURE.length, 1);
+
+    // FLAC picture block: type, MIME, description, 16 bytes of unknown dimensions, data
+    const block = Buffer.from(tags.METADATA_BLOCK_PICTURE[0], "base64");
+    assert.equal(block.readUInt32BE(0), 3, "front cover");
+    assert.equal(block.readUInt32BE(4), 9);
+    assert.equal(block.toString("latin1", 8, 17), "image/png");
+    assert.equal(block.readUInt32BE(17), 5);
+    assert.equal(block.toString("utf8", 21, 26), "Front");
+    assert.deepEqual(block.subarray(26, 42), Buffer.alloc(16));
+    assert.equal(block.readUInt32BE(42), image.length);
+    assert.deepEqual(new Uint8Array(block.subarray(46)), image);
+});
+
+test("WAV chunks are walked past odd sizes to an id3 chunk", () => {
+    const file = wav([chunk("junk", new Uint8Array(5)), chunk("id3 ", id3v2([textFrame("TPE1", "Storm Choir")]))], [], 16);
+    const tags = readAudioTags(file.buffer.slice(file.byteOffset, file.byteOffset + file.length));
+    assert.deepEqual(tags, { ARTIST: ["Storm Choir"] });
+});
@@ -0,0 +1,23 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { classifyImage, classifyAudio, decodePath } from "../scripts/classify.js";
+
+test("stored paths are decoded", () => {
+    assert.deepEqual(classifyImage("maps/Old%20Keep.png"), { path: "maps/Old Keep.png", format: "png", isOptimized: false });
+    assert.deepEqual(classifyAudio("music/theme.ogg"), { path: "music/theme.ogg", format: "ogg", isOptimized: true });
+    assert.equal(classifyImage("notes/readme.txt"), null);
+});
+
+test("a literal % in a file name is decoded exactly once", () => {
+    // Foundry stores "50%.png" as "50%25.png"
+    const file = classifyImage("maps/50%25.png");
+    assert.deepEqual(file, { path: "maps/50%.png", format: "png", isOptimized: false });
+    assert.equal(decodePath(file.path), "maps/50%.png", "a decoded path with a stray % is left alone");
+    assert.equal(classifyAudio("sfx/100%25%20volume.mp3").path, "sfx/100% volume.mp3");
+});
+
+test("invalid URI encoding falls back to the raw path", () => {
+    assert.equal(decodePath("maps/50%.png"), "maps/50%.png");
+    assert.equal(decodePath("maps/%E0%A4%A.png"), "maps/%E0%A4%A.png");
+    assert.deepEqual(classifyImage("maps/50%.png"), { path: "maps/50%.png", format: "png", isOptimized: false });
+});
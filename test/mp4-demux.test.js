@@ -0,0 +1,168 @@
+import { test, afterEach } from "node:test";
+import assert from "node:assert/strict";
+import { RangeReader, readVideoTrack } from "../scripts/mp4-demux.js";
+
+const realFetch = globalThis.fetch;
+afterEach(() => {
+    globalThis.fetch = realFetch;
+});
+
+/**
+ * Serves `file` to RangeReader, with 206 partial responses unless the server ignores Range.
+ * @returns {string[]} The Range headers requested, filled in as requests come in
+ */
+function serve(file, { ignoreRange = false } = {}) {
+    const requests = [];
+    globalThis.fetch = async (url, { headers }) => {
+        requests.push(headers.Range);
+        if (ignoreRange) return new Response(file, { status: 200 });
+        const [start, end] = headers.Range.replace("bytes=", "").split("-").map(Number);
+        const body = file.subarray(start, Math.min(end + 1, file.length));
+        return new Response(body, { status: 206, headers: { "Content-Range": `bytes ${start}-${start + body.length - 1}/${file.length}` } });
+    };
+    return requests;
+}
+
+function concat(...parts) {
+    return Buffer.concat(parts.map(part => typeof part === "string" ? Buffer.from(part, "latin1") : part));
+}
+
+function u16(value) {
+    const bytes = Buffer.alloc(2);
+    bytes.writeUInt16BE(value);
+    return bytes;
+}
+
+function u32(...values) {
+    const bytes = Buffer.alloc(values.length * 4);
+    values.forEach((value, i) => bytes.writeInt32BE(value | 0, i * 4));
+    return bytes;
+}
+
+function u64(...values) {
+    const bytes = Buffer.alloc(values.length * 8);
+    values.forEach((value, i) => bytes.writeBigUInt64BE(BigInt(value), i * 8));
+    return bytes;
+}
+
+function box(type, ...children) {
+    const body = concat(...children);
+    return concat(u32(8 + body.length), type, body);
+}
+
+/**
+ * Box with a 64 bit size, as large mdat boxes are written.
+ */
+function largeBox(type, ...children) {
+    const body = concat(...children);
+    return concat(u32(1), type, u64(16 + body.length), body);
+}
+
+function fullBox(type, ...children) {
+    return box(type, u32(0), ...children);
+}
+
+function track(handler, stbl, timescale = 1000) {
+    const mdhd = fullBox("mdhd", u32(0, 0, timescale, 0), new Uint8Array(4));
+    const hdlr = fullBox("hdlr", u32(0), handler, new Uint8Array(12));
+    return box("trak", box("mdia", mdhd, hdlr, box("minf", box("stbl", ...stbl))));
+}
+
+/**
+ * avc1 sample entry: 78 bytes of VisualSampleEntry fields, then avcC (High profile, level 3.1).
+ */
+function avc1(width, height) {
+    const fields = Buffer.alloc(78);
+    fields.writeUInt16BE(width, 24);
+    fields.writeUInt16BE(height, 26);
+    return fullBox("stsd", u32(1), box("avc1", fields, box("avcC", Uint8Array.of(1, 0x64, 0x00, 0x1F, 0xFF))));
+}
+
+/**
+ * Five samples of 100..104 bytes in two chunks (3 + 2) after a 1000 byte gap, decoded at
+ * 0, 40, 80, 120, 160 ms and shown in I P B P B order (ctts), key frames 1 and 4.
+ */
+function videoTables(mdatStart, co64 = false) {
+    const sizes = [100, 101, 102, 103, 104];
+    const chunkOffsets = [mdatStart, mdatStart + 303 + 1000];
+    return [
+        avc1(1920, 1080),
+        fullBox("stts", u32(1, 5, 40)),
+        fullBox("ctts", u32(4, 1, 40, 1, 80, 1, 0, 2, 40)),
+        fullBox("stss", u32(2, 1, 4)),
+        fullBox("stsc", u32(2, 1, 3, 1, 2, 2, 1)),
+        fullBox("stsz", u32(0, 5, ...sizes)),
+        co64 ? fullBox("co64", u32(2), u64(...chunkOffsets)) : fullBox("stco", u32(2, ...chunkOffsets))
+    ];
+}
+
+/**
+ * ftyp, mdat, then moov at the end of the file, as cameras write it.
+ */
+function mp4({ co64 = false, largeMdat = false } = {}) {
+    const ftyp = box("ftyp", "isom", u32(0), "isomavc1");
+    const samples = [100, 101, 102].map((size, i) => Buffer.alloc(size, i + 1));
+    const later = [103, 104].map((size, i) => Buffer.alloc(size, i + 4));
+    const mdatBody = concat(...samples, Buffer.alloc(1000), ...later);
+    const mdatStart = ftyp.length + (largeMdat ? 16 : 8);
+    const mdat = largeMdat ? largeBox("mdat", mdatBody) : box("mdat", mdatBody);
+    const audio = track("soun", [fullBox("stsd", u32(0))], 48000);
+    const moov = box("moov", box("mvhd", new Uint8Array(100)), audio, track("vide", videoTables(mdatStart, co64), 1000));
+    return concat(ftyp, mdat, moov);
+}
+
+async function open(file, options) {
+    const requests = serve(file, options);
+    const reader = new RangeReader("https://example.com/map.mp4");
+    await reader.open();
+    return { reader, requests };
+}
+
+test("the sample table gives offsets, sizes, times and key frames", async () => {
+    const file = mp4();
+    const { reader } = await open(file);
+    const video = await readVideoTrack(reader);
+
+    assert.equal(video.codec, "avc1.64001f");
+    assert.deepEqual(Array.from(video.description), [1, 0x64, 0x00, 0x1F, 0xFF]);
+    assert.equal(video.width, 1920);
+    assert.equal(video.height, 1080);
+    assert.equal(video.hasAudio, true);
+    assert.equal(video.frameRate, 25);
+
+    // Composition times start at 0 once the B-frame delay (40 ms) is removed
+    assert.deepEqual(video.samples.map(s => s.timestamp), [0, 80, 40, 120, 160].map(ms => ms * 1000));
+    assert.ok(video.samples.every(s => s.duration === 40000));
+    assert.deepEqual(video.samples.map(s => s.isKey), [true, false, false, true, false]);
+    assert.deepEqual(video.samples.map(s => s.size), [100, 101, 102, 103, 104]);
+    for (const [i, sample] of video.samples.entries()) {
+        const data = await reader.read(sample.offset, sample.size);
+        assert.ok(data.every(byte => byte === i + 1), `sample ${i} is read from its chunk`);
+    }
+});
+
+test("64 bit box sizes and chunk offsets", async () => {
+    const { reader } = await open(mp4({ co64: true, largeMdat: true }));
+    const video = await readVideoTrack(reader);
+    const first = await reader.read(video.samples[0].offset, 100);
+    const last = await reader.read(video.samples[4].offset, 104);
+    assert.ok(first.every(byte => byte === 1));
+    assert.ok(last.every(byte => byte === 5));
+});
+
+test("a server that ignores Range is read once", async () => {
+    const file = mp4();
+    const { reader, requests } = await open(file, { ignoreRange: true });
+    const video = await readVideoTrack(reader);
+    await reader.read(video.samples[4].offset, 104);
+    assert.equal(requests.length, 1);
+    assert.equal(reader.size, file.length);
+});
+
+test("files without a video track or moov box", async () => {
+    const audioOnly = concat(box("ftyp", "M4A "), box("moov", track("soun", [fullBox("stsd", u32(0))], 48000)));
+    assert.equal(await readVideoTrack((await open(audioOnly)).reader), null);
+
+    const noMoov = concat(box("ftyp", "isom"), box("mdat", new Uint8Array(64)));
+    await assert.rejects(readVideoTrack((await open(noMoov)).reader), { name: "NotSupportedError" });
+});
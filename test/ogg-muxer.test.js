@@ -0,0 +1,244 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { OggOpusMuxer, DEFAULT_PRE_SKIP, OPUS_SAMPLE_RATE, getOpusPacketSamples } from "../scripts/ogg-muxer.js";
+
+// TOC byte of a CELT-only 20 ms packet (config 31, one frame): 960 samples at 48 kHz
+const TOC_20MS = 31 << 3;
+const NO_GRANULE = 0xFFFFFFFFFFFFFFFFn;
+
+/**
+ * Ogg CRC-32 written independently of the muxer: polynomial 0x04C11DB7, no reflection,
+ * initial value 0, computed over the page with its checksum field zeroed.
+ */
+function oggCrc(page) {
+    const bytes = Uint8Array.from(page);
+    bytes.fill(0, 22, 26);
+    let crc = 0;
+    for (const byte of bytes) {
+        crc ^= byte << 24;
+        for (let k = 0; k < 8; k++) crc = crc & 0x80000000 ? (crc << 1) ^ 0x04C11DB7 : crc << 1;
+    }
+    return crc >>> 0;
+}
+
+/**
+ * Splits a byte stream into pages and checks each page's structure on the way.
+ */
+function parsePages(bytes) {
+    const pages = [];
+    let offset = 0;
+    while (offset < bytes.length) {
+        assert.equal(String.fromCharCode(...bytes.subarray(offset, offset + 4)), "OggS", `capture pattern at ${offset}`);
+        const view = new DataView(bytes.buffer, bytes.byteOffset + offset);
+        const segmentCount = bytes[offset + 26];
+        const segments = Array.from(bytes.subarray(offset + 27, offset + 27 + segmentCount));
+        const size = 27 + segmentCount + segments.reduce((a, b) => a + b, 0);
+        const raw = bytes.subarray(offset, offset + size);
+        assert.equal(raw.length, size, "page is truncated");
+        pages.push({
+            version: bytes[offset + 4],
+            headerType: bytes[offset + 5],
+            granule: view.getBigUint64(6, true),
+            serial: view.getUint32(14, true),
+            sequence: view.getUint32(18, true),
+            crc: view.getUint32(22, true),
+            segments,
+            body: raw.subarray(27 + segmentCount),
+            raw
+        });
+        offset += size;
+    }
+    return pages;
+}
+
+/**
+ * Reassembles packets from the segment tables: a lace below 255 ends a packet,
+ * a page ending on 255 continues its last packet on the next page.
+ * @returns {{packets: Uint8Array[], pageOfPacket: number[]}}
+ */
+function readPackets(pages) {
+    const packets = [];
+    const pageOfPacket = [];
+    let current = [];
+    pages.forEach((page, p) => {
+        assert.equal(!!(page.headerType & 0x01), current.length > 0, `continued flag of page ${p}`);
+        let offset = 0;
+        for (const lace of page.segments) {
+            current.push(page.body.subarray(offset, offset + lace));
+            offset += lace;
+            if (lace < 255) {
+                packets.push(Buffer.concat(current));
+                pageOfPacket.push(p);
+                current = [];
+            }
+        }
+        assert.equal(offset, page.body.length, `segment table of page ${p} covers the body`);
+    });
+    assert.equal(current.length, 0, "stream ends inside a packet");
+    return { packets, pageOfPacket };
+}
+
+function makePacket(size, fill = 1) {
+    const packet = new Uint8Array(size).fill(fill);
+    packet[0] = TOC_20MS;
+    return packet;
+}
+
+function mux(packets, { totalSamples, preSkip, tags, inputSampleRate = 44100, channels = 2 } = {}) {
+    const out = [];
+    const muxer = new OggOpusMuxer(inputSampleRate, channels, { preSkip, tags, onPage: page => out.push(page) });
+    for (const packet of packets) muxer.addPacket(packet);
+    muxer.finish(totalSamples);
+    return Buffer.concat(out);
+}
+
+test("reads packet durations from the TOC byte", () => {
+    assert.equal(getOpusPacketSamples(Uint8Array.of(TOC_20MS)), 960);
+    assert.equal(getOpusPacketSamples(Uint8Array.of((31 << 3) | 1)), 1920); // two frames
+    assert.equal(getOpusPacketSamples(Uint8Array.of((16 << 3) | 3, 3)), 360); // three 2.5 ms frames
+    assert.equal(getOpusPacketSamples(Uint8Array.of(1 << 3)), 960); // SILK 20 ms
+});
+
+test("every page has a valid header and CRC", () => {
+    const packets = Array.from({ length: 300 }, (_, i) => makePacket(40 + (i * 7) % 400, i));
+    const pages = parsePages(mux(packets));
+
+    assert.ok(pages.length > 3);
+    pages.forEach((page, i) => {
+        assert.equal(page.version, 0);
+        assert.equal(page.sequence, i);
+        assert.equal(page.serial, pages[0].serial);
+        assert.equal(page.crc, oggCrc(page.raw), `CRC of page ${i}`);
+        assert.ok(page.segments.length <= 255);
+    });
+    assert.equal(pages[0].headerType & 0x02, 0x02, "first page is BOS");
+    assert.ok(pages.slice(1).every(p => !(p.headerType & 0x02)), "only the first page is BOS");
+    assert.equal(pages.at(-1).headerType & 0x04, 0x04, "last page is EOS");
+    assert.ok(pages.slice(0, -1).every(p => !(p.headerType & 0x04)), "only the last page is EOS");
+});
+
+test("a corrupted page no longer matches its CRC", () => {
+    const [page] = parsePages(mux([makePacket(100)]));
+    const corrupted = Uint8Array.from(page.raw);
+    corrupted[30] ^= 0xFF;
+    assert.notEqual(page.crc, oggCrc(corrupted));
+});
+
+test("header pages hold OpusHead and OpusTags on their own", () => {
+    const pages = parsePages(mux([makePacket(100)], { tags: { title: "Tavern" }, inputSampleRate: 22050 }));
+    const { packets, pageOfPacket } = readPackets(pages);
+
+    const head = packets[0];
+    assert.equal(String.fromCharCode(...head.subarray(0, 8)), "OpusHead");
+    assert.deepEqual(pages[0].segments, [19]);
+    assert.equal(head[8], 1, "version");
+    assert.equal(head[9], 2, "channels");
+    assert.equal(head.readUInt16LE(10), DEFAULT_PRE_SKIP);
+    assert.equal(head.readUInt32LE(12), 22050, "original input rate");
+    assert.equal(head[18], 0, "mapping family");
+    assert.equal(pages[0].granule, 0n);
+
+    const tags = packets[1];
+    assert.equal(String.fromCharCode(...tags.subarray(0, 8)), "OpusTags");
+    assert.ok(tags.toString("utf8").includes("TITLE=Tavern"));
+    assert.equal(pageOfPacket[1], 1);
+    assert.equal(pages[1].granule, 0n);
+    assert.ok(pageOfPacket.slice(2).every(p => p >= 2), "audio starts on a fresh page");
+});
+
+test("segment tables lace packets of every size", () => {
+    const sizes = [1, 254, 255, 256, 510, 511, 1000, 255 * 254, 255 * 255, 70000];
+    const input = sizes.map((size, i) => makePacket(size, i + 1));
+    const pages = parsePages(mux(input));
+    const { packets } = readPackets(pages);
+
+    assert.equal(packets.length, input.length + 2);
+    packets.slice(2).forEach((packet, i) => assert.ok(packet.equals(input[i]), `packet ${i} (${sizes[i]} bytes)`));
+
+    // A packet that is an exact multiple of 255 needs a terminating zero lace
+    const exact = parsePages(mux([makePacket(510)])).at(-1);
+    assert.deepEqual(exact.segments, [255, 255, 0]);
+});
+
+test("packets spanning pages continue them without a granule", () => {
+    const pages = parsePages(mux([makePacket(200000)]));
+    const audio = pages.slice(2);
+
+    assert.ok(audio.length >= 4);
+    assert.ok(audio.slice(1).every(p => p.headerType & 0x01), "continuation pages are flagged");
+    assert.ok(audio.slice(0, -1).every(p => p.granule === NO_GRANULE), "pages ending mid-packet have granule -1");
+    assert.equal(audio.at(-1).granule, 960n);
+});
+
+test("granule positions count every decoded 48 kHz sample, the pre-skip included", () => {
+    // The pre-skip is part of the first packets' samples, so it is not added on top
+    const count = 500;
+    const pages = parsePages(mux(Array.from({ length: count }, () => makePacket(300)), { preSkip: 312 }));
+    const { pageOfPacket } = readPackets(pages);
+
+    let previous = 0n;
+    for (let p = 2; p < pages.length; p++) {
+        // Packets 0 and 1 are the headers
+        const completed = pageOfPacket.filter((page, i) => i >= 2 && page <= p).length;
+        assert.equal(pages[p].granule, BigInt(completed * 960), `granule of page ${p}`);
+        assert.ok(pages[p].granule > previous, "granules increase");
+        previous = pages[p].granule;
+    }
+    assert.equal(pages.at(-1).granule, BigInt(count * 960));
+});
+
+test("the last granule trims the stream to the source length", () => {
+    // 1.5 s of 44.1 kHz audio: 72000 samples at 48 kHz, in 76 frames of 960 (72960) with padding
+    const seconds = 1.5;
+    const totalSamples = Math.round(seconds * OPUS_SAMPLE_RATE);
+    const frames = Math.ceil((totalSamples + DEFAULT_PRE_SKIP) / 960);
+    const pages = parsePages(mux(Array.from({ length: frames }, () => makePacket(120)), { totalSamples }));
+
+    const last = pages.at(-1);
+    assert.equal(last.granule, BigInt(DEFAULT_PRE_SKIP + totalSamples));
+    assert.equal(Number(last.granule - BigInt(DEFAULT_PRE_SKIP)) / OPUS_SAMPLE_RATE, seconds);
+    assert.ok(pages.slice(2, -1).every(p => p.granule < last.granule), "earlier pages are not trimmed");
+});
+
+test("end trimming never extends the stream", () => {
+    const pages = parsePages(mux([makePacket(120), makePacket(120)], { totalSamples: 10 * OPUS_SAMPLE_RATE }));
+    assert.equal(pages.at(-1).granule, BigInt(2 * 960));
+});
+
+test("pre-skip and surround layout come from the encoder's OpusHead", () => {
+    const description = new Uint8Array(27);
+    description.set(new TextEncoder().encode("OpusHead"));
+    const view = new DataView(description.buffer);
+    description[8] = 1;
+    description[9] = 6;
+    view.setUint16(10, 120, true);
+    view.setUint32(12, 48000, true);
+    description[18] = 1;
+    description[19] = 4;
+    description[20] = 2;
+    description.set([0, 4, 1, 2, 3, 5], 21);
+
+    const out = [];
+    const muxer = new OggOpusMuxer(96000, 6, { onPage: page => out.push(page) });
+    muxer.setDecoderConfig({ description });
+    muxer.addPacket(makePacket(100));
+    muxer.finish(500);
+    const pages = parsePages(Buffer.concat(out));
+    const [head] = readPackets(pages).packets;
+
+    assert.equal(head.readUInt16LE(10), 120);
+    assert.equal(head.readUInt32LE(12), 96000, "input rate stays the source's");
+    assert.deepEqual(Array.from(head.subarray(18)), [1, 4, 2, 0, 4, 1, 2, 3, 5]);
+    assert.equal(pages.at(-1).granule, 620n);
+});
+
+test("getBlob collects the pages when no callback is given", async () => {
+    const muxer = new OggOpusMuxer(48000, 1);
+    muxer.addPacket(makePacket(50));
+    const blob = muxer.getBlob(960);
+    assert.equal(blob.type, "audio/ogg");
+
+    const pages = parsePages(new Uint8Array(await blob.arrayBuffer()));
+    assert.equal(pages.length, 3);
+    pages.forEach(page => assert.equal(page.crc, oggCrc(page.raw)));
+});
@@ -0,0 +1,162 @@
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { execFile } from "node:child_process";
+import { existsSync, mkdirSync, mkdtempSync, readFileSync, rmSync, writeFileSync } from "node:fs";
+import { createRequire } from "node:module";
+import { tmpdir } from "node:os";
+import { dirname, join } from "node:path";
+import { fileURLToPath } from "node:url";
+import { promisify } from "node:util";
+
+// Runs the tool against a throwaway world; skipped until npm install added the codecs and classic-level
+const root = join(dirname(fileURLToPath(import.meta.url)), "..");
+const require = createRequire(join(root, "package.json"));
+const missing = ["classic-level", "sharp", "opusscript"].find(name => {
+    try {
+        require.resolve(name);
+        return false;
+    } catch (err) {
+        return true;
+    }
+});
+const options = { skip: missing && `${missing} is not installed, run npm install` };
+
+let userData;
+let world;
+
+function wav(seconds, after) {
+    const rate = 44100;
+    const samples = Math.round(rate * seconds);
+    const header = Buffer.alloc(44);
+    header.write("RIFF", 0);
+    header.writeUInt32LE(36 + samples * 2 + after.length, 4);
+    header.write("WAVEfmt ", 8);
+    header.writeUInt32LE(16, 16);
+    header.writeUInt16LE(1, 20);
+    header.writeUInt16LE(1, 22);
+    header.writeUInt32LE(rate, 24);
+    header.writeUInt32LE(rate * 2, 28);
+    header.writeUInt16LE(2, 32);
+    header.writeUInt16LE(16, 34);
+    header.write("data", 36);
+    header.writeUInt32LE(samples * 2, 40);
+    const data = Buffer.alloc(samples * 2);
+    for (let i = 0; i < samples; i++) data.writeInt16LE(Math.round(12000 * Math.sin(2 * Math.PI * 440 * i / rate)), i * 2);
+    return Buffer.concat([header, data, after]);
+}
+
+/**
+ * LIST/INFO chunk with one field, the way some editors append it after the audio data.
+ */
+function listInfo(id, value) {
+    const text = Buffer.from(`${value}\0`);
+    const field = Buffer.concat([Buffer.from(id), Buffer.alloc(4), text, Buffer.alloc(text.length % 2)]);
+    field.writeUInt32LE(text.length, 4);
+    const list = Buffer.concat([Buffer.from("LIST"), Buffer.alloc(4), Buffer.from("INFO"), field]);
+    list.writeUInt32LE(list.length - 8, 4);
+    return list;
+}
+
+/**
+ * Comments of the first OpusTags packet, as FIELD=value strings.
+ */
+function readOpusTags(bytes) {
+    let at = bytes.indexOf("OpusTags") + 8;
+    at += 4 + bytes.readUInt32LE(at);
+    const count = bytes.readUInt32LE(at);
+    at += 4;
+    const comments = [];
+    for (let i = 0; i < count; i++) {
+        const length = bytes.readUInt32LE(at);
+        comments.push(bytes.toString("utf8", at + 4, at + 4 + length));
+        at += 4 + length;
+    }
+    return comments;
+}
+
+async function putDocuments(name, entries) {
+    const { ClassicLevel } = require("classic-level");
+    const db = new ClassicLevel(join(world, "data", name), { keyEncoding: "utf8", valueEncoding: "json" });
+    try {
+        for (const [key, doc] of entries) await db.put(key, doc);
+    } finally {
+        await db.close();
+    }
+}
+
+async function readDocument(name, key) {
+    const { ClassicLevel } = require("classic-level");
+    const db = new ClassicLevel(join(world, "data", name), { keyEncoding: "utf8", valueEncoding: "json" });
+    try {
+        return await db.get(key);
+    } finally {
+        await db.close();
+    }
+}
+
+function run(...args) {
+    return promisify(execFile)(process.execPath, [join(root, "tools", "optimize-world.mjs"), userData, "test", "--foundry", root, ...args], { timeout: 120000 });
+}
+
+before(async () => {
+    if (missing) return;
+    userData = mkdtempSync(join(tmpdir(), "optimize-world-"));
+    world = join(userData, "Data", "worlds", "test");
+    mkdirSync(join(world, "audio"), { recursive: true });
+    mkdirSync(join(world, "maps"), { recursive: true });
+    writeFileSync(join(world, "world.json"), JSON.stringify({ id: "test", title: "Test" }));
+
+    writeFileSync(join(world, "audio", "rain loop.wav"), wav(2, listInfo("IART", "Storm Band")));
+    const sharp = (await import("sharp")).default;
+    const noise = Buffer.alloc(256 * 256 * 3);
+    for (let i = 0; i < noise.length; i++) noise[i] = (i * 7919) % 251;
+    await sharp(noise, { raw: { width: 256, height: 256, channels: 3 } }).png({ compressionLevel: 0 }).toFile(join(world, "maps", "keep.png"));
+    // A hand-tuned WebP already sits next to the map, so the result has to take another name
+    writeFileSync(join(world, "maps", "keep.webp"), "hand-tuned");
+
+    await putDocuments("playlists", [
+        ["!playlists!p1", { _id: "p1", name: "Ambience", sounds: ["s1"] }],
+        ["!playlists.sounds!p1.s1", { _id: "s1", name: "Rain", path: "worlds/test/audio/rain%20loop.wav" }]
+    ]);
+    await putDocuments("scenes", [
+        ["!scenes!sc1", { _id: "sc1", name: "Keep", background: { src: "worlds/test/maps/keep.png" }, sounds: ["x1"] }],
+        ["!scenes.sounds!sc1.x1", { _id: "x1", path: "worlds/test/audio/rain%20loop.wav" }]
+    ]);
+});
+
+after(() => {
+    if (userData) rmSync(userData, { recursive: true, force: true });
+});
+
+test("--dry-run lists the files and changes nothing", options, async () => {
+    const { stdout } = await run("--dry-run");
+    assert.match(stdout, /worlds\/test\/audio\/rain loop\.wav {2}\(2 ref\.\)/);
+    assert.match(stdout, /worlds\/test\/maps\/keep\.png {2}\(1 ref\.\)/);
+    assert.match(stdout, /2 of 2 file\(s\) unoptimized/);
+    assert.equal((await readDocument("scenes", "!scenes!sc1")).background.src, "worlds/test/maps/keep.png");
+    assert.ok(!existsSync(join(world, "audio", "rain loop.ogg")));
+});
+
+test("converts images and audio and points every document at the results", options, async () => {
+    const { stdout } = await run();
+    assert.match(stdout, /2 file\(s\) converted/);
+
+    assert.equal((await readDocument("playlists", "!playlists.sounds!p1.s1")).path, "worlds/test/audio/rain%20loop.ogg");
+    assert.equal((await readDocument("scenes", "!scenes.sounds!sc1.x1")).path, "worlds/test/audio/rain%20loop.ogg");
+    assert.equal((await readDocument("scenes", "!scenes!sc1")).background.src, "worlds/test/maps/keep-1.webp");
+    assert.equal((await readDocument("playlists", "!playlists!p1")).name, "Ambience");
+
+    assert.equal(readFileSync(join(world, "maps", "keep.webp"), "utf8"), "hand-tuned");
+    const webp = readFileSync(join(world, "maps", "keep-1.webp"));
+    assert.equal(webp.toString("latin1", 8, 12), "WEBP");
+    assert.ok(existsSync(join(world, "audio", "rain loop.wav")), "the original stays on disk");
+});
+
+test("audio keeps trailing tags and takes title and album from the playlist", options, async () => {
+    const ogg = readFileSync(join(world, "audio", "rain loop.ogg"));
+    assert.equal(ogg.toString("latin1", 0, 4), "OggS");
+    const comments = readOpusTags(ogg);
+    assert.ok(comments.includes("ARTIST=Storm Band"), comments.join(", "));
+    assert.ok(comments.includes("TITLE=Rain"), comments.join(", "));
+    assert.ok(comments.includes("ALBUM=Ambience"), comments.join(", "));
+});
@@ -0,0 +1,169 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { StreamingResampler } from "../scripts/audio-dsp.js";
+import { readSampleRate } from "../scripts/audio-formats.js";
+import { OggOpusMuxer } from "../scripts/ogg-muxer.js";
+
+const SOURCE_RATES = [22050, 44100, 96000];
+const OUTPUT_RATE = 48000;
+
+function sine(frequency, rate, length, phase = 0) {
+    return Float32Array.from({ length }, (_, i) => Math.sin(2 * Math.PI * frequency * i / rate + phase));
+}
+
+/**
+ * Feeds the input in chunks of varying sizes, as decoded frames arrive, and joins the output.
+ */
+function resample(resampler, channels, chunkSizes) {
+    const output = channels.map(() => []);
+    const collect = chunk => chunk.forEach((data, ch) => output[ch].push(data));
+    let offset = 0;
+    for (let i = 0; offset < channels[0].length; i++) {
+        const size = chunkSizes[i % chunkSizes.length];
+        collect(resampler.process(channels.map(data => data.subarray(offset, offset + size))));
+        offset += size;
+    }
+    collect(resampler.flush());
+    return output.map(parts => {
+        const joined = new Float32Array(parts.reduce((sum, part) => sum + part.length, 0));
+        let position = 0;
+        for (const part of parts) {
+            joined.set(part, position);
+            position += part.length;
+        }
+        return joined;
+    });
+}
+
+for (const rate of SOURCE_RATES) {
+    test(`${rate} Hz to 48 kHz keeps the exact length`, () => {
+        const length = Math.round(rate * 1.37);
+        const input = [sine(440, rate, length)];
+        const resampler = new StreamingResampler(rate, OUTPUT_RATE, 1);
+        const [output] = resample(resampler, input, [length]);
+
+        assert.equal(resampler.outputRate, OUTPUT_RATE);
+        assert.equal(output.length, Math.round(length * OUTPUT_RATE / rate));
+        assert.equal(resampler.outputCount, output.length);
+    });
+
+    test(`${rate} Hz to 48 kHz gives the same samples however the input is chunked`, () => {
+        const length = rate; // one second
+        const input = [sine(1000, rate, length), sine(250, rate, length, 1)];
+        const [wholeLeft, wholeRight] = resample(new StreamingResampler(rate, OUTPUT_RATE, 2), input, [length]);
+
+        // Odd chunk sizes, including single samples and chunks shorter than the kernel
+        for (const chunkSizes of [[1], [7, 1, 300], [1024], [4097, 13, 999]]) {
+            const [left, right] = resample(new StreamingResampler(rate, OUTPUT_RATE, 2), input, chunkSizes);
+            assert.equal(left.length, wholeLeft.length, `length with chunks ${chunkSizes}`);
+            assert.equal(right.length, wholeRight.length);
+            for (let i = 0; i < left.length; i++) {
+                if (Math.abs(left[i] - wholeLeft[i]) > 1e-6 || Math.abs(right[i] - wholeRight[i]) > 1e-6) {
+                    assert.fail(`sample ${i} differs with chunks ${chunkSizes}`);
+                }
+            }
+        }
+    });
+
+    test(`${rate} Hz to 48 kHz reproduces the waveform without dropped or repeated samples`, () => {
+        const frequency = 1000;
+        const length = rate;
+        const [output] = resample(new StreamingResampler(rate, OUTPUT_RATE, 1), [sine(frequency, rate, length)], [2048, 333]);
+
+        // A missing or doubled sample would shift the phase of everything after it.
+        // The edges are left out, where the kernel reaches into the silence around the input.
+        const expected = sine(frequency, OUTPUT_RATE, output.length);
+        let error = 0;
+        for (let i = 200; i < output.length - 200; i++) error = Math.max(error, Math.abs(output[i] - expected[i]));
+        assert.ok(error < 0.01, `max error ${error}`);
+    });
+}
+
+test("downsampling removes content above the new Nyquist frequency", () => {
+    // 30 kHz is representable at 96 kHz but not at 48 kHz
+    const [output] = resample(new StreamingResampler(96000, OUTPUT_RATE, 1), [sine(30000, 96000, 96000)], [4096]);
+    let peak = 0;
+    for (let i = 200; i < output.length - 200; i++) peak = Math.max(peak, Math.abs(output[i]));
+    assert.ok(peak < 0.01, `alias level ${peak}`);
+});
+
+function wavHeader(rate, channels = 2) {
+    const bytes = new Uint8Array(44);
+    const view = new DataView(bytes.buffer);
+    bytes.set(new TextEncoder().encode("RIFF"), 0);
+    view.setUint32(4, 36, true);
+    bytes.set(new TextEncoder().encode("WAVE"), 8);
+    bytes.set(new TextEncoder().encode("fmt "), 12);
+    view.setUint32(16, 16, true);
+    view.setUint16(20, 1, true);
+    view.setUint16(22, channels, true);
+    view.setUint32(24, rate, true);
+    view.setUint32(28, rate * channels * 2, true);
+    view.setUint16(32, channels * 2, true);
+    view.setUint16(34, 16, true);
+    bytes.set(new TextEncoder().encode("data"), 36);
+    return bytes;
+}
+
+function withListChunk(wav) {
+    const list = new Uint8Array(8 + 5 + 1); // odd size, padded to even
+    list.set(new TextEncoder().encode("LIST"), 0);
+    new DataView(list.buffer).setUint32(4, 5, true);
+    const bytes = new Uint8Array(wav.length + list.length);
+    bytes.set(wav.subarray(0, 12));
+    bytes.set(list, 12);
+    bytes.set(wav.subarray(12), 12 + list.length);
+    return bytes;
+}
+
+function flacHeader(rate) {
+    const bytes = new Uint8Array(8 + 34);
+    bytes.set(new TextEncoder().encode("fLaC"), 0);
+    bytes[4] = 0x80; // last metadata block, STREAMINFO
+    bytes[7] = 34;
+    // 20 bits of sample rate, then 3 bits channels - 1 and 5 bits bits per sample - 1
+    bytes[18] = rate >> 12;
+    bytes[19] = (rate >> 4) & 0xFF;
+    bytes[20] = ((rate & 0x0F) << 4) | (1 << 1);
+    return bytes;
+}
+
+function mp3Header(version, rateIndex, id3 = false) {
+    const frame = Uint8Array.of(0xFF, 0xE0 | (version << 3) | (1 << 1) | 1, (9 << 4) | (rateIndex << 2), 0x44);
+    if (!id3) return frame;
+    const tag = new Uint8Array(10 + 20);
+    tag.set([0x49, 0x44, 0x33, 4, 0, 0, 0, 0, 0, 20]);
+    tag.fill(0xFF, 10); // Sync-like bytes inside the tag must not be mistaken for a frame
+    const bytes = new Uint8Array(tag.length + frame.length);
+    bytes.set(tag);
+    bytes.set(frame, tag.length);
+    return bytes;
+}
+
+function oggOpusHeader(inputRate) {
+    const pages = [];
+    const muxer = new OggOpusMuxer(inputRate, 2, { onPage: page => pages.push(page) });
+    muxer.finish();
+    return pages[0];
+}
+
+test("readSampleRate reads WAV, FLAC and Ogg Opus headers at 22.05, 44.1 and 96 kHz", () => {
+    for (const rate of SOURCE_RATES) {
+        assert.equal(readSampleRate(wavHeader(rate).buffer), rate, `WAV ${rate}`);
+        assert.equal(readSampleRate(withListChunk(wavHeader(rate)).buffer), rate, `WAV with LIST chunk ${rate}`);
+        assert.equal(readSampleRate(flacHeader(rate).buffer), rate, `FLAC ${rate}`);
+        assert.equal(readSampleRate(oggOpusHeader(rate).slice().buffer), rate, `Ogg Opus input rate ${rate}`);
+    }
+});
+
+test("readSampleRate reads MP3 frame headers", () => {
+    // MPEG 1 and 2 have no 96 kHz rate; 22.05 kHz is MPEG 2 and 44.1 kHz MPEG 1
+    assert.equal(readSampleRate(mp3Header(3, 0).buffer), 44100);
+    assert.equal(readSampleRate(mp3Header(2, 0).buffer), 22050);
+    assert.equal(readSampleRate(mp3Header(3, 1, true).buffer), 48000);
+});
+
+test("readSampleRate returns null for unknown data", () => {
+    assert.equal(readSampleRate(new Uint8Array(64).buffer), null);
+    assert.equal(readSampleRate(new TextEncoder().encode("RIFF").buffer), null);
+});
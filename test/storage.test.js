@@ -0,0 +1,186 @@
+import { test, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+import { FileStorage } from "../scripts/storage.js";
+import { MODULE_ID } from "../scripts/settings.js";
+import { decodePath } from "../scripts/classify.js";
+
+/**
+ * Stand-in for Foundry's FilePicker with an in-memory S3 server, addressed like a local
+ * MinIO (http://localhost:9000/<bucket>/<key>, forcePathStyle). test/minio has the setup
+ * for trying the same calls against a real MinIO through Foundry.
+ */
+class FakeFilePicker {
+    static endpoint = new URL("http://localhost:9000");
+    static buckets = new Map();
+    static calls = [];
+
+    static reset(bucketNames) {
+        this.buckets = new Map(bucketNames.map(name => [name, new Map()]));
+        this.calls = [];
+    }
+
+    // Foundry v12's matchS3URL: virtual-hosted style first, then path style
+    static matchS3URL(url) {
+        const { protocol, host } = this.endpoint;
+        return url.match(new RegExp(`^${protocol}//(?<bucket>.*).${host}/(?<key>.*)`))
+            ?? url.match(new RegExp(`^${protocol}//${host}/(?<bucket>[^/]+)/(?<key>.*)`));
+    }
+
+    static _bucket(source, options) {
+        assert.equal(source, "s3", "the stand-in only serves S3");
+        const bucket = this.buckets.get(options.bucket);
+        if (!bucket) throw new Error(`NoSuchBucket: ${options.bucket}`);
+        return bucket;
+    }
+
+    static async browse(source, target, options = {}) {
+        this.calls.push(["browse", source, target, options]);
+        const bucket = this._bucket(source, options);
+        const prefix = target ? `${target}/` : "";
+        if (target && ![...bucket.keys()].some(key => key.startsWith(prefix))) throw new Error(`${target} does not exist`);
+        const files = [...bucket.keys()]
+            .filter(key => key.startsWith(prefix) && !key.slice(prefix.length).includes("/") && !key.endsWith("/"))
+            .map(key => `${this.endpoint.origin}/${options.bucket}/${encodeURI(key)}`);
+        return { target, files };
+    }
+
+    static async createDirectory(source, target, options = {}) {
+        this.calls.push(["createDirectory", source, target, options]);
+        const bucket = this._bucket(source, options);
+        if (bucket.has(`${target}/`)) throw new Error("EEXIST");
+        bucket.set(`${target}/`, null);
+    }
+
+    static async upload(source, path, file, body = {}, options = {}) {
+        this.calls.push(["upload", source, path, body, options]);
+        const bucket = this._bucket(source, body);
+        const key = `${path}/${file.name}`;
+        bucket.set(key, new Uint8Array(await file.arrayBuffer()));
+        return { status: "success", path: `${this.endpoint.origin}/${body.bucket}/${encodeURI(key)}` };
+    }
+}
+
+const settings = new Map();
+
+beforeEach(() => {
+    FakeFilePicker.reset(["foundry-assets", "backups"]);
+    settings.clear();
+    settings.set(`${MODULE_ID}.storageTarget`, "source");
+    settings.set(`${MODULE_ID}.s3Bucket`, "");
+    settings.set(`${MODULE_ID}.s3Prefix`, "");
+    globalThis.FilePicker = FakeFilePicker;
+    globalThis.game = {
+        settings: { get: (module, key) => settings.get(`${module}.${key}`) },
+        data: { files: { s3: { endpoint: FakeFilePicker.endpoint, buckets: ["foundry-assets", "backups"] } } }
+    };
+});
+
+function setSettings(values) {
+    for (const [key, value] of Object.entries(values)) settings.set(`${MODULE_ID}.${key}`, value);
+}
+
+test("locates S3 URLs, core files and user data", () => {
+    const storage = new FileStorage();
+    assert.deepEqual(storage.locate(decodePath("http://localhost:9000/foundry-assets/maps/Old%20Keep.png?v=2")),
+        { source: "s3", bucket: "foundry-assets", path: "maps/Old Keep.png" });
+    assert.deepEqual(storage.locate("http://localhost:9000/foundry-assets/maps/"),
+        { source: "s3", bucket: "foundry-assets", path: "maps" });
+    assert.deepEqual(storage.locate("icons/svg/mystery-man.svg"), { source: "public", bucket: null, path: "icons/svg/mystery-man.svg" });
+    assert.deepEqual(storage.locate("/worlds/test/maps/a.png"), { source: "data", bucket: null, path: "worlds/test/maps/a.png" });
+    assert.deepEqual(storage.locate("https://example.com/a.png"), { source: "external", bucket: null, path: "https://example.com/a.png" });
+});
+
+test("paths are decoded once, so a literal % survives", async () => {
+    const storage = new FileStorage();
+    // "50%.png" is stored as "50%25.png"; decoding the result again would throw
+    const path = decodePath("worlds/test/maps/50%25.png");
+    assert.deepEqual(storage.locate(path), { source: "data", bucket: null, path: "worlds/test/maps/50%.png" });
+
+    setSettings({ storageTarget: "s3", s3Bucket: "foundry-assets" });
+    const folder = { source: "s3", bucket: "foundry-assets", path: "maps" };
+    await storage.ensureFolder(folder);
+    const uploaded = await storage.upload(folder, new File([new Uint8Array(4)], "50%.webp"));
+    assert.equal(uploaded, "http://localhost:9000/foundry-assets/maps/50%25.webp");
+    assert.deepEqual([...(await storage.listFiles(folder)).keys()], ["50%.webp"]);
+    assert.equal(storage.locate(decodePath(uploaded)).path, "maps/50%.webp");
+});
+
+test("targets follow the Upload To, bucket and prefix settings", () => {
+    const storage = new FileStorage();
+    const s3File = storage.locate("http://localhost:9000/backups/maps/a.png");
+    const dataFile = storage.locate("worlds/test/maps/a.png");
+
+    assert.deepEqual(storage.getTarget(s3File), { source: "s3", bucket: "backups", prefix: "" });
+    assert.deepEqual(storage.getTarget(dataFile), { source: "data", bucket: null, prefix: "" });
+
+    setSettings({ storageTarget: "s3", s3Bucket: "foundry-assets", s3Prefix: "/optimized/" });
+    assert.deepEqual(storage.getTarget(dataFile), { source: "s3", bucket: "foundry-assets", prefix: "optimized" });
+    assert.deepEqual(storage.getTarget(s3File), { source: "s3", bucket: "foundry-assets", prefix: "optimized" });
+
+    setSettings({ storageTarget: "data" });
+    assert.deepEqual(storage.getTarget(s3File), { source: "data", bucket: null, prefix: "" });
+});
+
+test("buckets are read when used, not when the storage is created", () => {
+    game.data.files = {};
+    const storage = new FileStorage();
+    assert.deepEqual(storage.buckets, []);
+
+    // The server's file configuration arrives later in Foundry's startup
+    game.data.files = { s3: { endpoint: FakeFilePicker.endpoint, buckets: ["late-bucket"] } };
+    FakeFilePicker.reset(["late-bucket"]);
+    setSettings({ storageTarget: "s3", s3Bucket: "late-bucket" });
+    assert.deepEqual(storage.buckets, ["late-bucket"]);
+    assert.equal(storage.getTarget(storage.locate("maps/a.png")).bucket, "late-bucket");
+});
+
+test("an S3 target without a configured bucket fails instead of writing elsewhere", () => {
+    const storage = new FileStorage();
+    setSettings({ storageTarget: "s3", s3Bucket: "" });
+    assert.throws(() => storage.getTarget(storage.locate("maps/a.png")), /not configured/);
+    setSettings({ s3Bucket: "removed-bucket" });
+    assert.throws(() => storage.getTarget(storage.locate("maps/a.png")), /removed-bucket/);
+});
+
+test("folders are created level by level, once per bucket", async () => {
+    const storage = new FileStorage();
+    const folder = { source: "s3", bucket: "foundry-assets", path: "optimized/maps" };
+    await storage.ensureFolder(folder);
+    await storage.ensureFolder(folder);
+    await storage.ensureFolder({ ...folder, bucket: "backups" });
+
+    const created = FakeFilePicker.calls.filter(c => c[0] === "createDirectory").map(c => `${c[3].bucket}:${c[2]}`);
+    assert.deepEqual(created, [
+        "foundry-assets:optimized", "foundry-assets:optimized/maps",
+        "backups:optimized", "backups:optimized/maps"
+    ]);
+});
+
+test("uploads go to the folder's bucket and come back as full URLs", async () => {
+    const storage = new FileStorage();
+    const folder = { source: "s3", bucket: "foundry-assets", path: "optimized/maps" };
+    assert.equal((await storage.listFiles(folder)).size, 0, "a missing folder lists as empty");
+
+    await storage.ensureFolder(folder);
+    const path = await storage.upload(folder, new File([new Uint8Array(8)], "Old Keep.webp", { type: "image/webp" }));
+    assert.equal(path, "http://localhost:9000/foundry-assets/optimized/maps/Old%20Keep.webp");
+    assert.deepEqual(storage.locate(decodePath(path)), { source: "s3", bucket: "foundry-assets", path: "optimized/maps/Old Keep.webp" });
+    assert.equal(FakeFilePicker.buckets.get("foundry-assets").get("optimized/maps/Old Keep.webp").length, 8);
+
+    const [, source, target, body, options] = FakeFilePicker.calls.find(c => c[0] === "upload");
+    assert.deepEqual([source, target, body], ["s3", "optimized/maps", { bucket: "foundry-assets" }]);
+    assert.equal(options.sceneOptimizerUpload, true, "flagged so automatic optimization skips it");
+
+    const files = await storage.listFiles(folder);
+    assert.deepEqual([...files], [["Old Keep.webp", path]]);
+});
+
+test("keys tell buckets apart", () => {
+    const storage = new FileStorage();
+    const a = storage.key({ source: "s3", bucket: "foundry-assets", path: "maps" }, "a.webp");
+    const b = storage.key({ source: "s3", bucket: "backups", path: "maps" }, "a.webp");
+    const c = storage.key({ source: "data", bucket: null, path: "maps" }, "a.webp");
+    assert.equal(new Set([a, b, c]).size, 3);
+    assert.ok(storage.isSameStore({ source: "s3", bucket: "backups" }, { source: "s3", bucket: "backups" }));
+    assert.ok(!storage.isSameStore({ source: "s3", bucket: "backups" }, { source: "s3", bucket: "foundry-assets" }));
+});
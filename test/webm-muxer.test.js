@@ -0,0 +1,151 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { WebMMuxer } from "../scripts/webm-muxer.js";
+
+/**
+ * Stand-in for EncodedVideoChunk.
+ */
+function videoChunk(type, timestamp, byteLength, fill = 1) {
+    return {
+        type,
+        timestamp,
+        duration: 40000,
+        byteLength,
+        copyTo: (target) => target.fill(fill)
+    };
+}
+
+/**
+ * EBML variable-length integer at `at`. IDs keep their length marker, sizes drop it.
+ */
+function readVint(bytes, at, keepMarker) {
+    const length = Math.clz32(bytes[at]) - 23;
+    assert.ok(length >= 1 && length <= 8, `valid vint at ${at}`);
+    let value = keepMarker ? bytes[at] : bytes[at] & (0xFF >> length);
+    for (let i = 1; i < length; i++) value = value * 256 + bytes[at + i];
+    return { value, length };
+}
+
+/**
+ * Parses elements between start and end; masters listed in `nested` are parsed recursively.
+ */
+function parse(bytes, start = 0, end = bytes.length) {
+    const nested = [0x1A45DFA3, 0x18538067, 0x114D9B74, 0x4DBB, 0x1549A966, 0x1654AE6B, 0xAE, 0xE0, 0x1F43B675, 0x1C53BB6B, 0xBB, 0xB7];
+    const elements = [];
+    let at = start;
+    while (at < end) {
+        const id = readVint(bytes, at, true);
+        const size = readVint(bytes, at + id.length, false);
+        const dataStart = at + id.length + size.length;
+        const element = { id: id.value, offset: at, sizeLength: size.length, start: dataStart, end: dataStart + size.value };
+        assert.ok(element.end <= end, `element ${id.value.toString(16)} fits in its parent`);
+        if (nested.includes(id.value)) element.children = parse(bytes, dataStart, element.end);
+        else element.data = bytes.subarray(dataStart, element.end);
+        elements.push(element);
+        at = element.end;
+    }
+    return elements;
+}
+
+function find(elements, id) {
+    return elements.find(e => e.id === id);
+}
+
+function uint(element) {
+    return element.data.reduce((value, byte) => value * 256 + byte, 0);
+}
+
+function float(element) {
+    return new DataView(element.data.buffer, element.data.byteOffset, element.data.byteLength).getFloat64(0);
+}
+
+async function mux(chunks, codec = "vp09.00.10.08") {
+    const muxer = new WebMMuxer({ codec, width: 640, height: 360 });
+    for (const chunk of chunks) muxer.addChunk(chunk);
+    return new Uint8Array(await muxer.getBlob().arrayBuffer());
+}
+
+test("the file parses as EBML and the segment size covers the rest of the file", async () => {
+    const bytes = await mux([videoChunk("key", 0, 300), videoChunk("delta", 40000, 20), videoChunk("delta", 80000, 20)]);
+    const [ebml, segment] = parse(bytes);
+    assert.equal(ebml.id, 0x1A45DFA3);
+    assert.equal(new TextDecoder().decode(find(ebml.children, 0x4282).data), "webm");
+    assert.equal(segment.id, 0x18538067);
+    assert.equal(segment.sizeLength, 8, "the segment size is written at full width");
+    assert.equal(segment.end, bytes.length);
+
+    const info = find(segment.children, 0x1549A966);
+    assert.equal(uint(find(info.children, 0x2AD7B1)), 1000000);
+    assert.equal(float(find(info.children, 0x4489)), 120, "milliseconds, to the end of the last frame");
+
+    const track = find(find(segment.children, 0x1654AE6B).children, 0xAE);
+    assert.equal(new TextDecoder().decode(find(track.children, 0x86).data), "V_VP9");
+    const video = find(track.children, 0xE0);
+    assert.equal(uint(find(video.children, 0xB0)), 640);
+    assert.equal(uint(find(video.children, 0xBA)), 360);
+});
+
+test("element sizes take the smallest width, never the all-ones value", async () => {
+    // SimpleBlock payloads are the frame plus 4 bytes: 126 fits one size byte, 127 needs two
+    const bytes = await mux([videoChunk("key", 0, 122), videoChunk("delta", 40000, 123), videoChunk("delta", 80000, 16380)]);
+    const [, segment] = parse(bytes);
+    const blocks = find(segment.children, 0x1F43B675).children.filter(e => e.id === 0xA3);
+    assert.deepEqual(blocks.map(b => b.end - b.start), [126, 127, 16384]);
+    assert.deepEqual(blocks.map(b => b.sizeLength), [1, 2, 3]);
+    assert.equal(bytes[blocks[0].offset + 1], 0xFE);
+    assert.deepEqual(Array.from(bytes.subarray(blocks[1].offset + 1, blocks[1].offset + 3)), [0x40, 0x7F]);
+});
+
+test("clusters start at key frames and the seek head and cues point at them", async () => {
+    const bytes = await mux([
+        videoChunk("key", 0, 50, 1),
+        videoChunk("delta", 40000, 10, 2),
+        videoChunk("key", 2000000, 50, 3),
+        videoChunk("delta", 2040000, 10, 4)
+    ]);
+    const [, segment] = parse(bytes);
+    const clusters = segment.children.filter(e => e.id === 0x1F43B675);
+    assert.equal(clusters.length, 2);
+    assert.deepEqual(clusters.map(c => uint(find(c.children, 0xE7))), [0, 2000]);
+
+    // Track 1, timecode relative to the cluster, key frame flag
+    const blocks = clusters[1].children.filter(e => e.id === 0xA3);
+    assert.deepEqual(Array.from(blocks[0].data.subarray(0, 4)), [0x81, 0, 0, 0x80]);
+    assert.deepEqual(Array.from(blocks[1].data.subarray(0, 4)), [0x81, 0, 40, 0]);
+    assert.equal(blocks[1].data[4], 4);
+
+    // Positions are relative to the segment data
+    const position = (element) => element.offset - segment.start;
+    const seeks = find(segment.children, 0x114D9B74).children.map(seek => ({
+        id: readVint(find(seek.children, 0x53AB).data, 0, true).value,
+        position: uint(find(seek.children, 0x53AC))
+    }));
+    for (const { id, position: target } of seeks) {
+        assert.equal(position(find(segment.children, id)), target, `seek entry ${id.toString(16)}`);
+    }
+
+    const cues = find(segment.children, 0x1C53BB6B).children.map(point => ({
+        time: uint(find(point.children, 0xB3)),
+        position: uint(find(find(point.children, 0xB7).children, 0xF1))
+    }));
+    assert.deepEqual(cues, clusters.map(c => ({ time: uint(find(c.children, 0xE7)), position: position(c) })));
+});
+
+test("long stretches without a key frame are split before the block timecode overflows", async () => {
+    const bytes = await mux([videoChunk("key", 0, 10), videoChunk("delta", 30000000, 10), videoChunk("delta", 40000000, 10)]);
+    const [, segment] = parse(bytes);
+    const clusters = segment.children.filter(e => e.id === 0x1F43B675);
+    assert.deepEqual(clusters.map(c => uint(find(c.children, 0xE7))), [0, 40000]);
+    assert.equal(find(segment.children, 0x1C53BB6B).children.length, 1, "only key frames are cued");
+});
+
+test("AV1 gets a codec configuration record with the sequence header", async () => {
+    const sequenceHeader = Uint8Array.of(0x0A, 0x03, 0xAA, 0xBB, 0xCC); // OBU type 1 with a size field
+    const frame = Uint8Array.of(0x12, 0x00, ...sequenceHeader, 0x32, 0x01, 0xFF); // Temporal delimiter, sequence header, frame
+    const chunk = { type: "key", timestamp: 0, duration: 40000, byteLength: frame.length, copyTo: (target) => target.set(frame) };
+    const bytes = await mux([chunk], "av01.0.08M.08");
+    const [, segment] = parse(bytes);
+    const track = find(find(segment.children, 0x1654AE6B).children, 0xAE);
+    assert.equal(new TextDecoder().decode(find(track.children, 0x86).data), "V_AV1");
+    assert.deepEqual(Array.from(find(track.children, 0x63A2).data), [0x81, 0x08, 0x0C, 0x00, ...sequenceHeader]);
+});
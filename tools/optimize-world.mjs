@@ -0,0 +1,444 @@
+/**
+ * Offline conversion of a world's images and audio, reading and updating its LevelDB
+ * document stores while the Foundry server is stopped.
+ *
+ *   node tools/optimize-world.mjs <userData> <worldId> --foundry <install> [--dry-run] [--quality 0.85] [--bitrate 128000] [--report report.json]
+ *
+ * <userData> is the folder holding Data/ (or Data itself), <install> the Foundry install,
+ * whose bundled classic-level is used to open the databases. Files are classified with
+ * the same rules as the module window (scripts/classify.js) and measured on disk.
+ *
+ * Images in the data folder become lossy WebP through sharp. MP3, WAV and FLAC files are
+ * streamed through the module's own demuxer, resampler and Ogg muxer, with WASM builds of
+ * mpg123, libFLAC and libopus in place of WebCodecs. The codecs come from npm install.
+ * Each result is written next to its source and the documents are pointed at it.
+ * Videos, resizing and map splitting stay with the module window.
+ */
+import { createRequire } from "node:module";
+import { createReadStream, existsSync, openSync, readSync, writeSync, closeSync, statSync, unlinkSync, writeFileSync } from "node:fs";
+import { join, resolve } from "node:path";
+import { classifyImage, classifyAudio, VIDEO_FORMATS } from "../scripts/classify.js";
+import { createDemuxer } from "../scripts/audio-demux.js";
+import { StreamingResampler, downmixToStereo } from "../scripts/audio-dsp.js";
+import { readAudioTags, addFallbackTag, getTrailingTagRange, readTrailingTags } from "../scripts/audio-tags.js";
+import { OggOpusMuxer, DEFAULT_PRE_SKIP, OPUS_SAMPLE_RATE } from "../scripts/ogg-muxer.js";
+
+// Sublevel → fields holding a file path, as scanned by _analyzeScenes, _analyzeImages and _analyzeAudio
+const IMAGE_FIELDS = {
+    "scenes": { db: "scenes", fields: ["background.src", "foreground"] },
+    "scenes.tiles": { db: "scenes", fields: ["texture.src"] },
+    "scenes.tokens": { db: "scenes", fields: ["texture.src"] },
+    "scenes.notes": { db: "scenes", fields: ["texture.src"] },
+    "actors": { db: "actors", fields: ["img", "prototypeToken.texture.src"] },
+    "actors.items": { db: "actors", fields: ["img"] },
+    "items": { db: "items", fields: ["img"] },
+    "journal.pages": { db: "journal", fields: ["src"], type: "image" }
+};
+const AUDIO_FIELDS = {
+    "playlists.sounds": { db: "playlists", fields: ["path"] },
+    "scenes.sounds": { db: "scenes", fields: ["path"] }
+};
+
+// 20 ms, the frame size the module's AudioEncoder uses
+const FRAME_SIZE = 960;
+const USAGE = "Usage: node tools/optimize-world.mjs <userData> <worldId> --foundry <install> [--dry-run] [--quality 0.85] [--bitrate 128000] [--report report.json]";
+
+async function main(argv) {
+    const options = parseArgs(argv);
+    if (!options.userData || !options.world || !options.foundry || !(options.bitrate > 0) || !(options.quality > 0 && options.quality <= 1)) {
+        console.error(USAGE);
+        return 2;
+    }
+
+    const dataPath = existsSync(join(options.userData, "Data")) ? join(options.userData, "Data") : options.userData;
+    const worldPath = join(dataPath, "worlds", options.world);
+    if (!existsSync(join(worldPath, "world.json"))) {
+        console.error(`Scene Optimizer | No world "${options.world}" in ${dataPath}`);
+        return 1;
+    }
+    const ClassicLevel = loadClassicLevel(options.foundry);
+    // Loaded before anything is read, so a missing npm install fails fast
+    const codecs = options.dryRun ? null : await loadCodecs();
+
+    const files = new Map();
+    const scan = async (table, classifyPath, type) => {
+        for (const [sublevel, { db, fields, type: pageType }] of Object.entries(table)) {
+            const dbPath = join(worldPath, "data", db);
+            // Embedded documents are keyed "<parentId>.<id>"; their parent's name is the fallback album
+            const parents = sublevel.includes(".")
+                ? new Map((await readSublevel(ClassicLevel, dbPath, sublevel.split(".")[0])).map(([, parent]) => [parent._id, parent.name]))
+                : null;
+            for (const [key, doc] of await readSublevel(ClassicLevel, dbPath, sublevel)) {
+                if (pageType && doc.type !== pageType) continue;
+                const parentName = parents?.get(key.split("!")[2].split(".")[0]) ?? null;
+                for (const field of fields) {
+                    const src = getProperty(doc, field);
+                    // Wildcard token images point at many files, leave them alone
+                    if (typeof src !== "string" || src.includes("*")) continue;
+                    const file = classifyPath(src);
+                    if (!file) continue;
+                    if (!files.has(file.path)) files.set(file.path, { ...file, type, size: fileSize(dataPath, file.path), references: [] });
+                    files.get(file.path).references.push({ collection: sublevel, db, key, id: doc._id, name: doc.name ?? doc.label ?? null, parentName, field });
+                }
+            }
+        }
+    };
+    await scan(IMAGE_FIELDS, classifyImage, "image");
+    await scan(AUDIO_FIELDS, classifyAudio, "audio");
+
+    const list = Array.from(files.values()).sort((a, b) => a.isOptimized - b.isOptimized || a.path.localeCompare(b.path));
+    const pending = list.filter(f => !f.isOptimized);
+
+    if (!options.dryRun) {
+        for (const file of pending) {
+            if (VIDEO_FORMATS.includes(file.format)) {
+                file.skipped = "Videos are converted in Foundry";
+                continue;
+            }
+            // sharp has no BMP decoder
+            if (file.format === "bmp") {
+                file.skipped = "BMP is converted in Foundry";
+                continue;
+            }
+            // Core files, S3 and external files are not in this world's data folder
+            if (file.size === null) {
+                file.skipped = "Not in the data folder";
+                continue;
+            }
+            try {
+                await convertFile(ClassicLevel, dataPath, worldPath, file, codecs, options);
+            } catch (err) {
+                file.error = err.message;
+                console.error(`Scene Optimizer | ${file.path}: ${err.message}`);
+            }
+        }
+    }
+
+    const remaining = pending.filter(f => !f.newPath);
+    const report = {
+        world: options.world,
+        date: new Date().toISOString(),
+        dryRun: options.dryRun,
+        files: list,
+        convertedCount: pending.length - remaining.length,
+        savedSize: pending.reduce((sum, f) => sum + (f.newPath ? f.size - f.newSize : 0), 0),
+        unoptimizedCount: remaining.length,
+        unoptimizedSize: remaining.reduce((sum, f) => sum + (f.size ?? 0), 0)
+    };
+
+    if (options.report) writeFileSync(options.report, JSON.stringify(report, null, 2));
+    for (const file of pending) {
+        const result = file.newPath ? `-> ${file.newPath} (${formatBytes(file.newSize)})` : file.error ?? file.skipped ?? `(${file.references.length} ref.)`;
+        console.log(`${file.type.padEnd(5)} ${formatBytes(file.size).padStart(9)}  ${file.path}  ${result}`);
+    }
+    if (!options.dryRun) console.log(`${report.convertedCount} file(s) converted, ${formatBytes(report.savedSize)} saved.`);
+    console.log(`${remaining.length} of ${list.length} file(s) unoptimized, ${formatBytes(report.unoptimizedSize)}.`);
+    return 0;
+}
+
+function parseArgs(argv) {
+    const options = { dryRun: false, quality: 0.85, bitrate: 128000 };
+    const positional = [];
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        if (arg === "--dry-run") options.dryRun = true;
+        else if (arg === "--foundry") options.foundry = argv[++i];
+        else if (arg === "--quality") options.quality = Number(argv[++i]);
+        else if (arg === "--bitrate") options.bitrate = Number(argv[++i]);
+        else if (arg === "--report") options.report = argv[++i];
+        else positional.push(arg);
+    }
+    [options.userData, options.world] = positional;
+    return options;
+}
+
+/**
+ * Loads classic-level from the Foundry install (Node build or Electron's resources/app),
+ * so the databases are opened by the same version that wrote them.
+ */
+function loadClassicLevel(install) {
+    for (const app of [install, join(install, "resources", "app")]) {
+        const manifest = resolve(app, "package.json");
+        if (!existsSync(manifest)) continue;
+        try {
+            return createRequire(manifest)("classic-level").ClassicLevel;
+        } catch (err) {
+            // Try the next layout
+        }
+    }
+    throw new Error(`classic-level not found in the Foundry install at ${install}`);
+}
+
+/**
+ * Loads sharp and the WASM audio codecs from this repository's dependencies. Only needed
+ * for converting, so --dry-run works without npm install.
+ */
+async function loadCodecs() {
+    try {
+        const [{ default: sharp }, { MPEGDecoder }, { FLACDecoder }, { default: OpusScript }] = await Promise.all([
+            import("sharp"), import("mpg123-decoder"), import("@wasm-audio-decoders/flac"), import("opusscript")
+        ]);
+        return { sharp, MPEGDecoder, FLACDecoder, OpusScript };
+    } catch (err) {
+        throw new Error(`Converting needs the codecs, run npm install in the module folder first (${err.message})`);
+    }
+}
+
+/**
+ * Reads every document of one collection. Foundry keys them "!<sublevel>!<id>", embedded
+ * documents "!<parent>.<collection>!<parentId>.<id>".
+ * @returns {Promise<Array<[string, object]>>} Key and document
+ */
+async function readSublevel(ClassicLevel, path, sublevel) {
+    if (!existsSync(path)) return [];
+    const db = await openDatabase(ClassicLevel, path);
+    try {
+        const prefix = `!${sublevel}!`;
+        return await db.iterator({ gte: prefix, lt: `${prefix}\uffff` }).all();
+    } finally {
+        await db.close();
+    }
+}
+
+async function openDatabase(ClassicLevel, path) {
+    const db = new ClassicLevel(path, { keyEncoding: "utf8", valueEncoding: "json" });
+    try {
+        await db.open();
+    } catch (err) {
+        if (err.cause?.code === "LEVEL_LOCKED" || err.code === "LEVEL_LOCKED") {
+            throw new Error(`${path} is locked, stop the Foundry server first`);
+        }
+        throw err;
+    }
+    return db;
+}
+
+/**
+ * Converts one file and points its documents at the result. The original stays on disk;
+ * a result that is not smaller is deleted and the documents are left alone.
+ */
+async function convertFile(ClassicLevel, dataPath, worldPath, file, codecs, options) {
+    const sourcePath = join(dataPath, file.path.replace(/^\/+/, ""));
+    const base = file.path.replace(/^\/+/, "").replace(/\.[^./]+$/, "");
+    const extension = file.type === "audio" ? "ogg" : "webp";
+    let newPath = `${base}.${extension}`;
+    for (let n = 1; existsSync(join(dataPath, newPath)); n++) newPath = `${base}-${n}.${extension}`;
+    const targetPath = join(dataPath, newPath);
+
+    try {
+        if (file.type === "audio") {
+            const tags = await readFileTags(sourcePath);
+            // Same fallbacks as SceneOptimizer._getFallbackTags: the sound and playlist names
+            const soundRef = file.references.find(r => r.collection === "playlists.sounds");
+            addFallbackTag(tags, "TITLE", soundRef?.name);
+            addFallbackTag(tags, "ALBUM", soundRef?.parentName);
+            await encodeAudioFile(sourcePath, targetPath, file.format, codecs, { bitrate: options.bitrate, tags });
+        } else {
+            await codecs.sharp(sourcePath).webp({ quality: Math.round(options.quality * 100) }).toFile(targetPath);
+        }
+    } catch (err) {
+        if (existsSync(targetPath)) unlinkSync(targetPath);
+        throw err;
+    }
+    const newSize = statSync(targetPath).size;
+    if (newSize >= file.size) {
+        unlinkSync(targetPath);
+        file.skipped = `${extension === "ogg" ? "Ogg Opus" : "WebP"} is not smaller (${formatBytes(newSize)})`;
+        return;
+    }
+
+    await updateReferences(ClassicLevel, worldPath, file.references, newPath);
+    Object.assign(file, { newPath, newSize });
+}
+
+/**
+ * Sets the converted path in every referencing document, one batch per database.
+ */
+async function updateReferences(ClassicLevel, worldPath, references, newPath) {
+    const byDatabase = new Map();
+    for (const ref of references) byDatabase.set(ref.db, [...byDatabase.get(ref.db) ?? [], ref]);
+    for (const [name, refs] of byDatabase) {
+        const db = await openDatabase(ClassicLevel, join(worldPath, "data", name));
+        try {
+            const batch = db.batch();
+            for (const ref of refs) {
+                const doc = await db.get(ref.key);
+                if (!doc) continue;
+                // Stored URI-encoded, like the paths Foundry's uploads return
+                setProperty(doc, ref.field, encodeURI(newPath));
+                batch.put(ref.key, doc);
+            }
+            await batch.write();
+        } finally {
+            await db.close();
+        }
+    }
+}
+
+/**
+ * Picks a decoder for a source format. Each one takes the file in chunks and returns the
+ * planar Float32 PCM that became available: [{ channelData, samplesDecoded, sampleRate }].
+ */
+async function createDecoder(format, codecs) {
+    if (format === "wav") {
+        let demuxer = null;
+        const read = () => demuxer.read().map(({ pcm }) => ({ channelData: pcm, samplesDecoded: pcm[0].length, sampleRate: demuxer.config.sampleRate }));
+        return {
+            decode: async (chunk) => {
+                demuxer ??= createDemuxer(chunk);
+                if (!demuxer) throw new Error("Not a WAV file");
+                demuxer.push(chunk);
+                return read();
+            },
+            flush: async () => {
+                demuxer?.end();
+                return demuxer ? read() : [];
+            },
+            free: () => { }
+        };
+    }
+    const decoder = format === "flac" ? new codecs.FLACDecoder() : new codecs.MPEGDecoder();
+    await decoder.ready;
+    return {
+        decode: async (chunk) => [await decoder.decode(chunk)],
+        flush: async () => format === "flac" ? [await decoder.flush()] : [],
+        free: () => decoder.free()
+    };
+}
+
+/**
+ * Reads an audio file's tags like the streaming worker does: from the bytes in front of
+ * the audio data, plus what getTrailingTagRange points at after it.
+ */
+async function readFileTags(sourcePath) {
+    let demuxer = null;
+    for await (const chunk of createReadStream(sourcePath, { highWaterMark: 1 << 20 })) {
+        const bytes = new Uint8Array(chunk.buffer, chunk.byteOffset, chunk.length);
+        demuxer ??= createDemuxer(bytes);
+        if (!demuxer) return {};
+        demuxer.push(bytes);
+        demuxer.read();
+        if (demuxer.config) break;
+    }
+    if (demuxer && !demuxer.config) {
+        demuxer.end();
+        demuxer.read();
+    }
+    if (!demuxer?.config) return {};
+
+    const tags = readAudioTags(demuxer.header.slice().buffer);
+    const range = getTrailingTagRange(demuxer.header);
+    const size = statSync(sourcePath).size;
+    const start = range && (range.start < 0 ? Math.max(0, size + range.start) : range.start);
+    if (range && start < size) {
+        const tail = new Uint8Array(size - start);
+        const fd = openSync(sourcePath, "r");
+        try {
+            readSync(fd, tail, 0, tail.length, start);
+        } finally {
+            closeSync(fd);
+        }
+        readTrailingTags(demuxer.header, tail, tags);
+    }
+    return tags;
+}
+
+/**
+ * Streams a file through decoder, resampler, libopus and OggOpusMuxer into targetPath.
+ * Surround sources are mixed down to stereo, the most libopus' plain encoder takes.
+ */
+async function encodeAudioFile(sourcePath, targetPath, format, codecs, { bitrate, tags }) {
+    const decoder = await createDecoder(format, codecs);
+    let fd = null;
+    let encoder = null;
+    let muxer = null;
+    let resampler = null;
+    let frame = null;
+    let filled = 0;
+    let channels = 0;
+
+    const write = (planes, length) => {
+        for (let i = 0; i < length; i++) {
+            for (let ch = 0; ch < channels; ch++) {
+                const sample = Math.max(-1, Math.min(1, planes?.[ch][i] ?? 0));
+                frame[filled * channels + ch] = Math.round(sample * 32767);
+            }
+            if (++filled === FRAME_SIZE) {
+                // opusscript copies its input byte by byte, so it gets the Int16 samples as bytes
+                muxer.addPacket(encoder.encode(new Uint8Array(frame.buffer), FRAME_SIZE));
+                filled = 0;
+            }
+        }
+    };
+    const onDecoded = (results) => {
+        for (const { channelData, samplesDecoded, sampleRate } of results) {
+            if (!samplesDecoded) continue;
+            let planes = channelData.map(data => data.subarray(0, samplesDecoded));
+            if (!resampler) {
+                channels = Math.min(planes.length, 2);
+                resampler = new StreamingResampler(sampleRate, OPUS_SAMPLE_RATE, channels);
+                encoder = new codecs.OpusScript(OPUS_SAMPLE_RATE, channels, codecs.OpusScript.Application.AUDIO);
+                encoder.setBitrate(bitrate);
+                frame = new Int16Array(FRAME_SIZE * channels);
+                fd = openSync(targetPath, "wx");
+                muxer = new OggOpusMuxer(sampleRate, channels, { preSkip: DEFAULT_PRE_SKIP, tags, onPage: page => writeSync(fd, page) });
+            }
+            if (planes.length > 2) planes = downmixToStereo(planes);
+            const output = resampler.process(planes);
+            write(output, output[0].length);
+        }
+    };
+
+    try {
+        for await (const chunk of createReadStream(sourcePath, { highWaterMark: 1 << 20 })) {
+            onDecoded(await decoder.decode(new Uint8Array(chunk.buffer, chunk.byteOffset, chunk.length)));
+        }
+        onDecoded(await decoder.flush());
+        if (!resampler) throw new Error("No audio could be decoded");
+
+        const output = resampler.flush();
+        write(output, output[0].length);
+        // The encoder lags by the pre-skip: feed silence until the last source sample is out
+        write(null, DEFAULT_PRE_SKIP);
+        if (filled) write(null, FRAME_SIZE - filled);
+        muxer.finish(resampler.outputCount);
+    } finally {
+        decoder.free();
+        encoder?.delete();
+        if (fd !== null) closeSync(fd);
+    }
+}
+
+function getProperty(object, key) {
+    return key.split(".").reduce((value, part) => value?.[part], object);
+}
+
+function setProperty(object, key, value) {
+    const parts = key.split(".");
+    const last = parts.pop();
+    parts.reduce((target, part) => target[part] ??= {}, object)[last] = value;
+}
+
+/**
+ * @returns {number|null} Size of a file in the data folder, null for URLs and missing files
+ */
+function fileSize(dataPath, path) {
+    if (/^[a-z]+:/i.test(path)) return null;
+    try {
+        return statSync(join(dataPath, path.replace(/^\/+/, ""))).size;
+    } catch (err) {
+        return null;
+    }
+}
+
+function formatBytes(bytes) {
+    if (!bytes) return bytes === null ? "?" : "0 B";
+    const units = ["B", "KB", "MB", "GB"];
+    const i = Math.min(Math.floor(Math.log(bytes) / Math.log(1024)), units.length - 1);
+    return `${(bytes / Math.pow(1024, i)).toFixed(i ? 1 : 0)} ${units[i]}`;
+}
+
+main(process.argv.slice(2)).then(code => process.exitCode = code, err => {
+    console.error(`Scene Optimizer | ${err.message}`);
+    process.exitCode = 1;
+});